@@ -0,0 +1,302 @@
+/**
+    Keyframed animation of the cameras, lights and nodes of a scene.  A
+    scene file can have an "animation" section like
+
+        "animation":{
+            "fps":24,
+            "cameras":[{"camera":0, "keyframes":[{"time":0, "pos":[0, 1, 5], "rot":[0, 0, 0, 1]},
+                                                  {"time":4, "pos":[5, 1, 0], "rot":[0, 0.38, 0, 0.92]}]}],
+            "lights":[{"light":0, "keyframes":[{"time":0, "color":[1, 1, 1]}, {"time":4, "color":[1, 0.5, 0]}]}],
+            "nodes":[{"node":"dice", "keyframes":[{"time":0, "transform":[...]}, {"time":2, "transform":[...]}]}]
+        }
+
+    Each track moves one camera or light (by its index in the scene's
+    list), or every node with a particular name.  A keyframe doesn't have
+    to set every property, and each property is interpolated between the
+    keyframes that do set it, and held before the first and after the
+    last of them.  Positions and colors are interpolated linearly, and
+    rotations are slerped.  Node transforms are given in row-major order
+    like in the rest of the scene file, and they're split into a
+    translation, a rotation and a scale that are interpolated separately,
+    so they shouldn't have any shear
+
+    The scene graph should already have been set up by SceneCanvas.setupScene
+    in the browser, or by setupHeadlessScene in Node
+
+    Assumes that
+    ggslac/jslibs/gl-matrix-min.js
+    has been included already
+ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    var glMatrix = require("./ggslac/jslibs/gl-matrix-min.js");
+}
+
+const DEFAULT_ANIMATION_FPS = 24;
+
+/**
+ * Get the time of the last keyframe of an animation
+ *
+ * @param {object} animation The animation section of a scene
+ *
+ * @returns {float} The length of the animation in seconds
+ */
+function getAnimationDuration(animation) {
+    let duration = 0;
+    ["cameras", "lights", "nodes"].forEach(function(tracks) {
+        if (tracks in animation) {
+            animation[tracks].forEach(function(track) {
+                track.keyframes.forEach(function(keyframe) {
+                    duration = Math.max(duration, keyframe.time);
+                });
+            });
+        }
+    });
+    return duration;
+}
+
+/**
+ * Get the frame rate of an animation
+ *
+ * @param {object} animation The animation section of a scene
+ *
+ * @returns {float} The number of frames per second
+ */
+function getAnimationFps(animation) {
+    return 'fps' in animation ? animation.fps : DEFAULT_ANIMATION_FPS;
+}
+
+/**
+ * Get the number of frames in an animation, counting
+ * a frame at the start and a frame at the end
+ *
+ * @param {object} animation The animation section of a scene
+ *
+ * @returns {int} The number of frames
+ */
+function getAnimationFrameCount(animation) {
+    return Math.floor(getAnimationDuration(animation)*getAnimationFps(animation) + 1e-6) + 1;
+}
+
+/**
+ * Get the name of a numbered frame of an image sequence
+ *
+ * @param {string} base The name without the frame number
+ * @param {int} frame The frame number
+ *
+ * @returns {string} e.g. "base_0012.png"
+ */
+function getFrameFilename(base, frame) {
+    return base + "_" + String(frame).padStart(4, "0") + ".png";
+}
+
+/**
+ * Interpolate one property of a track at a particular time
+ *
+ * @param {list} keyframes The keyframes of the track
+ * @param {string} key The property
+ * @param {float} time The time
+ * @param {function} interpolate A function that takes the property at the
+ *                               keyframes before and after the time, and
+ *                               how far along the time is between them,
+ *                               and returns the property at the time
+ *
+ * @returns {any} The property at the time, or null if no keyframe sets it
+ */
+function interpolateKeyframes(keyframes, key, time, interpolate) {
+    let before = null;
+    let after = null;
+    keyframes.forEach(function(keyframe) {
+        if (!(key in keyframe)) {
+            return;
+        }
+        if (keyframe.time <= time && (before === null || keyframe.time >= before.time)) {
+            before = keyframe;
+        }
+        if (keyframe.time >= time && (after === null || keyframe.time < after.time)) {
+            after = keyframe;
+        }
+    });
+    if (before === null && after === null) {
+        return null;
+    }
+    if (before === null) {
+        return interpolate(after[key], after[key], 0);
+    }
+    if (after === null || after.time == before.time) {
+        return interpolate(before[key], before[key], 0);
+    }
+    return interpolate(before[key], after[key], (time - before.time)/(after.time - before.time));
+}
+
+/**
+ * Linearly interpolate between two vectors
+ *
+ * @param {list} a The vector at t = 0
+ * @param {list} b The vector at t = 1
+ * @param {float} t How far along to go from a to b
+ *
+ * @returns {glMatrix.vec3} The interpolated vector
+ */
+function lerpKeyframes(a, b, t) {
+    let v = glMatrix.vec3.create();
+    glMatrix.vec3.lerp(v, a, b, t);
+    return v;
+}
+
+/**
+ * Spherically interpolate between two rotations
+ *
+ * @param {list} a The quaternion at t = 0
+ * @param {list} b The quaternion at t = 1
+ * @param {float} t How far along to go from a to b
+ *
+ * @returns {glMatrix.quat} The interpolated quaternion
+ */
+function slerpKeyframes(a, b, t) {
+    let qa = glMatrix.quat.fromValues(a[0], a[1], a[2], a[3]);
+    let qb = glMatrix.quat.fromValues(b[0], b[1], b[2], b[3]);
+    glMatrix.quat.normalize(qa, qa);
+    glMatrix.quat.normalize(qb, qb);
+    let q = glMatrix.quat.create();
+    glMatrix.quat.slerp(q, qa, qb, t);
+    glMatrix.quat.normalize(q, q);
+    return q;
+}
+
+/**
+ * Interpolate between two node transforms by splitting them
+ * into translations, rotations and scales
+ *
+ * @param {list} a The transform at t = 0, in row-major order
+ * @param {list} b The transform at t = 1, in row-major order
+ * @param {float} t How far along to go from a to b
+ *
+ * @returns {glMatrix.mat4} The interpolated transform, in
+ *                          column-major order like node.transform
+ */
+function interpolateTransforms(a, b, t) {
+    let parts = [a, b].map(function(rows) {
+        let m = glMatrix.mat4.create();
+        for (let i = 0; i < 16; i++) {
+            m[i] = rows[i];
+        }
+        glMatrix.mat4.transpose(m, m);
+        let translation = glMatrix.vec3.create();
+        let scale = glMatrix.vec3.create();
+        let rotation = glMatrix.quat.create();
+        glMatrix.mat4.getTranslation(translation, m);
+        glMatrix.mat4.getScaling(scale, m);
+        glMatrix.mat4.getRotation(rotation, m);
+        return {translation:translation, scale:scale, rotation:rotation};
+    });
+    let rotation = slerpKeyframes(parts[0].rotation, parts[1].rotation, t);
+    let m = glMatrix.mat4.create();
+    glMatrix.mat4.fromRotationTranslationScale(m, rotation,
+                                               lerpKeyframes(parts[0].translation, parts[1].translation, t),
+                                               lerpKeyframes(parts[0].scale, parts[1].scale, t));
+    return m;
+}
+
+/**
+ * Find every node in a scene that has a particular name
+ *
+ * @param {object} scene The scene
+ * @param {string} name The name
+ *
+ * @returns {list} The nodes
+ */
+function getNodesByName(scene, name) {
+    let nodes = [];
+    let stack = scene.children.slice();
+    while (stack.length > 0) {
+        let node = stack.pop();
+        if (node.name == name) {
+            nodes.push(node);
+        }
+        if ('children' in node) {
+            stack = stack.concat(node.children);
+        }
+    }
+    return nodes;
+}
+
+/**
+ * Move the cameras, lights and nodes of a scene to where
+ * its animation has them at a particular time
+ *
+ * @param {object} scene The scene, which has an animation section
+ * @param {float} time The time, in seconds
+ *
+ * @returns {list} The nodes whose transforms changed, which the
+ *                 ray tracer's objects texture has to catch up with
+ */
+function applyAnimation(scene, time) {
+    let animation = scene.animation;
+    let nodes = [];
+    if (animation === undefined) {
+        return nodes;
+    }
+    if ('cameras' in animation) {
+        animation.cameras.forEach(function(track) {
+            let idx = 'camera' in track ? track.camera : 0;
+            if (idx >= scene.cameras.length) {
+                return;
+            }
+            let camera = scene.cameras[idx].camera;
+            let pos = interpolateKeyframes(track.keyframes, "pos", time, lerpKeyframes);
+            if (!(pos === null)) {
+                glMatrix.vec3.copy(camera.pos, pos);
+            }
+            let rot = interpolateKeyframes(track.keyframes, "rot", time, slerpKeyframes);
+            if (!(rot === null)) {
+                let q = glMatrix.quat.fromValues(rot[0], rot[1], rot[2], rot[3]);
+                glMatrix.quat.normalize(q, q);
+                glMatrix.vec3.transformQuat(camera.right, glMatrix.vec3.fromValues(1, 0, 0), q);
+                glMatrix.vec3.transformQuat(camera.up, glMatrix.vec3.fromValues(0, 1, 0), q);
+            }
+        });
+    }
+    if ('lights' in animation) {
+        animation.lights.forEach(function(track) {
+            let idx = 'light' in track ? track.light : 0;
+            if (idx >= scene.lights.length) {
+                return;
+            }
+            let light = scene.lights[idx];
+            let pos = interpolateKeyframes(track.keyframes, "pos", time, lerpKeyframes);
+            if (!(pos === null)) {
+                light.pos = Array.from(pos);
+                glMatrix.vec3.copy(light.camera.pos, pos);
+            }
+            let color = interpolateKeyframes(track.keyframes, "color", time, lerpKeyframes);
+            if (!(color === null)) {
+                light.color = Array.from(color);
+            }
+        });
+    }
+    if ('nodes' in animation) {
+        animation.nodes.forEach(function(track) {
+            let transform = interpolateKeyframes(track.keyframes, "transform", time, interpolateTransforms);
+            if (transform === null) {
+                return;
+            }
+            getNodesByName(scene, track.node).forEach(function(node) {
+                glMatrix.mat4.copy(node.transform, transform);
+                nodes.push(node);
+            });
+        });
+    }
+    return nodes;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_ANIMATION_FPS: DEFAULT_ANIMATION_FPS,
+        getAnimationDuration: getAnimationDuration,
+        getAnimationFps: getAnimationFps,
+        getAnimationFrameCount: getAnimationFrameCount,
+        getFrameFilename: getFrameFilename,
+        applyAnimation: applyAnimation
+    };
+}
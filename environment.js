@@ -0,0 +1,489 @@
+/**
+    The environment around a scene, which is what rays that miss every
+    shape see, and which can also light the scene.  A scene file can have
+    an "environment" section that's a solid color
+        "environment":{"type":"color", "color":[0.2, 0.3, 0.4]}
+    a sky that fades from the ground through the horizon up to the zenith,
+    with a sun
+        "environment":{"type":"sky", "zenith":[0.15, 0.35, 0.8], "horizon":[0.8, 0.85, 0.9],
+                       "ground":[0.3, 0.25, 0.2], "sunDirection":[0.3, 0.6, -0.7],
+                       "sunColor":[20, 18, 15], "sunSize":0.03}
+    or an equirectangular Radiance HDR image
+        "environment":{"type":"hdr", "src":"environments/studio.hdr", "rotation":1.57}
+
+    Every type can also have an "intensity" that the environment is
+    multiplied by, and an "ambient" strength for image based lighting,
+    where diffuse surfaces are lit by the average of the environment over
+    the hemisphere around their normal.  That average is precomputed into
+    a small irradiance map, laid out like the environment map
+
+    Environment maps are equirectangular, with the top row straight up,
+    the bottom row straight down, and the middle of the image facing -z.
+    The image is turned "rotation" radians counterclockwise around the
+    y axis, as seen from above
+ */
+
+// Kinds of environments, in the order of the ENVIRONMENT_* constants in raytracer.frag
+const ENVIRONMENT_TYPES = ["none", "color", "sky", "hdr"];
+// Settings of the environments, which a scene file can override
+const ENVIRONMENT_DEFAULTS = {type:"none", color:[0, 0, 0], zenith:[0.15, 0.35, 0.8], horizon:[0.8, 0.85, 0.9],
+                              ground:[0.3, 0.25, 0.2], sunDirection:[0.3, 0.6, -0.7], sunColor:[20, 18, 15],
+                              sunSize:0.03, rotation:0, intensity:1, ambient:0};
+// Size of the irradiance map.  Irradiance changes slowly with the
+// normal, so it doesn't need to be any bigger than this
+const IRRADIANCE_MAP_WIDTH = 32;
+const IRRADIANCE_MAP_HEIGHT = 16;
+// Size of the copy of the environment that the irradiance map is averaged from
+const IRRADIANCE_SOURCE_WIDTH = 64;
+const IRRADIANCE_SOURCE_HEIGHT = 32;
+
+/**
+ * Decode a Radiance HDR (.hdr) image, with or without run
+ * length encoded scanlines
+ *
+ * @param {Uint8Array} bytes The contents of the file
+ *
+ * @returns {object} {width, height, data: A Float32Array of RGBA values,
+ *                    with rows from top to bottom}
+ */
+function decodeHDR(bytes) {
+    // The header is lines of text, ending with a blank line
+    // and then the resolution
+    let pos = 0;
+    let readLine = function() {
+        let line = "";
+        while (pos < bytes.length && bytes[pos] != 10) {
+            line += String.fromCharCode(bytes[pos]);
+            pos++;
+        }
+        pos++;
+        return line;
+    };
+    let magic = readLine();
+    if (magic.substring(0, 2) != "#?") {
+        throw new Error("Not a Radiance HDR file");
+    }
+    let line = readLine();
+    while (line.length > 0) {
+        if (line.substring(0, 7) == "FORMAT=" && line != "FORMAT=32-bit_rle_rgbe") {
+            throw new Error("Only RGBE HDR files are supported, not " + line.substring(7));
+        }
+        line = readLine();
+    }
+    let resolution = readLine();
+    let match = /^-Y\s+(\d+)\s+\+X\s+(\d+)$/.exec(resolution.trim());
+    if (match === null) {
+        throw new Error("Only HDR files with rows from top to bottom are supported, not \"" + resolution + "\"");
+    }
+    let height = parseInt(match[1]);
+    let width = parseInt(match[2]);
+    let rgbe = new Uint8Array(width*height*4);
+    let readByte = function() {
+        if (pos >= bytes.length) {
+            throw new Error("The HDR file ends too early");
+        }
+        return bytes[pos++];
+    };
+    for (let row = 0; row < height; row++) {
+        let start = row*width*4;
+        if (width >= 8 && width < 0x8000 && bytes[pos] == 2 && bytes[pos+1] == 2 &&
+            ((bytes[pos+2] << 8) | bytes[pos+3]) == width) {
+            // Each channel of the scanline is run length encoded separately
+            pos += 4;
+            for (let channel = 0; channel < 4; channel++) {
+                let col = 0;
+                while (col < width) {
+                    let count = readByte();
+                    let run = count > 128;
+                    if (run) {
+                        count -= 128;
+                    }
+                    if (count == 0 || col + count > width) {
+                        throw new Error("Bad run length in scanline " + row + " of the HDR file");
+                    }
+                    let value = run ? readByte() : 0;
+                    for (let i = 0; i < count; i++) {
+                        rgbe[start + (col+i)*4 + channel] = run ? value : readByte();
+                    }
+                    col += count;
+                }
+            }
+        }
+        else {
+            // Flat pixels, where (1, 1, 1, n) repeats the last pixel
+            let col = 0;
+            let shift = 0;
+            while (col < width) {
+                let pixel = [readByte(), readByte(), readByte(), readByte()];
+                if (pixel[0] == 1 && pixel[1] == 1 && pixel[2] == 1 && col > 0) {
+                    let count = pixel[3] << shift;
+                    for (let i = 0; i < count && col < width; i++) {
+                        rgbe.copyWithin(start + col*4, start + (col-1)*4, start + col*4);
+                        col++;
+                    }
+                    shift += 8;
+                }
+                else {
+                    rgbe.set(pixel, start + col*4);
+                    col++;
+                    shift = 0;
+                }
+            }
+        }
+    }
+    let data = new Float32Array(width*height*4);
+    for (let i = 0; i < width*height; i++) {
+        let e = rgbe[i*4+3];
+        let scale = e == 0 ? 0 : Math.pow(2, e - 136);
+        for (let k = 0; k < 3; k++) {
+            data[i*4+k] = e == 0 ? 0 : (rgbe[i*4+k] + 0.5)*scale;
+        }
+        data[i*4+3] = 1;
+    }
+    return {width:width, height:height, data:data};
+}
+
+/**
+ * Fill in the settings that a scene's environment leaves out with their defaults
+ *
+ * @param {object} environment The environment section of a scene, or undefined
+ *
+ * @returns {object} A copy with every setting in ENVIRONMENT_DEFAULTS filled in
+ */
+function getEnvironmentSettings(environment) {
+    let settings = {};
+    if (environment === undefined || environment === null) {
+        environment = {};
+    }
+    for (let key in ENVIRONMENT_DEFAULTS) {
+        settings[key] = key in environment ? environment[key] : ENVIRONMENT_DEFAULTS[key];
+    }
+    return settings;
+}
+
+/**
+ * Turn a direction in the world into where it looks in an
+ * environment map, as in getEnvironmentUV in raytracer.frag
+ *
+ * @param {list} dir The direction
+ * @param {float} rotation How far the map is turned around the y axis
+ *
+ * @returns {list} [u, v], each in [0, 1], with v = 0 straight up
+ */
+function getEnvironmentUV(dir, rotation) {
+    let len = Math.sqrt(dir[0]*dir[0] + dir[1]*dir[1] + dir[2]*dir[2]);
+    let c = Math.cos(rotation);
+    let s = Math.sin(rotation);
+    // Turn the direction back by the rotation of the map
+    let x = (c*dir[0] - s*dir[2])/len;
+    let y = dir[1]/len;
+    let z = (s*dir[0] + c*dir[2])/len;
+    return [0.5 + Math.atan2(x, -z)/(2*Math.PI), Math.acos(Math.max(-1, Math.min(1, y)))/Math.PI];
+}
+
+/**
+ * Turn a point in an environment map into the direction in the world
+ * that it's seen from, undoing getEnvironmentUV
+ *
+ * @param {float} u Horizontal position in the map, in [0, 1]
+ * @param {float} v Vertical position in the map, in [0, 1]
+ * @param {float} rotation How far the map is turned around the y axis
+ *
+ * @returns {list} The unit direction
+ */
+function getEnvironmentDirection(u, v, rotation) {
+    let phi = 2*Math.PI*(u - 0.5);
+    let theta = Math.PI*v;
+    let x = Math.sin(theta)*Math.sin(phi);
+    let y = Math.cos(theta);
+    let z = -Math.sin(theta)*Math.cos(phi);
+    let c = Math.cos(rotation);
+    let s = Math.sin(rotation);
+    return [c*x + s*z, y, -s*x + c*z];
+}
+
+/**
+ * Look up a color in an equirectangular map with bilinear
+ * interpolation, as in sampleEquirect in raytracer.frag
+ *
+ * @param {object} map {width, height, data: RGBA values}
+ * @param {list} uv Where to look, as returned by getEnvironmentUV
+ *
+ * @returns {list} The color
+ */
+function sampleEquirect(map, uv) {
+    let x = uv[0]*map.width - 0.5;
+    let y = uv[1]*map.height - 0.5;
+    let x0 = Math.floor(x);
+    let y0 = Math.floor(y);
+    let fx = x - x0;
+    let fy = y - y0;
+    // Wrap around in longitude, and stop at the poles
+    let cols = [x0, x0+1].map(function(col) {
+        return ((col % map.width) + map.width) % map.width;
+    });
+    let rows = [y0, y0+1].map(function(row) {
+        return Math.max(0, Math.min(map.height-1, row));
+    });
+    let color = [0, 0, 0];
+    for (let k = 0; k < 3; k++) {
+        let texel = function(row, col) {
+            return map.data[(rows[row]*map.width + cols[col])*4 + k];
+        };
+        let top = texel(0, 0)*(1-fx) + texel(0, 1)*fx;
+        let bottom = texel(1, 0)*(1-fx) + texel(1, 1)*fx;
+        color[k] = top*(1-fy) + bottom*fy;
+    }
+    return color;
+}
+
+/**
+ * Compute the color of the sky in a direction, as in getSkyColor in raytracer.frag
+ *
+ * @param {object} settings The environment, as returned by getEnvironmentSettings
+ * @param {list} dir The direction
+ *
+ * @returns {list} The color, before it's multiplied by the intensity
+ */
+function getSkyColor(settings, dir) {
+    let len = Math.sqrt(dir[0]*dir[0] + dir[1]*dir[1] + dir[2]*dir[2]);
+    let h = dir[1]/len;
+    let to = h >= 0 ? settings.zenith : settings.ground;
+    let t = Math.sqrt(Math.abs(h));
+    let color = [0, 1, 2].map(function(k) {
+        return settings.horizon[k]*(1-t) + to[k]*t;
+    });
+    let sun = settings.sunDirection;
+    let sunLen = Math.sqrt(sun[0]*sun[0] + sun[1]*sun[1] + sun[2]*sun[2]);
+    let cosSun = (dir[0]*sun[0] + dir[1]*sun[1] + dir[2]*sun[2])/(len*sunLen);
+    if (cosSun > Math.cos(settings.sunSize)) {
+        color = [0, 1, 2].map(function(k) {
+            return color[k] + settings.sunColor[k];
+        });
+    }
+    return color;
+}
+
+/**
+ * Compute the color of the environment in a direction before it's
+ * multiplied by the intensity, as in getEnvironmentColor in raytracer.frag
+ *
+ * @param {object} settings The environment, as returned by getEnvironmentSettings
+ * @param {object} image The decoded HDR image, for the hdr type
+ * @param {list} dir The direction
+ *
+ * @returns {list} The color
+ */
+function getEnvironmentRadiance(settings, image, dir) {
+    if (settings.type == "color") {
+        return settings.color.slice();
+    }
+    if (settings.type == "sky") {
+        return getSkyColor(settings, dir);
+    }
+    if (settings.type == "hdr" && !(image === null)) {
+        return sampleEquirect(image, getEnvironmentUV(dir, settings.rotation));
+    }
+    return [0, 0, 0];
+}
+
+/**
+ * Shrink an image by averaging blocks of pixels, so that
+ * small bright spots like the sun aren't skipped over
+ *
+ * @param {object} image {width, height, data: RGBA values}
+ * @param {int} width The width to shrink to
+ * @param {int} height The height to shrink to
+ *
+ * @returns {object} {width, height, data: RGBA values}
+ */
+function shrinkEquirect(image, width, height) {
+    let data = new Float32Array(width*height*4);
+    for (let row = 0; row < height; row++) {
+        let r0 = Math.floor(row*image.height/height);
+        let r1 = Math.max(r0+1, Math.floor((row+1)*image.height/height));
+        for (let col = 0; col < width; col++) {
+            let c0 = Math.floor(col*image.width/width);
+            let c1 = Math.max(c0+1, Math.floor((col+1)*image.width/width));
+            let sum = [0, 0, 0];
+            for (let r = r0; r < r1; r++) {
+                for (let c = c0; c < c1; c++) {
+                    for (let k = 0; k < 3; k++) {
+                        sum[k] += image.data[(r*image.width + c)*4 + k];
+                    }
+                }
+            }
+            let count = (r1 - r0)*(c1 - c0);
+            for (let k = 0; k < 3; k++) {
+                data[(row*width + col)*4 + k] = sum[k]/count;
+            }
+            data[(row*width + col)*4 + 3] = 1;
+        }
+    }
+    return {width:width, height:height, data:data};
+}
+
+/**
+ * Compute the irradiance map of an environment.  Each texel holds
+ * the cosine weighted average of the environment over the hemisphere
+ * around the normal that looks at it, so a constant environment
+ * has an irradiance map of that constant
+ *
+ * @param {object} settings The environment, as returned by getEnvironmentSettings
+ * @param {object} image The decoded HDR image, for the hdr type
+ *
+ * @returns {object} {width, height, data: RGBA values}, before
+ *                   they're multiplied by the intensity
+ */
+function makeIrradianceMap(settings, image) {
+    let source = null;
+    if (settings.type == "hdr" && !(image === null)) {
+        source = shrinkEquirect(image, IRRADIANCE_SOURCE_WIDTH, IRRADIANCE_SOURCE_HEIGHT);
+    }
+    else {
+        // Average a few directions in each texel, so that the sun is seen
+        let n = 4;
+        source = {width:IRRADIANCE_SOURCE_WIDTH, height:IRRADIANCE_SOURCE_HEIGHT,
+                  data:new Float32Array(IRRADIANCE_SOURCE_WIDTH*IRRADIANCE_SOURCE_HEIGHT*4)};
+        for (let row = 0; row < source.height; row++) {
+            for (let col = 0; col < source.width; col++) {
+                let sum = [0, 0, 0];
+                for (let i = 0; i < n; i++) {
+                    for (let j = 0; j < n; j++) {
+                        let dir = getEnvironmentDirection((col + (j+0.5)/n)/source.width,
+                                                          (row + (i+0.5)/n)/source.height, settings.rotation);
+                        let color = getEnvironmentRadiance(settings, image, dir);
+                        for (let k = 0; k < 3; k++) {
+                            sum[k] += color[k]/(n*n);
+                        }
+                    }
+                }
+                source.data.set([sum[0], sum[1], sum[2], 1], (row*source.width + col)*4);
+            }
+        }
+    }
+    // The directions and solid angles of the source texels, in map coordinates
+    let dirs = [];
+    let areas = [];
+    for (let row = 0; row < source.height; row++) {
+        let theta = Math.PI*(row + 0.5)/source.height;
+        for (let col = 0; col < source.width; col++) {
+            dirs.push(getEnvironmentDirection((col + 0.5)/source.width, (row + 0.5)/source.height, 0));
+            areas.push((2*Math.PI/source.width)*(Math.PI/source.height)*Math.sin(theta));
+        }
+    }
+    let data = new Float32Array(IRRADIANCE_MAP_WIDTH*IRRADIANCE_MAP_HEIGHT*4);
+    for (let row = 0; row < IRRADIANCE_MAP_HEIGHT; row++) {
+        for (let col = 0; col < IRRADIANCE_MAP_WIDTH; col++) {
+            let n = getEnvironmentDirection((col + 0.5)/IRRADIANCE_MAP_WIDTH, (row + 0.5)/IRRADIANCE_MAP_HEIGHT, 0);
+            let sum = [0, 0, 0];
+            for (let i = 0; i < dirs.length; i++) {
+                let cos = n[0]*dirs[i][0] + n[1]*dirs[i][1] + n[2]*dirs[i][2];
+                if (cos > 0) {
+                    let w = cos*areas[i]/Math.PI;
+                    for (let k = 0; k < 3; k++) {
+                        sum[k] += w*source.data[i*4 + k];
+                    }
+                }
+            }
+            data.set([sum[0], sum[1], sum[2], 1], (row*IRRADIANCE_MAP_WIDTH + col)*4);
+        }
+    }
+    return {width:IRRADIANCE_MAP_WIDTH, height:IRRADIANCE_MAP_HEIGHT, data:data};
+}
+
+/**
+ * Load the HDR image of a scene's environment.  This runs on a scene
+ * as it's parsed from JSON, like importSceneMeshes in meshimport.js
+ *
+ * @param {object} scene The scene.  The environment gets the
+ *                       decoded image in its image field
+ * @param {function} loadFile A function that takes a path and returns the
+ *                            contents of the file as a Uint8Array, or null
+ *                            if it can't be loaded
+ */
+function loadSceneEnvironment(scene, loadFile) {
+    let environment = scene.environment;
+    if (environment === undefined || environment === null || !(environment.type == "hdr")) {
+        return;
+    }
+    environment.image = null;
+    let bytes = loadFile(environment.src);
+    if (bytes === null) {
+        console.log("Warning: Couldn't load environment " + environment.src);
+        return;
+    }
+    try {
+        environment.image = decodeHDR(bytes);
+    }
+    catch (error) {
+        console.log("Warning: Couldn't decode environment " + environment.src + ": " + error.message);
+    }
+}
+
+/**
+ * Get everything that the ray tracers need to know about the environment
+ * of a scene, after loadSceneEnvironment has been run on it
+ *
+ * @param {object} scene The scene
+ * @param {int} maxSize The widest image that can be used as a texture.  Bigger
+ *                      HDR images are shrunk until they fit (default no limit)
+ *
+ * @returns {object} {settings: As returned by getEnvironmentSettings, with
+ *                              the type "none" if the HDR image didn't load,
+ *                    map: The HDR image, or a blank 1x1 map for other types,
+ *                    irradiance: The irradiance map}
+ */
+function getEnvironmentMaps(scene, maxSize) {
+    let settings = getEnvironmentSettings(scene.environment);
+    let map = {width:1, height:1, data:new Float32Array([0, 0, 0, 1])};
+    if (settings.type == "hdr") {
+        let image = scene.environment.image;
+        if (image === undefined || image === null) {
+            settings.type = "none";
+        }
+        else {
+            map = image;
+            while (!(maxSize === undefined) && map.width > maxSize) {
+                map = shrinkEquirect(map, Math.floor(map.width/2), Math.max(1, Math.floor(map.height/2)));
+            }
+        }
+    }
+    return {settings:settings, map:map, irradiance:makeIrradianceMap(settings, map)};
+}
+
+/**
+ * Compute the values of the uniforms that describe the environment
+ *
+ * @param {object} maps The environment, as returned by getEnvironmentMaps
+ *
+ * @returns {object} A dictionary from uniform names to values
+ */
+function getEnvironmentUniforms(maps) {
+    let settings = maps.settings;
+    return {environmentType:Math.max(0, ENVIRONMENT_TYPES.indexOf(settings.type)),
+            environmentColor:settings.color, skyZenith:settings.zenith, skyHorizon:settings.horizon,
+            skyGround:settings.ground, sunDirection:settings.sunDirection, sunColor:settings.sunColor,
+            sunSize:settings.sunSize, environmentRotation:settings.rotation,
+            environmentIntensity:settings.intensity, ambient:settings.ambient,
+            environmentMapSize:[maps.map.width, maps.map.height],
+            irradianceMapSize:[maps.irradiance.width, maps.irradiance.height]};
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ENVIRONMENT_TYPES: ENVIRONMENT_TYPES,
+        ENVIRONMENT_DEFAULTS: ENVIRONMENT_DEFAULTS,
+        decodeHDR: decodeHDR,
+        getEnvironmentSettings: getEnvironmentSettings,
+        getEnvironmentUV: getEnvironmentUV,
+        getEnvironmentDirection: getEnvironmentDirection,
+        sampleEquirect: sampleEquirect,
+        getSkyColor: getSkyColor,
+        getEnvironmentRadiance: getEnvironmentRadiance,
+        makeIrradianceMap: makeIrradianceMap,
+        loadSceneEnvironment: loadSceneEnvironment,
+        getEnvironmentMaps: getEnvironmentMaps,
+        getEnvironmentUniforms: getEnvironmentUniforms
+    };
+}
@@ -0,0 +1,235 @@
+/**
+    Fill in a scene that has been parsed from JSON the same way that
+    SceneCanvas.setupScene does in the browser, so that code which consumes
+    the scene graph (like RefTracer) can run in Node without a WebGL context,
+    dat.gui menus or BlockLoader.  After this runs
+        * Every material has kd, ks, ka, kt, shininess, refraction and special
+        * Every light has pos, color, atten, towards, angle and a camera
+          {pos, up, right} whose towards direction is cross(up, right)
+        * Every camera has a camera {pos, up, right, fovx, fovy}
+        * Every node has shapes, children and a column-major glMatrix transform
+        * Every shape's material is a material object rather than a name, and
+          every mesh shape with a filename has a mesh with vertices and faces
+          like a PolyMesh.  Meshes that importSceneMeshes loaded from a src
+          are added afterwards with addImportedMeshes(scene, makeHeadlessMesh)
+ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    var glMatrix = require("./ggslac/jslibs/gl-matrix-min.js");
+}
+
+const HEADLESS_DEFAULT_FOVX = 1.4;
+
+/**
+ * Turn mesh data into an object that has the parts of
+ * the PolyMesh interface that the ray tracers use
+ *
+ * @param {object} data {positions, texCoords, normals, faces}, as returned
+ *                      by the importers in meshimport.js.  texCoords and
+ *                      normals are optional
+ *
+ * @returns {object} {vertices: A list of {pos, ID, texCoords, vertexNormal},
+ *                    faces: A list of {getVertices()}}
+ */
+function makeHeadlessMesh(data) {
+    let mesh = {vertices:[], faces:[]};
+    data.positions.forEach(function(p, i) {
+        let v = {pos:glMatrix.vec3.fromValues(p[0], p[1], p[2]), ID:i};
+        if (!(data.texCoords === undefined)) {
+            v.texCoords = data.texCoords[i];
+        }
+        if (!(data.normals === undefined || data.normals[i] === null)) {
+            v.vertexNormal = data.normals[i];
+        }
+        mesh.vertices.push(v);
+    });
+    data.faces.forEach(function(face) {
+        let verts = face.map(function(i) {
+            return mesh.vertices[i];
+        });
+        mesh.faces.push({getVertices:function() {
+            return verts;
+        }});
+    });
+    return mesh;
+}
+
+/**
+ * Parse a mesh in the OFF format into an object that has the parts of
+ * the PolyMesh interface that the ray tracers use
+ *
+ * @param {string} text The contents of the OFF file
+ *
+ * @returns {object} The mesh, as returned by makeHeadlessMesh
+ */
+function loadOFFMesh(text) {
+    let lines = text.split("\n").map(function(line) {
+        return line.split("#")[0].trim();
+    }).filter(function(line) {
+        return line.length > 0;
+    });
+    let i = 0;
+    if (lines[0].substring(0, 3) == "OFF") {
+        lines[0] = lines[0].substring(3).trim();
+        if (lines[0].length == 0) {
+            i = 1;
+        }
+    }
+    let counts = lines[i].split(/\s+/).map(Number);
+    i++;
+    let data = {positions:[], faces:[]};
+    for (let v = 0; v < counts[0]; v++, i++) {
+        data.positions.push(lines[i].split(/\s+/).map(Number).slice(0, 3));
+    }
+    for (let f = 0; f < counts[1]; f++, i++) {
+        let fields = lines[i].split(/\s+/).map(Number);
+        data.faces.push(fields.slice(1, 1 + fields[0]));
+    }
+    return makeHeadlessMesh(data);
+}
+
+/**
+ * Make a camera {pos, up, right} that looks along a particular direction
+ *
+ * @param {list} pos The position of the camera
+ * @param {list} towards The direction the camera is looking
+ */
+function getCameraLookingTowards(pos, towards) {
+    let vec3 = glMatrix.vec3;
+    let t = vec3.create();
+    vec3.normalize(t, towards);
+    let guess = vec3.fromValues(0, 1, 0);
+    if (Math.abs(vec3.dot(t, guess)) > 0.99) {
+        guess = vec3.fromValues(1, 0, 0);
+    }
+    let right = vec3.create();
+    vec3.cross(right, t, guess);
+    vec3.normalize(right, right);
+    let up = vec3.create();
+    vec3.cross(up, right, t);
+    return {pos:vec3.fromValues(pos[0], pos[1], pos[2]), up:up, right:right};
+}
+
+/**
+ * Fill in defaults and set up derived quantities for a scene,
+ * mirroring SceneCanvas.setupScene
+ *
+ * @param {object} scene The scene, as parsed from JSON.  It is modified in place
+ * @param {object} options {pixWidth, pixHeight: The size of the image, which
+ *                          determines fovy from fovx (default 800x600),
+ *                          loadMesh: A function that takes the filename of a
+ *                          mesh shape and returns its mesh, or null if it
+ *                          can't be loaded}
+ *
+ * @returns {object} The scene
+ */
+function setupHeadlessScene(scene, options) {
+    let vec3 = glMatrix.vec3;
+    let mat4 = glMatrix.mat4;
+    if (options === undefined) {
+        options = {};
+    }
+    let pixWidth = options.pixWidth === undefined ? 800 : options.pixWidth;
+    let pixHeight = options.pixHeight === undefined ? 600 : options.pixHeight;
+
+    // Materials
+    if (!('materials' in scene)) {
+        scene.materials = {};
+    }
+    for (let name in scene.materials) {
+        if (Object.prototype.hasOwnProperty.call(scene.materials, name)) {
+            let m = scene.materials[name];
+            let defaults = {kd:[0.5, 0.55, 0.5], ks:[0, 0, 0], ka:[0, 0, 0], kt:[0, 0, 0],
+                            shininess:50, refraction:1, special:false};
+            for (let key in defaults) {
+                if (!(key in m)) {
+                    m[key] = defaults[key];
+                }
+            }
+        }
+    }
+
+    // Lights
+    if (!('lights' in scene)) {
+        scene.lights = [];
+    }
+    scene.lights.forEach(function(light) {
+        let defaults = {pos:[0, 0, 0], color:[1, 1, 1], atten:[1, 0, 0], towards:[0, 0, -1], angle:Math.PI};
+        for (let key in defaults) {
+            if (!(key in light)) {
+                light[key] = defaults[key];
+            }
+        }
+        light.camera = getCameraLookingTowards(light.pos, light.towards);
+    });
+
+    // Cameras
+    if (!('cameras' in scene) || scene.cameras.length == 0) {
+        scene.cameras = [{pos:[0, 0, 5], rot:[0, 0, 0, 1]}];
+    }
+    scene.cameras.forEach(function(c) {
+        let pos = 'pos' in c ? c.pos : [0, 0, 0];
+        let rot = 'rot' in c ? c.rot : [0, 0, 0, 1];
+        let q = glMatrix.quat.fromValues(rot[0], rot[1], rot[2], rot[3]);
+        glMatrix.quat.normalize(q, q);
+        let right = vec3.create();
+        vec3.transformQuat(right, vec3.fromValues(1, 0, 0), q);
+        let up = vec3.create();
+        vec3.transformQuat(up, vec3.fromValues(0, 1, 0), q);
+        let fovx = 'fovx' in c ? c.fovx : HEADLESS_DEFAULT_FOVX;
+        let fovy = 2*Math.atan(Math.tan(fovx/2)*pixHeight/pixWidth);
+        c.camera = {pos:vec3.fromValues(pos[0], pos[1], pos[2]), up:up, right:right,
+                    fovx:fovx, fovy:fovy};
+    });
+
+    // Scene graph
+    if (!('children' in scene)) {
+        scene.children = [];
+    }
+    let setupNode = function(node) {
+        let transform = mat4.create();
+        if ('transform' in node) {
+            // Transforms are given in row-major order in the scene file
+            for (let i = 0; i < 16; i++) {
+                transform[i] = node.transform[i];
+            }
+            mat4.transpose(transform, transform);
+        }
+        node.transform = transform;
+        if (!('shapes' in node)) {
+            node.shapes = [];
+        }
+        if (!('children' in node)) {
+            node.children = [];
+        }
+        node.shapes.forEach(function(shape) {
+            if ('material' in shape && typeof shape.material == "string") {
+                if (shape.material in scene.materials) {
+                    shape.material = scene.materials[shape.material];
+                }
+                else {
+                    console.log("Warning: Unknown material " + shape.material);
+                    delete shape.material;
+                }
+            }
+            if (shape.type == "mesh") {
+                shape.mesh = null;
+                if ('filename' in shape && !(options.loadMesh === undefined)) {
+                    shape.mesh = options.loadMesh(shape.filename);
+                }
+            }
+        });
+        node.children.forEach(setupNode);
+    };
+    scene.children.forEach(setupNode);
+    return scene;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        makeHeadlessMesh: makeHeadlessMesh,
+        loadOFFMesh: loadOFFMesh,
+        getCameraLookingTowards: getCameraLookingTowards,
+        setupHeadlessScene: setupHeadlessScene
+    };
+}
@@ -0,0 +1,469 @@
+/**
+    Code for packing the triangles of all of the meshes in a scene into
+    flat arrays of RGBA texels, along with a bounding volume hierarchy (BVH)
+    over the triangles of each mesh.  The ray tracer uploads these arrays
+    as floating point textures and walks the BVH in the fragment shader,
+    so the mesh geometry never has to be written into the shader source
+
+    Each BVH node takes up two texels
+        [min.x, min.y, min.z, a]
+        [max.x, max.y, max.z, b]
+    For an internal node, a and b are the indices of the left and right
+    children.  For a leaf, a is the index of the first triangle and -b
+    is the number of triangles
+
+    Each triangle takes up seven texels, one per vertex followed by
+    one more with the rest of the vertices' texture coordinates, and
+    then one per vertex normal
+        [v0.x, v0.y, v0.z, v0.u]
+        [v1.x, v1.y, v1.z, v1.u]
+        [v2.x, v2.y, v2.z, v2.u]
+        [v0.v, v1.v, v2.v, 0]
+        [n0.x, n0.y, n0.z, 0]
+        [n1.x, n1.y, n1.z, 0]
+        [n2.x, n2.y, n2.z, 0]
+    Vertices that don't have texCoords get texture coordinates (0, 0),
+    and vertices that don't have a vertexNormal get the area weighted
+    average of the normals of the faces around them
+ */
+
+const BVH_LEAF_SIZE = 4; // Must match BVH_LEAF_SIZE in raytracer.frag
+const BVH_STACK_SIZE = 32; // Must match BVH_STACK_SIZE in raytracer.frag
+const BVH_NUM_BINS = 12; // Number of buckets to use when searching for a split
+const DATA_TEXTURE_WIDTH = 1024; // Must match DATA_TEXTURE_WIDTH in raytracer.frag
+const TEXELS_PER_NODE = 2;
+const TEXELS_PER_TRIANGLE = 7; // Must match TEXELS_PER_TRIANGLE in raytracer.frag
+
+/**
+ * Pull out the triangles of a mesh, splitting each face into a
+ * triangle fan in CCW order
+ *
+ * @param {PolyMesh} mesh The mesh
+ *
+ * @returns {Float32Array} An array with 9 entries per triangle, holding
+ *                         the coordinates of its three vertices
+ */
+function getMeshTriangles(mesh) {
+    let tris = [];
+    for (let i = 0; i < mesh.faces.length; i++) {
+        let verts = mesh.faces[i].getVertices();
+        for (let t = 0; t < verts.length-2; t++) {
+            [verts[0], verts[t+1], verts[t+2]].forEach(function(v) {
+                tris.push(v.pos[0], v.pos[1], v.pos[2]);
+            });
+        }
+    }
+    return new Float32Array(tris);
+}
+
+/**
+ * Pull out the texture coordinates of the vertices of the triangles of
+ * a mesh, in the same order as getMeshTriangles
+ *
+ * @param {PolyMesh} mesh The mesh
+ *
+ * @returns {Float32Array} An array with 6 entries per triangle, holding
+ *                         the texture coordinates of its three vertices
+ */
+function getMeshTexCoords(mesh) {
+    let uvs = [];
+    for (let i = 0; i < mesh.faces.length; i++) {
+        let verts = mesh.faces[i].getVertices();
+        for (let t = 0; t < verts.length-2; t++) {
+            [verts[0], verts[t+1], verts[t+2]].forEach(function(v) {
+                if (v.texCoords === undefined || v.texCoords === null) {
+                    uvs.push(0, 0);
+                }
+                else {
+                    uvs.push(v.texCoords[0], v.texCoords[1]);
+                }
+            });
+        }
+    }
+    return new Float32Array(uvs);
+}
+
+/**
+ * Pull out the normals of the vertices of the triangles of a mesh,
+ * in the same order as getMeshTriangles, for smooth shading
+ *
+ * @param {PolyMesh} mesh The mesh
+ *
+ * @returns {Float32Array} An array with 9 entries per triangle, holding
+ *                         the unit normals of its three vertices
+ */
+function getMeshNormals(mesh) {
+    // Add up the normals of the faces around each vertex that doesn't
+    // have its own, weighted by the areas of the faces.  Vertices in the
+    // same place are treated as one, so that seams in the texture
+    // coordinates don't show up as creases
+    let sums = new Map();
+    let getKey = function(v) {
+        return v.pos[0] + " " + v.pos[1] + " " + v.pos[2];
+    };
+    for (let i = 0; i < mesh.faces.length; i++) {
+        let verts = mesh.faces[i].getVertices();
+        let n = [0, 0, 0];
+        for (let t = 0; t < verts.length-2; t++) {
+            let a = verts[0].pos;
+            let ab = [0, 1, 2].map(function(k) {
+                return verts[t+1].pos[k] - a[k];
+            });
+            let ac = [0, 1, 2].map(function(k) {
+                return verts[t+2].pos[k] - a[k];
+            });
+            n[0] += ab[1]*ac[2] - ab[2]*ac[1];
+            n[1] += ab[2]*ac[0] - ab[0]*ac[2];
+            n[2] += ab[0]*ac[1] - ab[1]*ac[0];
+        }
+        verts.forEach(function(v) {
+            if (v.vertexNormal === undefined || v.vertexNormal === null) {
+                let key = getKey(v);
+                let sum = sums.has(key) ? sums.get(key) : [0, 0, 0];
+                sums.set(key, [sum[0] + n[0], sum[1] + n[1], sum[2] + n[2]]);
+            }
+        });
+    }
+    let normals = [];
+    for (let i = 0; i < mesh.faces.length; i++) {
+        let verts = mesh.faces[i].getVertices();
+        for (let t = 0; t < verts.length-2; t++) {
+            [verts[0], verts[t+1], verts[t+2]].forEach(function(v) {
+                let n = v.vertexNormal;
+                if (n === undefined || n === null) {
+                    n = sums.get(getKey(v));
+                }
+                let len = Math.sqrt(n[0]*n[0] + n[1]*n[1] + n[2]*n[2]);
+                if (len > 0) {
+                    normals.push(n[0]/len, n[1]/len, n[2]/len);
+                }
+                else {
+                    normals.push(0, 0, 0);
+                }
+            });
+        }
+    }
+    return new Float32Array(normals);
+}
+
+/**
+ * Decide whether a mesh shape interpolates vertex normals.  Unless the
+ * shape asks for "smooth" or "flat" shading, only meshes whose files
+ * supply vertex normals are smooth, since averaging the face normals
+ * would round off the hard edges of meshes like cubes
+ *
+ * @param {object} shape A mesh shape with its mesh loaded
+ *
+ * @returns {boolean} Whether the shape is smooth shaded
+ */
+function isSmoothShaded(shape) {
+    if (shape.shading == "smooth") {
+        return true;
+    }
+    if (shape.shading == "flat" || shape.mesh === undefined || shape.mesh === null) {
+        return false;
+    }
+    return shape.mesh.vertices.some(function(v) {
+        return !(v.vertexNormal === undefined || v.vertexNormal === null);
+    });
+}
+
+/**
+ * Compute the surface area of an axis-aligned box
+ *
+ * @param {list} bmin The minimum corner of the box
+ * @param {list} bmax The maximum corner of the box
+ */
+function getBoxArea(bmin, bmax) {
+    let dx = bmax[0] - bmin[0];
+    let dy = bmax[1] - bmin[1];
+    let dz = bmax[2] - bmin[2];
+    return 2*(dx*dy + dy*dz + dz*dx);
+}
+
+/**
+ * Build a bounding volume hierarchy over a set of triangles, splitting
+ * nodes with the surface area heuristic (SAH) over binned centroids
+ *
+ * @param {Float32Array} tris Triangle vertex coordinates, as returned
+ *                            from getMeshTriangles
+ *
+ * @returns {object} {nodes: A list of nodes in depth-first order, each with
+ *                           a bounding box {min, max} and either children
+ *                           {left, right} or a range of triangles {start, count},
+ *                    order: An Int32Array with the triangle indices in the
+ *                           order that the leaves refer to them}
+ */
+function buildBVH(tris) {
+    let N = tris.length/9;
+    let order = new Int32Array(N);
+    let centroids = new Float32Array(N*3);
+    let bmins = new Float32Array(N*3);
+    let bmaxs = new Float32Array(N*3);
+    for (let i = 0; i < N; i++) {
+        order[i] = i;
+        for (let k = 0; k < 3; k++) {
+            let a = tris[i*9+k];
+            let b = tris[i*9+3+k];
+            let c = tris[i*9+6+k];
+            bmins[i*3+k] = Math.min(a, b, c);
+            bmaxs[i*3+k] = Math.max(a, b, c);
+            centroids[i*3+k] = (a + b + c)/3;
+        }
+    }
+    let nodes = [];
+
+    /**
+     * Compute the bounding box of the triangles order[start:end]
+     */
+    function getBounds(start, end) {
+        let bmin = [Infinity, Infinity, Infinity];
+        let bmax = [-Infinity, -Infinity, -Infinity];
+        for (let i = start; i < end; i++) {
+            let idx = order[i];
+            for (let k = 0; k < 3; k++) {
+                bmin[k] = Math.min(bmin[k], bmins[idx*3+k]);
+                bmax[k] = Math.max(bmax[k], bmaxs[idx*3+k]);
+            }
+        }
+        return {min:bmin, max:bmax};
+    }
+
+    /**
+     * Reorder order[start:end] so that triangles for which
+     * isLeft returns true come first, and return the index
+     * of the first one on the right
+     */
+    function partition(start, end, isLeft) {
+        let mid = start;
+        for (let i = start; i < end; i++) {
+            if (isLeft(order[i])) {
+                let temp = order[mid];
+                order[mid] = order[i];
+                order[i] = temp;
+                mid++;
+            }
+        }
+        return mid;
+    }
+
+    /**
+     * Find the cheapest split of order[start:end] along any axis by
+     * bucketing the triangle centroids
+     *
+     * @returns {object} {axis, pos, cost}, or null if all of the
+     *                   centroids are in the same place
+     */
+    function findSAHSplit(start, end, bounds) {
+        let best = null;
+        let parentArea = getBoxArea(bounds.min, bounds.max);
+        for (let axis = 0; axis < 3; axis++) {
+            let cmin = Infinity;
+            let cmax = -Infinity;
+            for (let i = start; i < end; i++) {
+                let c = centroids[order[i]*3+axis];
+                cmin = Math.min(cmin, c);
+                cmax = Math.max(cmax, c);
+            }
+            if (cmax - cmin < 1e-12) {
+                continue;
+            }
+            let scale = BVH_NUM_BINS/(cmax-cmin);
+            let bins = [];
+            for (let b = 0; b < BVH_NUM_BINS; b++) {
+                bins.push({count:0, min:[Infinity, Infinity, Infinity], max:[-Infinity, -Infinity, -Infinity]});
+            }
+            for (let i = start; i < end; i++) {
+                let idx = order[i];
+                let b = Math.min(BVH_NUM_BINS-1, Math.floor((centroids[idx*3+axis]-cmin)*scale));
+                bins[b].count++;
+                for (let k = 0; k < 3; k++) {
+                    bins[b].min[k] = Math.min(bins[b].min[k], bmins[idx*3+k]);
+                    bins[b].max[k] = Math.max(bins[b].max[k], bmaxs[idx*3+k]);
+                }
+            }
+            // Sweep from the right to get the cost of everything
+            // past each split, then sweep from the left
+            let rightCosts = new Array(BVH_NUM_BINS).fill(0);
+            let count = 0;
+            let rmin = [Infinity, Infinity, Infinity];
+            let rmax = [-Infinity, -Infinity, -Infinity];
+            for (let b = BVH_NUM_BINS-1; b > 0; b--) {
+                count += bins[b].count;
+                for (let k = 0; k < 3; k++) {
+                    rmin[k] = Math.min(rmin[k], bins[b].min[k]);
+                    rmax[k] = Math.max(rmax[k], bins[b].max[k]);
+                }
+                if (count > 0) {
+                    rightCosts[b] = count*getBoxArea(rmin, rmax);
+                }
+            }
+            count = 0;
+            let lmin = [Infinity, Infinity, Infinity];
+            let lmax = [-Infinity, -Infinity, -Infinity];
+            for (let b = 0; b < BVH_NUM_BINS-1; b++) {
+                count += bins[b].count;
+                for (let k = 0; k < 3; k++) {
+                    lmin[k] = Math.min(lmin[k], bins[b].min[k]);
+                    lmax[k] = Math.max(lmax[k], bins[b].max[k]);
+                }
+                if (count == 0 || count == end-start) {
+                    continue;
+                }
+                let cost = 1 + (count*getBoxArea(lmin, lmax) + rightCosts[b+1])/parentArea;
+                if (best === null || cost < best.cost) {
+                    best = {axis:axis, pos:cmin + (b+1)/scale, cost:cost};
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Recursively split order[start:end], adding nodes in depth-first
+     * order, and return the index of the node that was created
+     */
+    function buildRec(start, end, depth) {
+        let bounds = getBounds(start, end);
+        let node = {min:bounds.min, max:bounds.max};
+        let idx = nodes.length;
+        nodes.push(node);
+        let count = end - start;
+        if (count <= BVH_LEAF_SIZE) {
+            node.start = start;
+            node.count = count;
+            return idx;
+        }
+        let mid = -1;
+        // Skip the surface area heuristic if it might make the tree too
+        // deep for the fixed size stack that the shader uses to traverse it
+        let levelsLeft = Math.ceil(Math.log2(count/BVH_LEAF_SIZE));
+        if (depth + levelsLeft < BVH_STACK_SIZE - 2) {
+            let split = findSAHSplit(start, end, bounds);
+            if (!(split === null)) {
+                mid = partition(start, end, function(i) {
+                    return centroids[i*3+split.axis] < split.pos;
+                });
+            }
+        }
+        if (mid <= start || mid >= end) {
+            // Sort along the longest axis and split in half, which
+            // also handles the case where all centroids coincide
+            let axis = 0;
+            for (let k = 1; k < 3; k++) {
+                if (bounds.max[k]-bounds.min[k] > bounds.max[axis]-bounds.min[axis]) {
+                    axis = k;
+                }
+            }
+            let sub = Array.from(order.subarray(start, end));
+            sub.sort(function(a, b) {
+                return centroids[a*3+axis] - centroids[b*3+axis];
+            });
+            order.set(sub, start);
+            mid = start + Math.floor(count/2);
+        }
+        node.left = buildRec(start, mid, depth+1);
+        node.right = buildRec(mid, end, depth+1);
+        return idx;
+    }
+
+    if (N > 0) {
+        buildRec(0, N, 0);
+    }
+    return {nodes:nodes, order:order};
+}
+
+/**
+ * Build a BVH for each mesh and pack all of the nodes and triangles
+ * into two arrays of RGBA texels whose widths are DATA_TEXTURE_WIDTH
+ *
+ * @param {list of PolyMesh} meshes The meshes to pack
+ *
+ * @returns {object} {nodes: Float32Array of node texels,
+ *                    nodesHeight: Number of rows of node texels,
+ *                    triangles: Float32Array of triangle texels,
+ *                    trianglesHeight: Number of rows of triangle texels,
+ *                    roots: The index of the root node of each mesh's BVH,
+ *                           or -1 if a mesh has no triangles,
+ *                    numTriangles: Total number of triangles}
+ */
+function packMeshes(meshes) {
+    let bvhs = [];
+    let trisArr = [];
+    let uvsArr = [];
+    let normalsArr = [];
+    let numNodes = 0;
+    let numTris = 0;
+    meshes.forEach(function(mesh) {
+        let tris = getMeshTriangles(mesh);
+        trisArr.push(tris);
+        uvsArr.push(getMeshTexCoords(mesh));
+        normalsArr.push(getMeshNormals(mesh));
+        let bvh = buildBVH(tris);
+        bvhs.push(bvh);
+        numNodes += bvh.nodes.length;
+        numTris += tris.length/9;
+    });
+
+    let nodesHeight = Math.max(1, Math.ceil(numNodes*TEXELS_PER_NODE/DATA_TEXTURE_WIDTH));
+    let trianglesHeight = Math.max(1, Math.ceil(numTris*TEXELS_PER_TRIANGLE/DATA_TEXTURE_WIDTH));
+    let nodes = new Float32Array(nodesHeight*DATA_TEXTURE_WIDTH*4);
+    let triangles = new Float32Array(trianglesHeight*DATA_TEXTURE_WIDTH*4);
+    let roots = [];
+    let nodeOffset = 0;
+    let triOffset = 0;
+    for (let m = 0; m < bvhs.length; m++) {
+        let bvh = bvhs[m];
+        let tris = trisArr[m];
+        let uvs = uvsArr[m];
+        let normals = normalsArr[m];
+        if (bvh.nodes.length == 0) {
+            roots.push(-1);
+            continue;
+        }
+        roots.push(nodeOffset);
+        bvh.nodes.forEach(function(node, i) {
+            let j = (nodeOffset + i)*TEXELS_PER_NODE*4;
+            nodes.set(node.min, j);
+            nodes.set(node.max, j+4);
+            if ('left' in node) {
+                nodes[j+3] = nodeOffset + node.left;
+                nodes[j+7] = nodeOffset + node.right;
+            }
+            else {
+                nodes[j+3] = triOffset + node.start;
+                nodes[j+7] = -node.count;
+            }
+        });
+        for (let i = 0; i < bvh.order.length; i++) {
+            let src = bvh.order[i]*9;
+            let srcUV = bvh.order[i]*6;
+            let j = (triOffset + i)*TEXELS_PER_TRIANGLE*4;
+            for (let v = 0; v < 3; v++) {
+                triangles.set(tris.subarray(src+v*3, src+v*3+3), j+v*4);
+                triangles[j+v*4+3] = uvs[srcUV+v*2];
+                triangles[j+12+v] = uvs[srcUV+v*2+1];
+                triangles.set(normals.subarray(src+v*3, src+v*3+3), j+16+v*4);
+            }
+        }
+        nodeOffset += bvh.nodes.length;
+        triOffset += bvh.order.length;
+    }
+    return {nodes:nodes, nodesHeight:nodesHeight,
+            triangles:triangles, trianglesHeight:trianglesHeight,
+            roots:roots, numTriangles:numTris};
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BVH_LEAF_SIZE: BVH_LEAF_SIZE,
+        BVH_STACK_SIZE: BVH_STACK_SIZE,
+        DATA_TEXTURE_WIDTH: DATA_TEXTURE_WIDTH,
+        getMeshTriangles: getMeshTriangles,
+        getMeshTexCoords: getMeshTexCoords,
+        getMeshNormals: getMeshNormals,
+        isSmoothShaded: isSmoothShaded,
+        buildBVH: buildBVH,
+        packMeshes: packMeshes
+    };
+}
@@ -0,0 +1,604 @@
+/**
+    Importers for triangle meshes in the OBJ (along with the materials
+    in its MTL files), PLY (ASCII or binary) and STL (ASCII or binary)
+    formats, so that a mesh shape in a scene file can point at a model
+        {"type":"mesh", "src":"models/bunny.obj", "material":"green", "shading":"smooth"}
+
+    Each file is parsed into mesh data like getPrimitiveMeshData returns
+        {positions: A list of [x, y, z],
+         texCoords: A list of [u, v],
+         normals: A list of [x, y, z], or null for a vertex whose
+                  normal should be computed from the faces around it,
+         faces: A list of lists of indices into positions, in CCW order}
+
+    getMeshMaterialNames finds the materials that OBJ files bring along,
+    so that validateScene can accept shapes that use them.
+    importSceneMeshes runs on a scene as it's parsed from JSON, before
+    SceneCanvas.setupScene or setupHeadlessScene, since it adds the
+    materials of OBJ files to the scene and splits an OBJ shape into one
+    shape per material.  addImportedMeshes runs afterwards to turn the
+    mesh data into meshes
+
+    Assumes that
+    primitivemeshes.js
+    has been included already, for the PolyMeshes that addImportedMeshes
+    makes by default
+ */
+
+// The formats that can be imported, by file extension
+const MESH_IMPORT_FORMATS = ["obj", "ply", "stl"];
+
+// The scalar types that PLY properties can have, with the
+// DataView method that reads each one and its size in bytes
+const PLY_TYPES = {char:["getInt8", 1], uchar:["getUint8", 1], int8:["getInt8", 1], uint8:["getUint8", 1],
+                   short:["getInt16", 2], ushort:["getUint16", 2], int16:["getInt16", 2], uint16:["getUint16", 2],
+                   int:["getInt32", 4], uint:["getUint32", 4], int32:["getInt32", 4], uint32:["getUint32", 4],
+                   float:["getFloat32", 4], float32:["getFloat32", 4], double:["getFloat64", 8], float64:["getFloat64", 8]};
+
+/**
+ * Figure out the format of a mesh file from its extension
+ *
+ * @param {string} src The path to the file
+ *
+ * @returns {string} One of MESH_IMPORT_FORMATS, or null if it's not one of them
+ */
+function getMeshFormat(src) {
+    let ext = src.split(".").pop().toLowerCase();
+    return MESH_IMPORT_FORMATS.indexOf(ext) > -1 ? ext : null;
+}
+
+/**
+ * Resolve a path that's relative to the directory of another file,
+ * like the MTL files and texture maps that an OBJ file refers to
+ *
+ * @param {string} base The path to the file that refers to the other one
+ * @param {string} name The path to the other file, relative to base
+ *
+ * @returns {string} The path to the other file
+ */
+function getRelativePath(base, name) {
+    let i = base.lastIndexOf("/");
+    return i == -1 ? name : base.substring(0, i+1) + name;
+}
+
+/**
+ * Split the lines of a text file into fields, leaving out comments
+ * and blank lines
+ *
+ * @param {string} text The text
+ *
+ * @returns {list of list of string} The fields of each line
+ */
+function getTextFields(text) {
+    return text.split("\n").map(function(line) {
+        return line.split("#")[0].trim();
+    }).filter(function(line) {
+        return line.length > 0;
+    }).map(function(line) {
+        return line.split(/\s+/);
+    });
+}
+
+/**
+ * Parse an OBJ file.  Faces are grouped by the material that they
+ * use, and their corners are turned into vertices, one for each
+ * different combination of position, texture coordinates and normal
+ *
+ * @param {string} text The contents of the OBJ file
+ *
+ * @returns {object} {groups: A list of {material: The name of the material
+ *                                       from usemtl, or null before any usemtl,
+ *                                       data: The mesh data of the faces},
+ *                    mtllibs: The MTL files that the OBJ file refers to}
+ */
+function parseOBJ(text) {
+    let positions = [];
+    let texCoords = [];
+    let normals = [];
+    let mtllibs = [];
+    let groups = [];
+    let group = null;
+    let useMaterial = function(name) {
+        group = null;
+        groups.forEach(function(g) {
+            if (g.material === name) {
+                group = g;
+            }
+        });
+        if (group === null) {
+            group = {material:name, data:{positions:[], texCoords:[], normals:[], faces:[]}, corners:new Map()};
+            groups.push(group);
+        }
+    };
+    // Indices start at 1, and negative indices count back from the last one so far
+    let getIndex = function(field, count) {
+        if (field === undefined || field.length == 0) {
+            return -1;
+        }
+        let i = parseInt(field);
+        i = i < 0 ? count + i : i - 1;
+        return i >= 0 && i < count ? i : -1;
+    };
+    getTextFields(text).forEach(function(fields) {
+        let numbers = fields.slice(1).map(Number);
+        if (fields[0] == "v") {
+            if (numbers.length < 3 || !numbers.slice(0, 3).every(isFinite)) {
+                throw new Error("OBJ vertex needs 3 coordinates: " + fields.join(" "));
+            }
+            positions.push(numbers.slice(0, 3));
+        }
+        else if (fields[0] == "vt") {
+            texCoords.push([numbers[0], numbers.length > 1 ? numbers[1] : 0]);
+        }
+        else if (fields[0] == "vn") {
+            normals.push(numbers.slice(0, 3));
+        }
+        else if (fields[0] == "usemtl") {
+            useMaterial(fields.slice(1).join(" "));
+        }
+        else if (fields[0] == "mtllib") {
+            mtllibs = mtllibs.concat(fields.slice(1));
+        }
+        else if (fields[0] == "f") {
+            if (group === null) {
+                useMaterial(null);
+            }
+            let face = [];
+            fields.slice(1).forEach(function(corner) {
+                let idx = corner.split("/");
+                let p = getIndex(idx[0], positions.length);
+                let t = getIndex(idx[1], texCoords.length);
+                let n = getIndex(idx[2], normals.length);
+                if (p == -1) {
+                    return;
+                }
+                let key = p + "/" + t + "/" + n;
+                if (!group.corners.has(key)) {
+                    group.corners.set(key, group.data.positions.length);
+                    group.data.positions.push(positions[p]);
+                    group.data.texCoords.push(t == -1 ? [0, 0] : texCoords[t]);
+                    group.data.normals.push(n == -1 ? null : normals[n]);
+                }
+                face.push(group.corners.get(key));
+            });
+            if (face.length >= 3) {
+                group.data.faces.push(face);
+            }
+        }
+    });
+    return {groups:groups.filter(function(g) {
+        return g.data.faces.length > 0;
+    }).map(function(g) {
+        return {material:g.material, data:g.data};
+    }), mtllibs:mtllibs};
+}
+
+/**
+ * Parse an MTL file into materials for a scene.  Ks is also how much
+ * of a reflection the ray tracer shows, just like ks in a scene file,
+ * and a material that's partly dissolved (d or Tr) transmits light
+ *
+ * @param {string} text The contents of the MTL file
+ * @param {string} src The path to the MTL file, which texture
+ *                     maps are relative to
+ *
+ * @returns {object} The materials, by name
+ */
+function parseMTL(text, src) {
+    let materials = {};
+    let m = null;
+    let transparency = {};
+    let filters = {};
+    let name = null;
+    getTextFields(text).forEach(function(fields) {
+        let numbers = fields.slice(1).map(Number);
+        let key = fields[0];
+        if (key == "newmtl") {
+            name = fields.slice(1).join(" ");
+            m = {};
+            materials[name] = m;
+            return;
+        }
+        if (m === null) {
+            return;
+        }
+        if (key == "Kd" || key == "Ks" || key == "Ka") {
+            m[key.toLowerCase()] = numbers.slice(0, 3);
+        }
+        else if (key == "Ns") {
+            m.shininess = numbers[0];
+        }
+        else if (key == "Ni") {
+            m.refraction = numbers[0];
+        }
+        else if (key == "d") {
+            transparency[name] = 1 - numbers[0];
+        }
+        else if (key == "Tr") {
+            transparency[name] = numbers[0];
+        }
+        else if (key == "Tf") {
+            filters[name] = numbers.slice(0, 3);
+        }
+        else if (key == "map_Kd" || key == "map_Bump" || key == "bump" || key == "norm") {
+            // Options like -bm come before the filename
+            let map = {map_Kd:"kdMap", map_Bump:"bumpMap", bump:"bumpMap", norm:"normalMap"}[key];
+            m[map] = getRelativePath(src, fields[fields.length-1]);
+        }
+    });
+    for (let key in transparency) {
+        if (transparency[key] > 0) {
+            let filter = key in filters ? filters[key] : [1, 1, 1];
+            materials[key].kt = filter.map(function(x) {
+                return x*transparency[key];
+            });
+        }
+    }
+    return materials;
+}
+
+/**
+ * Parse a PLY file in any of its three formats.  Vertices can have
+ * normals (nx, ny, nz) and texture coordinates (u and v, s and t, or
+ * texture_u and texture_v)
+ *
+ * @param {Uint8Array} bytes The contents of the PLY file
+ *
+ * @returns {object} The mesh data
+ */
+function parsePLY(bytes) {
+    // The header is always ASCII
+    let headerEnd = -1;
+    let header = "";
+    for (let i = 0; i < bytes.length && headerEnd == -1; i++) {
+        header += String.fromCharCode(bytes[i]);
+        if (header.endsWith("end_header\n") || header.endsWith("end_header\r\n")) {
+            headerEnd = i + 1;
+        }
+    }
+    if (headerEnd == -1) {
+        throw new Error("PLY file has no end_header");
+    }
+    let format = "ascii";
+    let elements = [];
+    getTextFields(header).forEach(function(fields) {
+        if (fields[0] == "format") {
+            format = fields[1];
+        }
+        else if (fields[0] == "element") {
+            elements.push({name:fields[1], count:parseInt(fields[2]), properties:[]});
+        }
+        else if (fields[0] == "property" && elements.length > 0) {
+            let property = {type:fields[1], name:fields[fields.length-1]};
+            if (fields[1] == "list") {
+                property = {type:fields[3], countType:fields[2], name:fields[4]};
+            }
+            elements[elements.length-1].properties.push(property);
+        }
+    });
+
+    // Read one number at a time from either kind of body
+    let readNumber = null;
+    if (format == "ascii") {
+        let tokens = new TextDecoder().decode(bytes.subarray(headerEnd)).split(/\s+/).filter(function(token) {
+            return token.length > 0;
+        });
+        let pos = 0;
+        readNumber = function() {
+            return Number(tokens[pos++]);
+        };
+    }
+    else {
+        let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let littleEndian = format == "binary_little_endian";
+        let pos = headerEnd;
+        readNumber = function(type) {
+            if (!(type in PLY_TYPES)) {
+                throw new Error("Unknown PLY property type " + type);
+            }
+            let x = view[PLY_TYPES[type][0]](pos, littleEndian);
+            pos += PLY_TYPES[type][1];
+            return x;
+        };
+    }
+
+    let data = {positions:[], texCoords:[], normals:[], faces:[]};
+    elements.forEach(function(element) {
+        for (let i = 0; i < element.count; i++) {
+            let values = {};
+            element.properties.forEach(function(property) {
+                if ('countType' in property) {
+                    let list = [];
+                    let count = readNumber(property.countType);
+                    for (let k = 0; k < count; k++) {
+                        list.push(readNumber(property.type));
+                    }
+                    values[property.name] = list;
+                }
+                else {
+                    values[property.name] = readNumber(property.type);
+                }
+            });
+            let get = function(names) {
+                for (let k = 0; k < names.length; k++) {
+                    if (names[k] in values) {
+                        return values[names[k]];
+                    }
+                }
+                return null;
+            };
+            if (element.name == "vertex") {
+                data.positions.push([values.x, values.y, values.z]);
+                let u = get(["u", "s", "texture_u", "texture_s"]);
+                let v = get(["v", "t", "texture_v", "texture_t"]);
+                data.texCoords.push(u === null || v === null ? [0, 0] : [u, v]);
+                data.normals.push('nx' in values ? [values.nx, values.ny, values.nz] : null);
+            }
+            else if (element.name == "face") {
+                let face = get(["vertex_indices", "vertex_index"]);
+                if (!(face === null) && face.length >= 3) {
+                    data.faces.push(face);
+                }
+            }
+        }
+    });
+    // Faces can come before or after the vertices, so check them once both are read
+    data.faces.forEach(function(face) {
+        face.forEach(function(i) {
+            if (!(i >= 0 && i < data.positions.length)) {
+                throw new Error("PLY face refers to vertex " + i + ", but there are only " +
+                                data.positions.length + " vertices");
+            }
+        });
+    });
+    return data;
+}
+
+/**
+ * Parse an STL file in either of its formats.  STL files list every
+ * triangle's corners separately, so corners in the same place are
+ * merged into one vertex, which lets smooth shading average the
+ * normals of the triangles around it
+ *
+ * @param {Uint8Array} bytes The contents of the STL file
+ *
+ * @returns {object} The mesh data
+ */
+function parseSTL(bytes) {
+    let corners = [];
+    let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    // Binary files can also start with "solid", so check the size
+    // that the triangle count in the binary header implies instead
+    if (bytes.length >= 84 && 84 + 50*view.getUint32(80, true) == bytes.length) {
+        let count = view.getUint32(80, true);
+        for (let i = 0; i < count; i++) {
+            // Each triangle has a normal, three corners and a two byte attribute
+            for (let k = 0; k < 3; k++) {
+                let j = 84 + 50*i + 12 + 12*k;
+                corners.push([view.getFloat32(j, true), view.getFloat32(j+4, true), view.getFloat32(j+8, true)]);
+            }
+        }
+    }
+    else {
+        getTextFields(new TextDecoder().decode(bytes)).forEach(function(fields) {
+            if (fields[0] == "vertex") {
+                corners.push(fields.slice(1, 4).map(Number));
+            }
+        });
+    }
+    let data = {positions:[], texCoords:[], normals:[], faces:[]};
+    let vertices = new Map();
+    let face = [];
+    corners.forEach(function(p) {
+        let key = p.join(" ");
+        if (!vertices.has(key)) {
+            vertices.set(key, data.positions.length);
+            data.positions.push(p);
+            data.texCoords.push([0, 0]);
+            data.normals.push(null);
+        }
+        face.push(vertices.get(key));
+        if (face.length == 3) {
+            data.faces.push(face);
+            face = [];
+        }
+    });
+    return data;
+}
+
+/**
+ * Find the names of the materials in the MTL files of a scene's OBJ
+ * meshes, without importing the meshes, so that a scene can be checked
+ * with validateScene before importSceneMeshes runs on it
+ *
+ * @param {object} scene The scene, as parsed from JSON
+ * @param {function} loadFile A function that takes a path and returns the
+ *                            contents of the file as a Uint8Array, or null
+ *                            if it can't be loaded
+ *
+ * @returns {list} The names of the materials
+ */
+function getMeshMaterialNames(scene, loadFile) {
+    let names = [];
+    // Files that several shapes use are only loaded once
+    let loaded = {};
+    let addNode = function(node) {
+        if (node === null || typeof node != "object") {
+            return;
+        }
+        if (Array.isArray(node.shapes)) {
+            node.shapes.forEach(function(shape) {
+                if (shape === null || typeof shape != "object" || !(shape.type == "mesh") ||
+                    typeof shape.src != "string" || shape.src in loaded || !(getMeshFormat(shape.src) == "obj")) {
+                    return;
+                }
+                loaded[shape.src] = true;
+                let bytes = loadFile(shape.src);
+                if (bytes === null) {
+                    return;
+                }
+                // Problems loading the files are reported when they're imported
+                getTextFields(new TextDecoder().decode(bytes)).forEach(function(fields) {
+                    if (!(fields[0] == "mtllib")) {
+                        return;
+                    }
+                    fields.slice(1).forEach(function(mtllib) {
+                        let mtlSrc = getRelativePath(shape.src, mtllib);
+                        let mtl = mtlSrc in loaded ? null : loadFile(mtlSrc);
+                        loaded[mtlSrc] = true;
+                        if (mtl === null) {
+                            return;
+                        }
+                        names = names.concat(Object.keys(parseMTL(new TextDecoder().decode(mtl), mtlSrc)));
+                    });
+                });
+            });
+        }
+        if (Array.isArray(node.children)) {
+            node.children.forEach(addNode);
+        }
+    };
+    if (!(scene === null) && typeof scene == "object" && Array.isArray(scene.children)) {
+        scene.children.forEach(addNode);
+    }
+    return names;
+}
+
+/**
+ * Load the mesh shapes in a scene that have a src, adding the
+ * materials from OBJ files to the scene.  An OBJ file whose faces
+ * use several materials turns into one shape per material, unless
+ * the shape sets its own material, which all of the faces then use.
+ * Materials that the scene already has a material with the same name
+ * as keep the scene's version
+ *
+ * @param {object} scene The scene, as parsed from JSON.  The shapes get
+ *                       their mesh data in meshData
+ * @param {function} loadFile A function that takes a path and returns the
+ *                            contents of the file as a Uint8Array, or null
+ *                            if it can't be loaded
+ */
+function importSceneMeshes(scene, loadFile) {
+    if (!('materials' in scene)) {
+        scene.materials = {};
+    }
+    // Files that several shapes use are only loaded once
+    let imported = {};
+    let importFile = function(src) {
+        if (src in imported) {
+            return imported[src];
+        }
+        let format = getMeshFormat(src);
+        let bytes = format === null ? null : loadFile(src);
+        imported[src] = null;
+        if (bytes === null) {
+            console.log("Warning: Couldn't load mesh " + src);
+            return null;
+        }
+        try {
+            if (format == "obj") {
+                let obj = parseOBJ(new TextDecoder().decode(bytes));
+                obj.mtllibs.forEach(function(mtllib) {
+                    let mtlSrc = getRelativePath(src, mtllib);
+                    let mtl = loadFile(mtlSrc);
+                    if (mtl === null) {
+                        console.log("Warning: Couldn't load materials " + mtlSrc + " for mesh " + src);
+                        return;
+                    }
+                    let materials = parseMTL(new TextDecoder().decode(mtl), mtlSrc);
+                    for (let name in materials) {
+                        if (!(name in scene.materials)) {
+                            scene.materials[name] = materials[name];
+                        }
+                    }
+                });
+                imported[src] = obj.groups;
+            }
+            else {
+                let data = format == "ply" ? parsePLY(bytes) : parseSTL(bytes);
+                imported[src] = [{material:null, data:data}];
+            }
+        }
+        catch (error) {
+            console.log("Warning: Couldn't parse mesh " + src + ": " + error.message);
+        }
+        return imported[src];
+    };
+    let addNode = function(node) {
+        if (Array.isArray(node.shapes)) {
+            let shapes = [];
+            node.shapes.forEach(function(shape) {
+                let groups = null;
+                if (shape.type == "mesh" && 'src' in shape) {
+                    groups = importFile(shape.src);
+                }
+                if (groups === null) {
+                    shapes.push(shape);
+                    return;
+                }
+                groups.forEach(function(group) {
+                    let part = Object.assign({}, shape);
+                    part.meshData = group.data;
+                    if (!('material' in shape) && !(group.material === null) && group.material in scene.materials) {
+                        part.material = group.material;
+                    }
+                    shapes.push(part);
+                });
+            });
+            node.shapes = shapes;
+        }
+        if (Array.isArray(node.children)) {
+            node.children.forEach(addNode);
+        }
+    };
+    if (Array.isArray(scene.children)) {
+        scene.children.forEach(addNode);
+    }
+}
+
+/**
+ * Give every shape that importSceneMeshes loaded a mesh.  This should
+ * be run after SceneCanvas.setupScene or setupHeadlessScene, and before
+ * updateMeshDrawings
+ *
+ * @param {object} scene The scene
+ * @param {function} makeMesh Turns mesh data into a mesh
+ *                            (default makePrimitivePolyMesh)
+ */
+function addImportedMeshes(scene, makeMesh) {
+    if (makeMesh === undefined) {
+        makeMesh = makePrimitivePolyMesh;
+    }
+    // Shapes that came from the same file share a mesh
+    let meshes = new Map();
+    let addNode = function(node) {
+        if ('shapes' in node) {
+            node.shapes.forEach(function(shape) {
+                if ('meshData' in shape) {
+                    if (!meshes.has(shape.meshData)) {
+                        meshes.set(shape.meshData, makeMesh(shape.meshData));
+                    }
+                    shape.mesh = meshes.get(shape.meshData);
+                }
+            });
+        }
+        if ('children' in node) {
+            node.children.forEach(addNode);
+        }
+    };
+    scene.children.forEach(addNode);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MESH_IMPORT_FORMATS: MESH_IMPORT_FORMATS,
+        getMeshFormat: getMeshFormat,
+        parseOBJ: parseOBJ,
+        parseMTL: parseMTL,
+        parsePLY: parsePLY,
+        parseSTL: parseSTL,
+        getMeshMaterialNames: getMeshMaterialNames,
+        importSceneMeshes: importSceneMeshes,
+        addImportedMeshes: addImportedMeshes
+    };
+}
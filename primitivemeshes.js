@@ -0,0 +1,359 @@
+/**
+    Triangle meshes for the shape types that the ray tracer intersects
+    analytically but SceneCanvas doesn't know how to draw (planes, disks,
+    tori, capsules and quadrics), so that the object-first GLSL view shows
+    the same geometry as the ray tracer.  Each mesh is in the shape's own
+    coordinate system, including its center, so it's drawn with the
+    transform of the node that the shape is in.  The texture coordinates
+    match the ones that raytracer.frag computes
+
+    Assumes that
+    ggslac/jslibs/gl-matrix-min.js
+    ggslac/geometry/polymesh.js
+    have been included already
+ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    var glMatrix = require("./ggslac/jslibs/gl-matrix-min.js");
+}
+
+// How far an unbounded plane extends in each direction from its center
+const PREVIEW_PLANE_SIZE = 100;
+// Number of segments around surfaces of revolution
+const PREVIEW_SEGMENTS = 48;
+// Number of cells along each side of the cube that quadrics are clipped to
+const PREVIEW_QUADRIC_RESOLUTION = 32;
+// The shape types that get meshes here, in the order of SHAPE_TYPES in scenecompiler.js
+const PREVIEW_SHAPE_TYPES = ["plane", "disk", "torus", "capsule", "quadric"];
+
+/**
+ * Make a mesh out of a grid that's wrapped onto a surface
+ *
+ * @param {int} nu The number of cells along u
+ * @param {int} nv The number of cells along v
+ * @param {function} f A function that takes u and v in [0, 1] and returns
+ *                     {pos, uv}.  Faces are oriented so that their normals
+ *                     point along cross(dpos/du, dpos/dv)
+ *
+ * @returns {object} {positions: A list of [x, y, z],
+ *                    texCoords: A list of [u, v],
+ *                    faces: A list of triples of indices into positions}
+ */
+function getGridMeshData(nu, nv, f) {
+    let data = {positions:[], texCoords:[], faces:[]};
+    for (let j = 0; j <= nv; j++) {
+        for (let i = 0; i <= nu; i++) {
+            let p = f(i/nu, j/nv);
+            data.positions.push(p.pos);
+            data.texCoords.push(p.uv);
+        }
+    }
+    let addFace = function(a, b, c) {
+        // Leave out the slivers where a grid row collapses to a pole
+        let pa = data.positions[a];
+        let ab = glMatrix.vec3.create();
+        let ac = glMatrix.vec3.create();
+        glMatrix.vec3.sub(ab, data.positions[b], pa);
+        glMatrix.vec3.sub(ac, data.positions[c], pa);
+        let n = glMatrix.vec3.create();
+        glMatrix.vec3.cross(n, ab, ac);
+        if (glMatrix.vec3.length(n) > 1e-12) {
+            data.faces.push([a, b, c]);
+        }
+    };
+    for (let j = 0; j < nv; j++) {
+        for (let i = 0; i < nu; i++) {
+            let a = j*(nu+1) + i;
+            let b = a + 1;
+            let c = b + nu + 1;
+            let d = a + nu + 1;
+            addFace(a, b, c);
+            addFace(a, c, d);
+        }
+    }
+    return data;
+}
+
+/**
+ * Make a mesh for a surface of revolution about the y axis
+ *
+ * @param {list} profile A list of [distance from the axis, y, v texture
+ *                       coordinate], from the bottom to the top
+ *
+ * @returns {object} The mesh data, as returned by getGridMeshData
+ */
+function getRevolutionMeshData(profile) {
+    return getGridMeshData(PREVIEW_SEGMENTS, profile.length-1, function(u, v) {
+        let p = profile[Math.round(v*(profile.length-1))];
+        // u = 0.5 + atan(x, z)/(2pi), as in setRevolutionTextureCoords
+        let phi = 2*Math.PI*(u - 0.5);
+        return {pos:[p[0]*Math.sin(phi), p[1], p[0]*Math.cos(phi)], uv:[u, p[2]]};
+    });
+}
+
+/**
+ * Make a mesh for a quadric clipped to a cube by marching tetrahedra
+ *
+ * @param {list} k The coefficients [A, B, C, D, E, F, G, H, I, J] of
+ *                 Ax^2 + By^2 + Cz^2 + Dxy + Exz + Fyz + Gx + Hy + Iz + J
+ * @param {float} size The side length of the cube
+ *
+ * @returns {object} The mesh data, relative to the center of the quadric
+ */
+function getQuadricMeshData(k, size) {
+    let F = function(p) {
+        return k[0]*p[0]*p[0] + k[1]*p[1]*p[1] + k[2]*p[2]*p[2] + k[3]*p[0]*p[1] +
+               k[4]*p[0]*p[2] + k[5]*p[1]*p[2] + k[6]*p[0] + k[7]*p[1] + k[8]*p[2] + k[9];
+    };
+    let gradient = function(p) {
+        return [2*k[0]*p[0] + k[3]*p[1] + k[4]*p[2] + k[6],
+                2*k[1]*p[1] + k[3]*p[0] + k[5]*p[2] + k[7],
+                2*k[2]*p[2] + k[4]*p[0] + k[5]*p[1] + k[8]];
+    };
+    let n = PREVIEW_QUADRIC_RESOLUTION;
+    let corner = function(i, j, l) {
+        return [size*(i/n - 0.5), size*(j/n - 0.5), size*(l/n - 0.5)];
+    };
+    let values = [];
+    for (let l = 0; l <= n; l++) {
+        for (let j = 0; j <= n; j++) {
+            for (let i = 0; i <= n; i++) {
+                values.push(F(corner(i, j, l)));
+            }
+        }
+    }
+    let index = function(i, j, l) {
+        return (l*(n+1) + j)*(n+1) + i;
+    };
+    let position = function(idx) {
+        let i = idx % (n+1);
+        let j = Math.floor(idx/(n+1)) % (n+1);
+        let l = Math.floor(idx/((n+1)*(n+1)));
+        return corner(i, j, l);
+    };
+    let data = {positions:[], texCoords:[], faces:[]};
+    // Vertices are shared between the faces on either side of a grid edge
+    let edgeVertices = new Map();
+    let getEdgeVertex = function(a, b) {
+        let key = Math.min(a, b) + "_" + Math.max(a, b);
+        if (!edgeVertices.has(key)) {
+            let s = values[a]/(values[a] - values[b]);
+            let pa = position(a);
+            let pb = position(b);
+            let p = [0, 1, 2].map(function(c) {
+                return pa[c] + s*(pb[c] - pa[c]);
+            });
+            edgeVertices.set(key, data.positions.length);
+            data.positions.push(p);
+            data.texCoords.push([0.5 + Math.atan2(p[0], p[2])/(2*Math.PI), p[1]/size + 0.5]);
+        }
+        return edgeVertices.get(key);
+    };
+    let addFace = function(a, b, c) {
+        let p = [a, b, c].map(function(v) {
+            return data.positions[v];
+        });
+        let ab = glMatrix.vec3.create();
+        let ac = glMatrix.vec3.create();
+        glMatrix.vec3.sub(ab, p[1], p[0]);
+        glMatrix.vec3.sub(ac, p[2], p[0]);
+        let normal = glMatrix.vec3.create();
+        glMatrix.vec3.cross(normal, ab, ac);
+        if (glMatrix.vec3.length(normal) < 1e-12) {
+            return;
+        }
+        // Point the face the same way as the ray tracer's normal
+        let centroid = [0, 1, 2].map(function(c) {
+            return (p[0][c] + p[1][c] + p[2][c])/3;
+        });
+        if (glMatrix.vec3.dot(normal, gradient(centroid)) < 0) {
+            data.faces.push([a, c, b]);
+        }
+        else {
+            data.faces.push([a, b, c]);
+        }
+    };
+    // Each cube is split into six tetrahedra around its diagonal from corner
+    // 0 to corner 7, where corner c is offset by (c & 1, (c >> 1) & 1, c >> 2)
+    let tets = [[0, 1, 3, 7], [0, 1, 5, 7], [0, 2, 3, 7], [0, 2, 6, 7], [0, 4, 5, 7], [0, 4, 6, 7]];
+    for (let l = 0; l < n; l++) {
+        for (let j = 0; j < n; j++) {
+            for (let i = 0; i < n; i++) {
+                let corners = [];
+                for (let c = 0; c < 8; c++) {
+                    corners.push(index(i + (c & 1), j + ((c >> 1) & 1), l + (c >> 2)));
+                }
+                tets.forEach(function(tet) {
+                    let inside = [];
+                    let outside = [];
+                    tet.forEach(function(c) {
+                        if (values[corners[c]] < 0) {
+                            inside.push(corners[c]);
+                        }
+                        else {
+                            outside.push(corners[c]);
+                        }
+                    });
+                    if (inside.length == 1 || outside.length == 1) {
+                        let lone = inside.length == 1 ? inside[0] : outside[0];
+                        let others = inside.length == 1 ? outside : inside;
+                        addFace(getEdgeVertex(lone, others[0]), getEdgeVertex(lone, others[1]),
+                                getEdgeVertex(lone, others[2]));
+                    }
+                    else if (inside.length == 2) {
+                        let a = getEdgeVertex(inside[0], outside[0]);
+                        let b = getEdgeVertex(inside[0], outside[1]);
+                        let c = getEdgeVertex(inside[1], outside[1]);
+                        let d = getEdgeVertex(inside[1], outside[0]);
+                        addFace(a, b, c);
+                        addFace(a, c, d);
+                    }
+                });
+            }
+        }
+    }
+    return data;
+}
+
+/**
+ * Make the mesh for a shape
+ *
+ * @param {object} shape The shape, with the same defaults as
+ *                       SHAPE_TYPES in scenecompiler.js
+ *
+ * @returns {object} {positions, texCoords, faces}, as returned by
+ *                   getGridMeshData, or null if the shape isn't one
+ *                   of PREVIEW_SHAPE_TYPES
+ */
+function getPrimitiveMeshData(shape) {
+    let get = function(key, def) {
+        return key in shape ? shape[key] : def;
+    };
+    let data = null;
+    if (shape.type == "plane") {
+        let W = get('width', 0);
+        let L = get('length', 0);
+        let sizeX = W > 0 ? W : 2*PREVIEW_PLANE_SIZE;
+        let sizeZ = L > 0 ? L : 2*PREVIEW_PLANE_SIZE;
+        // s goes along z and t along x, so that the normal points up
+        data = getGridMeshData(16, 16, function(s, t) {
+            let x = sizeX*(t - 0.5);
+            let z = sizeZ*(s - 0.5);
+            return {pos:[x, 0, z], uv:[W > 0 ? t : x, L > 0 ? s : z]};
+        });
+    }
+    else if (shape.type == "disk") {
+        let r = get('radius', 1);
+        data = getGridMeshData(PREVIEW_SEGMENTS, 1, function(u, v) {
+            let phi = 2*Math.PI*u;
+            let x = v*r*Math.cos(phi);
+            let z = v*r*Math.sin(phi);
+            return {pos:[x, 0, z], uv:[0.5 + x/(2*r), 0.5 + z/(2*r)]};
+        });
+    }
+    else if (shape.type == "torus") {
+        let R = get('radius', 1);
+        let r = get('tubeRadius', 0.25);
+        let profile = [];
+        for (let i = 0; i <= PREVIEW_SEGMENTS/2; i++) {
+            let v = i/(PREVIEW_SEGMENTS/2);
+            let theta = 2*Math.PI*(v - 0.5);
+            profile.push([R + r*Math.cos(theta), r*Math.sin(theta), v]);
+        }
+        data = getRevolutionMeshData(profile);
+    }
+    else if (shape.type == "capsule") {
+        let r = get('radius', 0.5);
+        let h = get('height', 1);
+        let profile = [];
+        let steps = PREVIEW_SEGMENTS/4;
+        for (let i = 0; i <= steps; i++) {
+            let alpha = Math.PI/2*(i/steps - 1);
+            profile.push([r*Math.cos(alpha), -h/2 + r*Math.sin(alpha)]);
+        }
+        for (let i = 0; i <= steps; i++) {
+            let alpha = Math.PI/2*i/steps;
+            profile.push([r*Math.cos(alpha), h/2 + r*Math.sin(alpha)]);
+        }
+        profile.forEach(function(p) {
+            p.push((p[1] + h/2 + r)/(h + 2*r));
+        });
+        data = getRevolutionMeshData(profile);
+    }
+    else if (shape.type == "quadric") {
+        data = getQuadricMeshData(get('coefficients', [1, 1, 1, 0, 0, 0, 0, 0, 0, -1]), get('size', 2));
+    }
+    if (!(data === null)) {
+        let c = get('center', [0, 0, 0]);
+        data.positions = data.positions.map(function(p) {
+            return [p[0] + c[0], p[1] + c[1], p[2] + c[2]];
+        });
+    }
+    return data;
+}
+
+/**
+ * Turn mesh data into a PolyMesh that SceneCanvas can draw
+ *
+ * @param {object} data {positions, texCoords, faces}, as returned by
+ *                      getPrimitiveMeshData, or with normals as well, as
+ *                      returned by the importers in meshimport.js
+ *
+ * @returns {PolyMesh} The mesh
+ */
+function makePrimitivePolyMesh(data) {
+    let mesh = new PolyMesh();
+    let vertices = data.positions.map(function(p, i) {
+        let v = mesh.addVertex(glMatrix.vec3.fromValues(p[0], p[1], p[2]));
+        v.texCoords = glMatrix.vec2.fromValues(data.texCoords[i][0], data.texCoords[i][1]);
+        if (!(data.normals === undefined || data.normals[i] === null)) {
+            // The ray tracer's smooth shading uses these instead of
+            // averaging the normals of the faces around the vertex
+            v.vertexNormal = glMatrix.vec3.fromValues(data.normals[i][0], data.normals[i][1], data.normals[i][2]);
+        }
+        return v;
+    });
+    data.faces.forEach(function(face) {
+        mesh.addFace(face.map(function(i) {
+            return vertices[i];
+        }));
+    });
+    mesh.needsDisplayUpdate = true;
+    return mesh;
+}
+
+/**
+ * Give every shape in a scene whose type is in PREVIEW_SHAPE_TYPES a mesh
+ * for the object-first GLSL view.  This should be run after
+ * SceneCanvas.setupScene, and before updateMeshDrawings
+ *
+ * @param {object} scene The scene
+ * @param {function} makeMesh Turns mesh data into a mesh
+ *                            (default makePrimitivePolyMesh)
+ */
+function addPrimitiveMeshes(scene, makeMesh) {
+    if (makeMesh === undefined) {
+        makeMesh = makePrimitivePolyMesh;
+    }
+    let addNode = function(node) {
+        if ('shapes' in node) {
+            node.shapes.forEach(function(shape) {
+                if (PREVIEW_SHAPE_TYPES.indexOf(shape.type) > -1) {
+                    shape.mesh = makeMesh(getPrimitiveMeshData(shape));
+                }
+            });
+        }
+        if ('children' in node) {
+            node.children.forEach(addNode);
+        }
+    };
+    scene.children.forEach(addNode);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PREVIEW_SHAPE_TYPES: PREVIEW_SHAPE_TYPES,
+        getPrimitiveMeshData: getPrimitiveMeshData,
+        addPrimitiveMeshes: addPrimitiveMeshes
+    };
+}
@@ -1,49 +1,30 @@
 /**
     A class to construct a shader corresponding to a scene.
     Every time the scene is changed, this should create a new
-    fragment shader with elements of the scene declared as constants,
-    and then it will call this fragment shader to set off the ray tracer
+    fragment shader with elements of the scene declared as constants
+    (see scenecompiler.js), and then it will call this fragment shader
+    to set off the ray tracer
 
     Assumes that
     ggslac/viewers/scenecanvas.js
     ggslac/viewers/basecanvas.js
+    meshbvh.js
+    scenecompiler.js
+    reftracer.js
+    animation.js
+    zipwriter.js
+    environment.js
     have been included already
  */
 
 
 const BASIC_VERTEXSHADER_SRC = "attribute vec2 a_position;varying vec2 v_position;void main() {gl_Position = vec4(a_position, 0, 1);v_position = a_position;}";
-const DEFAULT_RAY_INTERSECT_SCENE_SRC = "float rayIntersectScene(Ray ray, out Intersection intersect){return INF;}";
-const CHECK_NEAREST_INTERSECTION_SRC = "\tif(tCurr < tMin) {\n" +
-                                        "\t\ttMin = tCurr;\n"+
-                                        "\t\tintersect = intersectCurr;\n" +
-                                        "\t}\n";
-const MAX_LIGHTS = 10
-const MAX_MATERIALS = 10
-
-function vec3ToGLSLStr(v, k) {
-    if (k === undefined) {
-        k = 5;
-    }
-    return "vec3(" + v[0].toFixed(k) + "," + v[1].toFixed(k) + "," + v[2].toFixed(k) + ")";
-}
-
-function matToGLSLStr(m, k) {
-    if (k === undefined) {
-        k = 5;
-    }
-    let s = "mat4(";
-    if (m.length == 9) {
-        s = "mat3(";
-    }
-    for (let i = 0; i < m.length; i++) {
-        s += m[i].toFixed(k);
-        if (i < m.length-1) {
-            s += ",";
-        }
-    }
-    s += ")";
-    return s;
-}
+const ENVIRONMENT_TEXTURE_UNIT = 4;
+const IRRADIANCE_TEXTURE_UNIT = 5;
+const FIRST_IMAGE_TEXTURE_UNIT = 6; // The units before this hold the data textures, the accumulated image and the environment
+// What the ray tracer can show, in the order of the RENDER_* constants in raytracer.frag
+const RENDER_MODES = ["shaded", "normals", "depth", "material", "objectID", "shadows", "bounces", "heatmap"];
+const DISPLAY_FRAGMENTSHADER_SRC = "precision mediump float;uniform sampler2D accumTexture;varying vec2 v_position;void main() {gl_FragColor = vec4(texture2D(accumTexture, 0.5*(v_position + 1.0)).rgb, 1.0);}";
 
 /**
  * 
@@ -57,76 +38,142 @@ function RayCanvas(glcanvas, glslcanvas) {
     glcanvas.glslcanvas = glslcanvas;
     glcanvas.vertexShader = null;
     glcanvas.fragmentShader = null;
+    glcanvas.fragmentSrc = null;
+    glcanvas.shader = null;
+    // The scene that the shader and its data textures were built for, which
+    // lags behind the glsl canvas's scene when a new scene doesn't compile
+    glcanvas.scene = null;
 
     /**
      * A function that sends over information about the camera,
      * lights, and materials
      */
     glcanvas.updateUniforms = function() {
-        let shader = glcanvas.shader;
         let gl = glcanvas.gl;
-        gl.uniform1f(shader.u_canvas_width, glcanvas.clientWidth);
-        gl.uniform1f(shader.u_canvas_height, glcanvas.clientHeight);
+        glcanvas.setUniform("canvas_width", glcanvas.clientWidth);
+        glcanvas.setUniform("canvas_height", glcanvas.clientHeight);
         let showLights = 0;
         if (glcanvas.glslcanvas.showLights) {
             showLights = 1;
         }
-        gl.uniform1i(shader.u_showLights, showLights);
-        gl.uniform1f(shader.u_beaconRadius, BEACON_SIZE);
-        let orthographic = 0;
-        if (glcanvas.orthographic) {
-            orthographic = 1;
+        glcanvas.setUniform("showLights", showLights);
+        glcanvas.setUniform("beaconRadius", BEACON_SIZE);
+        let cameraValues = getCameraUniforms(glcanvas.getCameraSettings(), glcanvas.clientHeight/glcanvas.clientWidth);
+        for (let name in cameraValues) {
+            glcanvas.setUniform(name, cameraValues[name]);
+        }
+        // Progressive rendering overrides these for each frame it accumulates
+        glcanvas.setUniform("progressive", 0);
+        glcanvas.setUniform("sampleCount", 0);
+        glcanvas.setUniform("jitter", [0, 0]);
+        glcanvas.setUniform("seed", 1000*Math.random());
+        glcanvas.setUniform("tile", [-1, -1, 1, 1]);
+        glcanvas.setUniform("renderMode", Math.max(0, RENDER_MODES.indexOf(glcanvas.renderMode)));
+        glcanvas.setUniform("debugLight", Math.round(glcanvas.debugLight));
+        glcanvas.setUniform("depthRange", glcanvas.depthRange);
+        glcanvas.setUniform("heatmapMax", glcanvas.heatmapMax);
+        glcanvas.setUniform("selectedObject", glcanvas.selection === null ? -1 : glcanvas.selection.object.id);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, glcanvas.meshNodesTexture);
+        glcanvas.setUniform("meshNodes", 0);
+        glcanvas.setUniform("meshNodesHeight", glcanvas.meshNodesHeight);
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, glcanvas.meshTrianglesTexture);
+        glcanvas.setUniform("meshTriangles", 1);
+        glcanvas.setUniform("meshTrianglesHeight", glcanvas.meshTrianglesHeight);
+        gl.activeTexture(gl.TEXTURE3);
+        gl.bindTexture(gl.TEXTURE_2D, glcanvas.objectsTexture);
+        glcanvas.setUniform("objects", 3);
+        if (!(glcanvas.objects === null)) {
+            let values = getObjectUniforms(glcanvas.objects);
+            for (let name in values) {
+                glcanvas.setUniform(name, values[name]);
+            }
         }
-        gl.uniform1i(shader.u_orthographic, orthographic);
+        gl.activeTexture(gl.TEXTURE0 + ENVIRONMENT_TEXTURE_UNIT);
+        gl.bindTexture(gl.TEXTURE_2D, glcanvas.environmentTexture);
+        glcanvas.setUniform("environmentMap", ENVIRONMENT_TEXTURE_UNIT);
+        gl.activeTexture(gl.TEXTURE0 + IRRADIANCE_TEXTURE_UNIT);
+        gl.bindTexture(gl.TEXTURE_2D, glcanvas.irradianceTexture);
+        glcanvas.setUniform("irradianceMap", IRRADIANCE_TEXTURE_UNIT);
+        if (!(glcanvas.environment === null)) {
+            let values = getEnvironmentUniforms(glcanvas.environment);
+            for (let name in values) {
+                glcanvas.setUniform(name, values[name]);
+            }
+        }
+        glcanvas.imageTextures.forEach(function(texture, i) {
+            gl.activeTexture(gl.TEXTURE0 + FIRST_IMAGE_TEXTURE_UNIT + i);
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+        });
         let camera = glcanvas.glslcanvas.camera;
         if (!(camera === null)) {
-            gl.uniform3fv(shader.u_eye, camera.pos);
-            gl.uniform3fv(shader.u_right, camera.right);
-            gl.uniform3fv(shader.u_up, camera.up);
-            gl.uniform1f(shader.u_fovx, camera.fovx);
-            gl.uniform1f(shader.u_fovy, camera.fovy);
+            glcanvas.setUniform("eye", camera.pos);
+            glcanvas.setUniform("right", camera.right);
+            glcanvas.setUniform("up", camera.up);
+            glcanvas.setUniform("fovx", camera.fovx);
+            glcanvas.setUniform("fovy", camera.fovy);
         }
-        let scene = glcanvas.glslcanvas.scene;
+        let scene = glcanvas.scene;
         if (!(scene === null)) {
             if (scene.lights === null) {
                 console.log("Warning: No lights declared in scene");
             }
-            else {
-                let numLights = Math.min(MAX_LIGHTS, scene.lights.length);
-                gl.uniform1i(shader.u_numLights, numLights);
-                for (let i = 0; i < numLights; i++) {
-                    gl.uniform3fv(shader.u_lights[i].pos, scene.lights[i].camera.pos);
-                    gl.uniform3fv(shader.u_lights[i].color, scene.lights[i].color);
-                    gl.uniform3fv(shader.u_lights[i].atten, scene.lights[i].atten);
-                    let towards = glMatrix.vec3.create();
-                    glMatrix.vec3.cross(towards, scene.lights[i].camera.up, scene.lights[i].camera.right);
-                    glMatrix.vec3.normalize(towards, towards);
-                    gl.uniform3fv(shader.u_lights[i].towards, towards);
-                    gl.uniform1f(shader.u_lights[i].angle, scene.lights[i].angle);
-                }                
-            }
             if (scene.materialsArr === null) {
                 console.log("Warning: No materials declared in scene");
             }
-            else {
-                let numMaterials = Math.min(MAX_MATERIALS, scene.materialsArr.length);
-                gl.uniform1i(shader.u_numMaterials, numMaterials);
-                for (i = 0; i < numMaterials; i++) {
-                    gl.uniform3fv(shader.u_materials[i].kd, scene.materialsArr[i].kd);
-                    gl.uniform3fv(shader.u_materials[i].ks, scene.materialsArr[i].ks);
-                    gl.uniform3fv(shader.u_materials[i].ka, scene.materialsArr[i].ka);
-                    gl.uniform1f(shader.u_materials[i].shininess, scene.materialsArr[i].shininess);
-                    gl.uniform1f(shader.u_materials[i].refraction, scene.materialsArr[i].refraction);
-                    let special = 0;
-                    if (scene.materialsArr[i].special) {
-                        special = 1;
-                    }
-                    gl.uniform1i(shader.u_materials[i].special, special);
-                }
+            let values = getSceneUniforms(scene);
+            for (let name in values) {
+                glcanvas.setUniform(name, values[name]);
             }
         }
     }
 
+    /**
+     * Send over the value of a uniform in the ray tracing shader, using
+     * the type that the uniform manifest has for it.  Uniforms that the
+     * shader compiler optimized away are quietly skipped
+     * 
+     * @param {string} name The name of the uniform, e.g. "lights[0].pos"
+     * @param {number or list} value The value of the uniform.  Samplers
+     *                               take the index of a texture unit
+     */
+    glcanvas.setUniform = function(name, value) {
+        let gl = glcanvas.gl;
+        let uniform = glcanvas.shader.uniforms[name];
+        if (uniform === undefined || uniform.location === null) {
+            return;
+        }
+        let loc = uniform.location;
+        switch (uniform.type) {
+            case "float":
+                gl.uniform1f(loc, value);
+                break;
+            case "int":
+            case "bool":
+            case "sampler2D":
+                gl.uniform1i(loc, value);
+                break;
+            case "vec2":
+                gl.uniform2fv(loc, value);
+                break;
+            case "vec3":
+                gl.uniform3fv(loc, value);
+                break;
+            case "vec4":
+                gl.uniform4fv(loc, value);
+                break;
+            case "mat3":
+                gl.uniformMatrix3fv(loc, false, value);
+                break;
+            case "mat4":
+                gl.uniformMatrix4fv(loc, false, value);
+                break;
+            default:
+                console.log("Warning: Don't know how to set uniform " + name + " of type " + uniform.type);
+        }
+    }
+
     /**
      * Setup the vertex shader and four corners of the image
      * once at the beginning of initializing this object, 
@@ -155,44 +202,478 @@ function RayCanvas(glcanvas, glslcanvas) {
         gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, glcanvas.indexBuffer);
         const tris = new Uint16Array([0, 1, 2, 1, 2, 3]);
         gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, tris, gl.STATIC_DRAW);
+
+        // Setup floating point textures to hold mesh triangles and BVHs,
+        // the parameters of every object in the scene, and the environment
+        if (!gl.getExtension("OES_texture_float")) {
+            alert("Floating point textures are not supported, so scenes cannot be ray traced");
+        }
+        glcanvas.meshNodesTexture = gl.createTexture();
+        glcanvas.meshTrianglesTexture = gl.createTexture();
+        glcanvas.objectsTexture = gl.createTexture();
+        glcanvas.environmentTexture = gl.createTexture();
+        glcanvas.irradianceTexture = gl.createTexture();
+        [glcanvas.meshNodesTexture, glcanvas.meshTrianglesTexture, glcanvas.objectsTexture,
+         glcanvas.environmentTexture, glcanvas.irradianceTexture].forEach(function(texture) {
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.FLOAT, new Float32Array(4));
+        });
+        glcanvas.meshNodesHeight = 1;
+        glcanvas.meshTrianglesHeight = 1;
+        glcanvas.objects = null;
+        glcanvas.environment = null;
+        glcanvas.imageTextures = [];
+        glcanvas.textureCache = {};
+
+        // Setup the shader that copies the accumulated image to the screen
+        gl.getExtension("WEBGL_color_buffer_float");
+        glcanvas.displayShader = gl.createProgram();
+        let displayShader = glcanvas.displayShader;
+        gl.attachShader(displayShader, glcanvas.vertexShader);
+        gl.attachShader(displayShader, getShader(gl, DISPLAY_FRAGMENTSHADER_SRC, "fragment"));
+        gl.linkProgram(displayShader);
+        if (!gl.getProgramParameter(displayShader, gl.LINK_STATUS)) {
+            alert("Could not initialize display shader");
+        }
+        displayShader.positionLocation = gl.getAttribLocation(displayShader, "a_position");
+        displayShader.u_accumTexture = gl.getUniformLocation(displayShader, "accumTexture");
+        glcanvas.accumBuffers = [];
+        glcanvas.accumWidth = 0;
+        glcanvas.accumHeight = 0;
+        glcanvas.accumIdx = 0;
+    }
+
+    /**
+     * Make a texture and a framebuffer that renders into it
+     * 
+     * @param {int} width The width of the texture
+     * @param {int} height The height of the texture
+     * @param {GLenum} type gl.FLOAT or gl.UNSIGNED_BYTE
+     * 
+     * @returns {object} {texture, framebuffer, complete: Whether
+     *                    the framebuffer can be rendered to}
+     */
+    glcanvas.createRenderTarget = function(width, height, type) {
+        let gl = glcanvas.gl;
+        let buffer = {texture:gl.createTexture(), framebuffer:gl.createFramebuffer()};
+        gl.bindTexture(gl.TEXTURE_2D, buffer.texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, type, null);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, buffer.framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, buffer.texture, 0);
+        buffer.complete = gl.checkFramebufferStatus(gl.FRAMEBUFFER) == gl.FRAMEBUFFER_COMPLETE;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        return buffer;
+    }
+
+    /**
+     * Free the textures and framebuffers of a list of render targets
+     * 
+     * @param {list} buffers Render targets, as returned by createRenderTarget
+     */
+    glcanvas.deleteRenderTargets = function(buffers) {
+        let gl = glcanvas.gl;
+        buffers.forEach(function(buffer) {
+            gl.deleteFramebuffer(buffer.framebuffer);
+            gl.deleteTexture(buffer.texture);
+        });
+    }
+
+    /**
+     * Make sure that the two floating point framebuffers that progressive
+     * rendering ping-pongs between exist and match the size of the canvas
+     * 
+     * @returns {boolean} Whether the framebuffers can be rendered to
+     */
+    glcanvas.setupAccumBuffers = function() {
+        let gl = glcanvas.gl;
+        let width = gl.drawingBufferWidth;
+        let height = gl.drawingBufferHeight;
+        if (glcanvas.accumWidth == width && glcanvas.accumHeight == height) {
+            return glcanvas.accumSupported;
+        }
+        glcanvas.deleteRenderTargets(glcanvas.accumBuffers);
+        glcanvas.accumBuffers = [];
+        glcanvas.accumSupported = true;
+        for (let i = 0; i < 2; i++) {
+            let buffer = glcanvas.createRenderTarget(width, height, gl.FLOAT);
+            if (!buffer.complete) {
+                glcanvas.accumSupported = false;
+            }
+            glcanvas.accumBuffers.push(buffer);
+        }
+        if (!glcanvas.accumSupported) {
+            console.log("Warning: Cannot render to floating point textures, so progressive rendering is disabled");
+        }
+        glcanvas.accumWidth = width;
+        glcanvas.accumHeight = height;
+        glcanvas.resetAccumulation();
+        return glcanvas.accumSupported;
+    }
+
+    /**
+     * Throw away the accumulated image, so that progressive
+     * rendering starts over on the next repaint
+     */
+    glcanvas.resetAccumulation = function() {
+        glcanvas.sampleCount = 0;
+        glcanvas.samples = "0 / " + glcanvas.targetSamples;
+    }
+
+    /**
+     * Summarize everything about the camera that affects the
+     * rays, so that camera changes that happen outside of this
+     * canvas can be noticed
+     * 
+     * @returns {string} A key that changes whenever the camera does
+     */
+    glcanvas.getCameraKey = function() {
+        let camera = glcanvas.glslcanvas.camera;
+        if (camera === null) {
+            return "";
+        }
+        let settings = glcanvas.getCameraSettings();
+        let key = [camera.pos, camera.right, camera.up, camera.fovx, camera.fovy];
+        for (let name in settings) {
+            key.push(settings[name]);
+        }
+        return key.join(";");
+    }
+
+    /**
+     * Get the settings of the camera model from the menu
+     * 
+     * @returns {object} {projection, aperture, focusDistance, viewWidth, fisheyeFov}
+     */
+    glcanvas.getCameraSettings = function() {
+        let settings = {};
+        for (let key in CAMERA_DEFAULTS) {
+            settings[key] = glcanvas[key];
+        }
+        return settings;
+    }
+
+    /**
+     * When the camera being looked through has changed, switch the
+     * menu over to the camera model that its entry in the scene file has
+     */
+    glcanvas.updateCameraSettings = function() {
+        let camera = glcanvas.glslcanvas.camera;
+        let scene = glcanvas.scene;
+        if (camera === glcanvas.lastCamera || scene === null || scene.cameras === undefined) {
+            return;
+        }
+        glcanvas.lastCamera = camera;
+        scene.cameras.forEach(function(c) {
+            if (c.camera === camera) {
+                let settings = getCameraSettings(c);
+                for (let key in settings) {
+                    glcanvas[key] = settings[key];
+                }
+            }
+        });
+        // The tracer for picking casts rays with the old camera model
+        glcanvas.refTracer = null;
+    }
+
+    /**
+     * Set the focus distance of the thin lens to the depth of
+     * whatever is under a pixel, by tracing a ray through its
+     * center with the reference ray tracer
+     * 
+     * @param {float} X The pixel's distance from the left of the canvas
+     * @param {float} Y The pixel's distance from the top of the canvas
+     */
+    glcanvas.focusAt = function(X, Y) {
+        let camera = glcanvas.glslcanvas.camera;
+        let hit = glcanvas.castRay(X, Y);
+        if (hit === null) {
+            return;
+        }
+        // The plane of focus is perpendicular to the view direction
+        let towards = glMatrix.vec3.create();
+        glMatrix.vec3.cross(towards, camera.up, camera.right);
+        glMatrix.vec3.normalize(towards, towards);
+        glcanvas.focusDistance = hit.intersect.t*glMatrix.vec3.dot(hit.ray.v, towards);
+        glcanvas.refTracer = null;
+        requestAnimFrame(glcanvas.repaint);
+    }
+
+    /**
+     * Trace the camera ray through the center of a pixel with
+     * the reference ray tracer, to find out what's under it
+     * 
+     * @param {float} X The pixel's distance from the left of the canvas
+     * @param {float} Y The pixel's distance from the top of the canvas
+     * 
+     * @returns {object} {ray, intersect: The nearest intersection, as returned
+     *                    by RefTracer.intersectScene}, or null if the ray
+     *                    doesn't hit anything
+     */
+    glcanvas.castRay = function(X, Y) {
+        let camera = glcanvas.glslcanvas.camera;
+        let scene = glcanvas.scene;
+        if (camera === null || scene === null) {
+            return null;
+        }
+        if (glcanvas.refTracer === null) {
+            glcanvas.refTracer = new RefTracer(scene, {environment:glcanvas.environment,
+                                                       camera:glcanvas.getCameraSettings()});
+        }
+        let x = 2*X/glcanvas.clientWidth - 1;
+        let y = 1 - 2*Y/glcanvas.clientHeight;
+        let ray = glcanvas.refTracer.getRay(camera, x, y, glcanvas.clientHeight/glcanvas.clientWidth);
+        let intersect = glcanvas.refTracer.intersectScene(ray);
+        if (intersect === null) {
+            return null;
+        }
+        return {ray:ray, intersect:intersect};
+    }
+
+    /**
+     * Select the shape under a pixel, so that it's outlined in
+     * the render and can be edited in the Selection menu, or
+     * clear the selection if there's nothing under the pixel
+     * 
+     * @param {float} X The pixel's distance from the left of the canvas
+     * @param {float} Y The pixel's distance from the top of the canvas
+     */
+    glcanvas.pickAt = function(X, Y) {
+        let hit = glcanvas.castRay(X, Y);
+        let object = null;
+        if (!(hit === null || glcanvas.objects === null)) {
+            glcanvas.objects.objects.forEach(function(o) {
+                if (o.shape === hit.intersect.object.shape) {
+                    object = o;
+                }
+            });
+        }
+        glcanvas.setSelection(object);
+    }
+
+    /**
+     * Change which shape is selected, and fill the Selection menu
+     * in with its material, dimensions and transform
+     * 
+     * @param {object} object The shape's object, as returned by
+     *                        getSceneObjects, or null to select nothing
+     */
+    glcanvas.setSelection = function(object) {
+        glcanvas.selectionControllers.forEach(function(controller) {
+            glcanvas.selectionMenu.remove(controller);
+        });
+        glcanvas.selectionControllers = [];
+        glcanvas.selection = null;
+        glcanvas.resetAccumulation();
+        if (glcanvas.active) {
+            requestAnimFrame(glcanvas.repaint);
+        }
+        let scene = glcanvas.scene;
+        if (object === null || scene === null) {
+            return;
+        }
+        let shape = object.shape;
+        let node = object.nodes[object.nodes.length-1];
+        let props = {selected:(node.name === undefined ? "" : node.name + " ") + "(" + shape.type + ")"};
+        glcanvas.selection = {object:object, node:node, shape:shape, props:props};
+        let add = function(controller) {
+            glcanvas.selectionControllers.push(controller);
+            return controller;
+        };
+        add(glcanvas.selectionMenu.add(props, 'selected'));
+
+        // Material, which can be switched for another one in the
+        // scene, and whose colors are shared with everything using it.
+        // Physically based materials have their own colors and settings
+        let materialNames = Object.keys(scene.materials);
+        let model = shape.material.type == "pbr" ? "pbr" : "phong";
+        let colorKeys = ['kd', 'ks'];
+        let numberKeys = [['shininess', 0, null]];
+        if (model == "pbr") {
+            colorKeys = ['baseColor', 'emission'];
+            numberKeys = [['metallic', 0, 1], ['roughness', 0, 1], ['ior', 1, null]];
+        }
+        let colorControllers = [];
+        let getColors = function() {
+            let defaults = model == "pbr" ? PBR_DEFAULTS : {kd:[0, 0, 0], ks:[0, 0, 0], shininess:0};
+            colorKeys.forEach(function(key) {
+                let color = key in shape.material ? shape.material[key] : defaults[key];
+                props[key] = color.map(function(c) {
+                    return 255*c;
+                });
+            });
+            numberKeys.forEach(function(param) {
+                props[param[0]] = param[0] in shape.material ? shape.material[param[0]] : defaults[param[0]];
+            });
+            colorControllers.forEach(function(controller) {
+                controller.updateDisplay();
+            });
+        };
+        let shapeChanged = function() {
+            glcanvas.resetAccumulation();
+            if (glcanvas.active) {
+                requestAnimFrame(glcanvas.repaint);
+            }
+            if (glcanvas.glslcanvas.active) {
+                requestAnimFrame(glcanvas.glslcanvas.repaint);
+            }
+        };
+        materialNames.forEach(function(name) {
+            if (scene.materials[name] === shape.material) {
+                props.material = name;
+            }
+        });
+        getColors();
+        add(glcanvas.selectionMenu.add(props, 'material', materialNames)).onChange(function(name) {
+            shape.material = scene.materials[name];
+            glcanvas.updateShapeObjects(shape);
+            if ((shape.material.type == "pbr" ? "pbr" : "phong") != model) {
+                // The new material has different settings, so start the menu over
+                glcanvas.setSelection(object);
+                return;
+            }
+            getColors();
+            shapeChanged();
+        });
+        colorKeys.forEach(function(key) {
+            colorControllers.push(add(glcanvas.selectionMenu.addColor(props, key)).onChange(function(color) {
+                shape.material[key] = color.map(function(c) {
+                    return c/255;
+                });
+                shapeChanged();
+            }));
+        });
+        numberKeys.forEach(function(param) {
+            let controller = add(glcanvas.selectionMenu.add(props, param[0])).min(param[1]);
+            if (!(param[2] === null)) {
+                controller.max(param[2]).step(0.01);
+            }
+            colorControllers.push(controller.onChange(function(value) {
+                shape.material[param[0]] = value;
+                shapeChanged();
+            }));
+        });
+
+        // Dimensions that are single numbers
+        SHAPE_TYPES[object.shapeType].params.forEach(function(param) {
+            if (!(typeof param[1] == "number")) {
+                return;
+            }
+            props[param[0]] = param[0] in shape ? shape[param[0]] : param[1];
+            add(glcanvas.selectionMenu.add(props, param[0])).min(0).step(0.01).onChange(function(value) {
+                shape[param[0]] = value;
+                glcanvas.updateShapeObjects(shape);
+                shapeChanged();
+            });
+        });
+
+        // Transform of the node that the shape is in, as a translation,
+        // rotations in degrees about x, then y, then z, and a scale
+        let parts = getTransformParts(node.transform);
+        let keys = ['translateX', 'translateY', 'translateZ', 'rotateX', 'rotateY', 'rotateZ',
+                    'scaleX', 'scaleY', 'scaleZ'];
+        keys.forEach(function(key, i) {
+            props[key] = parts[i];
+            let controller = add(glcanvas.selectionMenu.add(props, key)).step(0.01);
+            controller.onChange(function() {
+                glcanvas.setNodeTransform(node, makeTransform(keys.map(function(k) {
+                    return props[k];
+                })));
+            });
+        });
+    }
+
+    /**
+     * Point the a_position attribute of a shader at the
+     * four corners of the image
+     * 
+     * @param {WebGLProgram} shader The shader
+     */
+    glcanvas.bindPositionBuffer = function(shader) {
+        let gl = glcanvas.gl;
+        gl.enableVertexAttribArray(shader.positionLocation);
+        gl.bindBuffer(gl.ARRAY_BUFFER, glcanvas.positionBuffer);
+        gl.vertexAttribPointer(shader.positionLocation, 2, gl.FLOAT, false, 0, 0);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, glcanvas.indexBuffer);
     }
 
     /**
      * A function to compile together the vertex shader and the fragment shader
      * setup from the scene, and to get pointers to all of the uniforms
      * 
-     * @param {string} rayIntersectSceneStr The code that defines the rayIntersectScene string
+     * @param {string} fragmentSrc The full fragment shader code (default is 
+     *                             raytracer.frag with an empty scene)
+     * @param {list} uniforms The uniform manifest of the fragment shader, as
+     *                        returned by parseUniforms (default is to parse fragmentSrc)
      * @param {boolean} verbose Whether to print the final shader code to the console
+     * @param {list of string} lineOrigins Where each line of the shader came from,
+     *                                     as returned by getShaderLineOrigins
+     * 
+     * @returns {list of string} Why the shader didn't compile, which is empty
+     *                           if it did.  If it didn't, the last shader that
+     *                           compiled is kept
      */
-    glcanvas.setupShaders = function(rayIntersectSceneStr, verbose) {
-        if (rayIntersectSceneStr === undefined) {
-            rayIntersectSceneStr = DEFAULT_RAY_INTERSECT_SCENE_SRC;
+    glcanvas.setupShaders = function(fragmentSrc, uniforms, verbose, lineOrigins) {
+        if (fragmentSrc === undefined) {
+            fragmentSrc = glcanvas.fragmentSrcPre;
+        }
+        if (uniforms === undefined) {
+            uniforms = parseUniforms(fragmentSrc);
         }
         if (verbose === undefined) {
             verbose = false;
         }
         let gl = glcanvas.gl;
-        if (!(glcanvas.fragmentShader === null)) {
-            gl.deleteShader(glcanvas.fragmentShader);
-        }
-        if (rayIntersectSceneStr === undefined) {
-            rayIntersectSceneStr = "";
-        }
         let tic = performance.now();
-        let s = glcanvas.fragmentSrcPre.replace(DEFAULT_RAY_INTERSECT_SCENE_SRC, rayIntersectSceneStr);
         if (verbose) {
-            console.log(s);
+            console.log(fragmentSrc);
         }
-        glcanvas.fragmentShader = getShader(gl, s, "fragment");
-
-        glcanvas.shader = gl.createProgram();
-        let shader = glcanvas.shader;
-        gl.attachShader(shader, glcanvas.vertexShader);
-        gl.attachShader(shader, glcanvas.fragmentShader);
-        gl.linkProgram(shader);
-        if (!gl.getProgramParameter(shader, gl.LINK_STATUS)) {
-            alert("Could not initialize raytracing shader");
+        let fragmentShader = gl.createShader(gl.FRAGMENT_SHADER);
+        gl.shaderSource(fragmentShader, fragmentSrc);
+        gl.compileShader(fragmentShader);
+        let shader = null;
+        let log = "";
+        if (gl.getShaderParameter(fragmentShader, gl.COMPILE_STATUS)) {
+            shader = gl.createProgram();
+            gl.attachShader(shader, glcanvas.vertexShader);
+            gl.attachShader(shader, fragmentShader);
+            gl.linkProgram(shader);
+            if (!gl.getProgramParameter(shader, gl.LINK_STATUS)) {
+                log = gl.getProgramInfoLog(shader);
+                gl.deleteProgram(shader);
+                shader = null;
+            }
+        }
+        else {
+            log = gl.getShaderInfoLog(fragmentShader);
+        }
+        if (shader === null) {
+            gl.deleteShader(fragmentShader);
+            let errors = parseShaderLog(log, fragmentSrc, lineOrigins).map(formatShaderError);
+            if (errors.length == 0) {
+                errors = ["The ray tracing shader didn't compile, and the driver didn't say why"];
+            }
+            if (!(glcanvas.shader === null)) {
+                errors.push("Still showing the last scene that compiled");
+            }
+            return errors;
         }
+        if (!(glcanvas.fragmentShader === null)) {
+            gl.deleteShader(glcanvas.fragmentShader);
+        }
+        if (!(glcanvas.shader === null)) {
+            gl.deleteProgram(glcanvas.shader);
+        }
+        glcanvas.fragmentShader = fragmentShader;
+        glcanvas.fragmentSrc = fragmentSrc;
+        glcanvas.shader = shader;
         shader.name = "raytracer";
         console.log("Elapsed Time Ray Shader Compilation: " + (performance.now()-tic) + " milliseconds");
 
@@ -202,201 +683,303 @@ function RayCanvas(glcanvas, glslcanvas) {
         gl.vertexAttribPointer(shader.positionLocation, 2, gl.FLOAT, false, 0, 0);
 
         // Setup uniforms
-        shader.u_canvas_width = gl.getUniformLocation(shader, "canvas_width");
-        shader.u_canvas_height = gl.getUniformLocation(shader, "canvas_height");
-        shader.u_numObjects = gl.getUniformLocation(shader, "numObjects");
-        shader.u_numLights = gl.getUniformLocation(shader, "numLights");
-        shader.u_numMaterials = gl.getUniformLocation(shader, "numMaterials");
-        shader.u_showLights = gl.getUniformLocation(shader, "showLights");
-        shader.u_beaconRadius = gl.getUniformLocation(shader, "beaconRadius");
-        shader.u_orthographic = gl.getUniformLocation(shader, "orthographic");
-        shader.u_eye = gl.getUniformLocation(shader, "eye");
-        shader.u_right = gl.getUniformLocation(shader, "right");
-        shader.u_up = gl.getUniformLocation(shader, "up");
-        shader.u_fovx = gl.getUniformLocation(shader, "fovx");
-        shader.u_fovy = gl.getUniformLocation(shader, "fovy");
-        shader.u_lights = [];
-        for (let i = 0; i < MAX_LIGHTS; i++) {
-            let light = {
-                pos: gl.getUniformLocation(shader, "lights["+i+"].pos"),
-                color: gl.getUniformLocation(shader, "lights["+i+"].color"),
-                atten: gl.getUniformLocation(shader, "lights["+i+"].atten"),
-                towards: gl.getUniformLocation(shader, "lights["+i+"].towards"),
-                angle: gl.getUniformLocation(shader, "lights["+i+"].angle")
+        shader.uniforms = {};
+        uniforms.forEach(function(uniform) {
+            shader.uniforms[uniform.name] = {
+                type: uniform.type,
+                location: gl.getUniformLocation(shader, uniform.name)
             };
-            shader.u_lights.push(light);
-        }
-        shader.u_materials = [];
-        for (let i = 0; i < MAX_MATERIALS; i++) {
-            let material = {
-                kd: gl.getUniformLocation(shader, "materials["+i+"].kd"),
-                ks: gl.getUniformLocation(shader, "materials["+i+"].ks"),
-                ka: gl.getUniformLocation(shader, "materials["+i+"].ka"),
-                shininess: gl.getUniformLocation(shader, "materials["+i+"].shininess"),
-                refraction: gl.getUniformLocation(shader, "materials["+i+"].refraction"),
-                special: gl.getUniformLocation(shader, "materials["+i+"].special")
-            }
-            shader.u_materials.push(material);
+        });
+
+        // Image textures always live in the same texture units,
+        // so their samplers only need to be set once
+        gl.useProgram(shader);
+        for (let i = 0; ("textures[" + i + "]") in shader.uniforms; i++) {
+            glcanvas.setUniform("textures[" + i + "]", FIRST_IMAGE_TEXTURE_UNIT + i);
         }
+        return [];
     }
 
     /**
-     * A recursive function for adding shapes to the scene by adding
-     * code to the fragment shader
+     * Turn a shader error into a line of text
+     * 
+     * @param {object} error An error, as returned by parseShaderLog
      * 
-     * @param {object} node The current node in the scene
-     * @param {glMatrix.mat4} transform The accumulated transform up to this point
-     * @param {int} k The number of floating point digits to output to the shader
-     *                for each floating point number
+     * @returns {string} The error, with the line of code and what in the scene it came from
      */
-    glcanvas.updateSceneRec = function(node, transform, k) {
-        if (k === undefined) {
-            k = 5;
+    let formatShaderError = function(error) {
+        if (error.line < 0) {
+            return error.message;
         }
-        let nextTransform = glMatrix.mat4.create();
-        glMatrix.mat4.mul(nextTransform, transform, node.transform);
-        let N = glMatrix.mat3.create();
-        glMatrix.mat3.normalFromMat4(N, nextTransform);
-        let MInv = glMatrix.mat4.create();
-        glMatrix.mat4.invert(MInv, nextTransform);
-        let retStr = "";
-        node.shapes.forEach(function(shape) {
-            if (!('material' in shape)) {
-                console.log("Error: Material not specified for node");
-            }
-            else {
-                let mIdx = shape.material.i;
-                if (shape.type == "box") {
-                    retStr += "\ttCurr = rayIntersectBox("
-                    let width = 1.0;
-                    let height = 1.0;
-                    let length = 1.0;
-                    let center = glMatrix.vec3.create();
-                    if ('width' in shape) {
-                        width = shape.width;
-                    }
-                    if ('height' in shape) {
-                        height = shape.height;
-                    }
-                    if ('length' in shape) {
-                        length = shape.length;
-                    }
-                    if ('center' in shape) {
-                        center = shape.center;
-                    }
-                    retStr += "ray, " + width.toFixed(k) + ", " + 
-                              height.toFixed(k) + ", " + length.toFixed(k);
-                    retStr += ", " + vec3ToGLSLStr(center) + ", " + mIdx;
-                    retStr += ", " + matToGLSLStr(MInv)
-                    retStr += ", " + matToGLSLStr(N)
-                    retStr += ", intersectCurr);\n";
-                    retStr += CHECK_NEAREST_INTERSECTION_SRC;
-                }
-                else if (shape.type == "sphere") {
-                    retStr += "\ttCurr = rayIntersectSphere("
-                    let radius = 1.0;
-                    let center = glMatrix.vec3.create();
-                    if ('radius' in shape) {
-                        radius = shape.radius;
-                    }
-                    if ('center' in shape) {
-                        center = shape.center;
-                    }
-                    retStr += "ray, " +  vec3ToGLSLStr(center)
-                    retStr += ", " + radius.toFixed(k) + ", " + mIdx;
-                    retStr += ", " + matToGLSLStr(MInv)
-                    retStr += ", " + matToGLSLStr(N)
-                    retStr += ", intersectCurr);\n";
-                    retStr += CHECK_NEAREST_INTERSECTION_SRC;
-                }
-                else if (shape.type == "cylinder") {
-                    retStr += "\ttCurr = rayIntersectCylinder("
-                    let radius = 1.0;
-                    let height = 1.0;
-                    let center = glMatrix.vec3.create();
-                    if ('radius' in shape) {
-                        radius = shape.radius;
-                    }
-                    if ('height' in shape) {
-                        height = shape.height;
-                    }
-                    if ('center' in shape) {
-                        center = shape.center;
-                    }
-                    retStr += "ray, " +  vec3ToGLSLStr(center)
-                    retStr += ", " + radius.toFixed(k) 
-                    retStr += ", " + height.toFixed(k) + ", " + mIdx;
-                    retStr += ", " + matToGLSLStr(MInv)
-                    retStr += ", " + matToGLSLStr(N)
-                    retStr += ", intersectCurr);\n";
-                    retStr += CHECK_NEAREST_INTERSECTION_SRC;
-                }
-                else if (shape.type == "cone") {
-                    retStr += "\ttCurr = rayIntersectCone("
-                    let radius = 1.0;
-                    let height = 1.0;
-                    let center = glMatrix.vec3.create();
-                    if ('radius' in shape) {
-                        radius = shape.radius;
-                    }
-                    if ('height' in shape) {
-                        height = shape.height;
-                    }
-                    if ('center' in shape) {
-                        center = shape.center;
-                    }
-                    retStr += "ray, " +  vec3ToGLSLStr(center)
-                    retStr += ", " + radius.toFixed(k) 
-                    retStr += ", " + height.toFixed(k) + ", " + mIdx;
-                    retStr += ", " + matToGLSLStr(MInv)
-                    retStr += ", " + matToGLSLStr(N)
-                    retStr += ", intersectCurr);\n";
-                    retStr += CHECK_NEAREST_INTERSECTION_SRC;
-                }
-                else if (shape.type == "mesh") {
-                    if (shape.mesh === null) {
-                        console.log("ERROR: No mesh specified for mesh shape. Not loading into shader");
-                    }
-                    else {
-                        let mesh = shape.mesh;
-                        // Step 1: Copy mesh vertices over if they haven't been copied already
-                        if (!('prefix' in mesh)) {
-                            mesh.prefix = "m" + glcanvas.meshIdx;
-                            glcanvas.meshIdx += 1;
-                            //First copy over all vertices into their own variables
-                            for (let i = 0; i < mesh.vertices.length; i++) {
-                                retStr += "\tvec3 " + mesh.prefix + "_" + "v" + i;
-                                retStr += " = " + vec3ToGLSLStr(mesh.vertices[i].pos) + ";\n";
-                            }
-                        }
-                        // Step 2: Check each face
-                        let vertPrefix = mesh.prefix + "_" + "v";
-                        for (let i = 0; i < mesh.faces.length; i++) {
-                            let verts = mesh.faces[i].getVertices();
-                            // Go through each triangle in CCW order in a triangle fan
-                            for (let t = 0; t < verts.length-2; t++) {
-                                retStr += "\ttCurr = rayIntersectTriangle(ray";
-                                retStr += ", " + vertPrefix + verts[0].ID;
-                                for (let k = 1; k < 3; k++) {
-                                    retStr += ", " + vertPrefix + verts[(t+k)%verts.length].ID;
-                                }
-                                retStr += ", " + mIdx;
-                                retStr += ", " + matToGLSLStr(MInv)
-                                retStr += ", " + matToGLSLStr(N)
-                                retStr += ", intersectCurr);\n";
-                                retStr += CHECK_NEAREST_INTERSECTION_SRC;
-                            }
-                        }
-                    }
-                }
-            }
+        let s = "Line " + error.line;
+        if (error.origin.length > 0) {
+            s += " (" + error.origin + ")";
+        }
+        s += ": " + error.message;
+        if (error.code.length > 0) {
+            s += "\n    " + error.code;
+        }
+        return s;
+    }
+
+    /**
+     * Pass problems with the ray tracing shader along to onShaderProblems,
+     * so the page can show them, or print them to the console if nothing
+     * is listening.  Empty lists mean that there are no problems anymore
+     * 
+     * @param {list of string} errors Problems that stopped the shader from compiling
+     * @param {list of string} warnings Problems that didn't
+     */
+    glcanvas.reportShaderProblems = function(errors, warnings) {
+        if (!(glcanvas.onShaderProblems === null)) {
+            glcanvas.onShaderProblems(errors, warnings);
+            return;
+        }
+        errors.forEach(function(error) {
+            console.log("Error: " + error);
+        });
+        warnings.forEach(function(warning) {
+            console.log("Warning: " + warning);
         });
-        if ('children' in node) {
-            for (let i = 0; i < node.children.length; i++) {
-                retStr += glcanvas.updateSceneRec(node.children[i], nextTransform) + "\n";
+    }
+
+    /**
+     * Get the limits of the GPU that big scenes can run into
+     * 
+     * @returns {object} {maxFragmentUniformVectors, maxTextureImageUnits,
+     *                    maxTextureSize, reservedTextureUnits}
+     */
+    glcanvas.getShaderLimits = function() {
+        let gl = glcanvas.gl;
+        return {maxFragmentUniformVectors:gl.getParameter(gl.MAX_FRAGMENT_UNIFORM_VECTORS),
+                maxTextureImageUnits:gl.getParameter(gl.MAX_TEXTURE_IMAGE_UNITS),
+                maxTextureSize:gl.getParameter(gl.MAX_TEXTURE_SIZE),
+                reservedTextureUnits:FIRST_IMAGE_TEXTURE_UNIT};
+    }
+
+    /**
+     * Get the texture for an image file, starting to load it if
+     * it hasn't been used before.  Until the image arrives, the
+     * texture is a single white pixel
+     * 
+     * @param {string} filename The path to the image
+     * 
+     * @returns {WebGLTexture} The texture
+     */
+    glcanvas.getImageTexture = function(filename) {
+        let gl = glcanvas.gl;
+        if (filename in glcanvas.textureCache) {
+            return glcanvas.textureCache[filename];
+        }
+        let texture = gl.createTexture();
+        glcanvas.textureCache[filename] = texture;
+        // Images don't have to have power of 2 sizes, so they can't be
+        // mipmapped or repeated by WebGL, and the shader repeats them instead
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array([255, 255, 255, 255]));
+        let image = new Image();
+        image.onload = function() {
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            // Put v = 0 at the bottom of the image
+            gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+            gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+            glcanvas.resetAccumulation();
+            if (glcanvas.active) {
+                requestAnimFrame(glcanvas.repaint);
             }
         }
-        return retStr;
+        image.onerror = function() {
+            console.log("Warning: Could not load texture " + filename);
+        }
+        image.src = filename;
+        return texture;
+    }
+
+    /**
+     * Look up the textures for a list of image files, in the
+     * order of the textures sampler array in the shader
+     * 
+     * @param {list of string} filenames The paths to the images
+     */
+    glcanvas.updateImageTextures = function(filenames) {
+        let gl = glcanvas.gl;
+        let maxUnits = gl.getParameter(gl.MAX_TEXTURE_IMAGE_UNITS);
+        if (FIRST_IMAGE_TEXTURE_UNIT + filenames.length > maxUnits) {
+            console.log("Warning: The scene uses " + filenames.length + " image textures, but only " + 
+                        (maxUnits - FIRST_IMAGE_TEXTURE_UNIT) + " can be bound at once");
+        }
+        glcanvas.imageTextures = filenames.map(glcanvas.getImageTexture);
+    }
+
+    /**
+     * Copy packed mesh triangles and BVHs into the mesh data textures
+     * 
+     * @param {object} packed The packed meshes, as returned by packMeshes
+     */
+    glcanvas.updateMeshTextures = function(packed) {
+        let gl = glcanvas.gl;
+        glcanvas.meshNodesHeight = packed.nodesHeight;
+        glcanvas.meshTrianglesHeight = packed.trianglesHeight;
+        let maxSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+        if (packed.nodesHeight > maxSize || packed.trianglesHeight > maxSize) {
+            console.log("Warning: Meshes have too many triangles to fit in a " + maxSize + "x" + maxSize + " texture");
+        }
+        [[glcanvas.meshNodesTexture, packed.nodes, packed.nodesHeight],
+         [glcanvas.meshTrianglesTexture, packed.triangles, packed.trianglesHeight]].forEach(function(x) {
+            gl.bindTexture(gl.TEXTURE_2D, x[0]);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, DATA_TEXTURE_WIDTH, x[2], 0, gl.RGBA, gl.FLOAT, x[1]);
+        });
+    }
+
+    /**
+     * Copy the environment map and irradiance map of a scene into their textures
+     * 
+     * @param {object} scene The scene, after loadSceneEnvironment has been run on it
+     */
+    glcanvas.updateEnvironmentTextures = function(scene) {
+        let gl = glcanvas.gl;
+        let environment = getEnvironmentMaps(scene, gl.getParameter(gl.MAX_TEXTURE_SIZE));
+        glcanvas.environment = environment;
+        [[glcanvas.environmentTexture, environment.map],
+         [glcanvas.irradianceTexture, environment.irradiance]].forEach(function(x) {
+            gl.bindTexture(gl.TEXTURE_2D, x[0]);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, x[1].width, x[1].height, 0, gl.RGBA, gl.FLOAT, x[1].data);
+        });
+    }
+
+    /**
+     * Copy packed objects into the objects texture
+     * 
+     * @param {object} packed The packed objects, as returned by packObjects
+     */
+    glcanvas.updateObjectsTexture = function(packed) {
+        let gl = glcanvas.gl;
+        glcanvas.objects = packed;
+        gl.bindTexture(gl.TEXTURE_2D, glcanvas.objectsTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, OBJECTS_TEXTURE_WIDTH, packed.height, 0, gl.RGBA, gl.FLOAT, packed.data);
+    }
+
+    /**
+     * Change the transform of a node in the scene, and update the objects
+     * under it in place, without recompiling the shader
+     * 
+     * @param {object} node The node in the scene
+     * @param {glMatrix.mat4} transform The node's new transform, in
+     *                                  column-major order like node.transform
+     */
+    glcanvas.setNodeTransform = function(node, transform) {
+        glMatrix.mat4.copy(node.transform, transform);
+        glcanvas.updateNodeObjects(node);
+        glcanvas.resetAccumulation();
+        if (glcanvas.active) {
+            requestAnimFrame(glcanvas.repaint);
+        }
+        if (glcanvas.glslcanvas.active) {
+            requestAnimFrame(glcanvas.glslcanvas.repaint);
+        }
+    }
+
+    /**
+     * Split a node transform into the parts that the Selection menu edits
+     * 
+     * @param {glMatrix.mat4} transform The transform, which shouldn't have any shear
+     * 
+     * @returns {list of float} The translation, the rotations in degrees
+     *                          about x, then y, then z, and the scale
+     */
+    let getTransformParts = function(transform) {
+        let translation = glMatrix.vec3.create();
+        let scale = glMatrix.vec3.create();
+        glMatrix.mat4.getTranslation(translation, transform);
+        glMatrix.mat4.getScaling(scale, transform);
+        if (glMatrix.mat4.determinant(transform) < 0) {
+            scale[0] *= -1;
+        }
+        // Entries of the rotation matrix, by row and column
+        let R = function(row, col) {
+            return transform[col*4+row]/scale[col];
+        };
+        let x = 0;
+        let y = Math.asin(Math.max(-1, Math.min(1, -R(2, 0))));
+        let z = Math.atan2(-R(0, 1), R(1, 1));
+        if (Math.abs(R(2, 0)) < 0.99999) {
+            x = Math.atan2(R(2, 1), R(2, 2));
+            z = Math.atan2(R(1, 0), R(0, 0));
+        }
+        let rotation = [x, y, z].map(function(a) {
+            return a*180/Math.PI;
+        });
+        return Array.from(translation).concat(rotation, Array.from(scale));
+    }
+
+    /**
+     * Put a node transform back together from the parts that the Selection menu edits
+     * 
+     * @param {list of float} parts The parts, as returned by getTransformParts
+     * 
+     * @returns {glMatrix.mat4} The transform
+     */
+    let makeTransform = function(parts) {
+        let transform = glMatrix.mat4.create();
+        glMatrix.mat4.fromTranslation(transform, parts.slice(0, 3));
+        glMatrix.mat4.rotateZ(transform, transform, parts[5]*Math.PI/180);
+        glMatrix.mat4.rotateY(transform, transform, parts[4]*Math.PI/180);
+        glMatrix.mat4.rotateX(transform, transform, parts[3]*Math.PI/180);
+        glMatrix.mat4.scale(transform, transform, parts.slice(6, 9));
+        return transform;
+    }
+
+    /**
+     * Bring the objects under a node up to date with its transform
+     * in the objects texture
+     * 
+     * @param {object} node The node in the scene
+     */
+    glcanvas.updateNodeObjects = function(node) {
+        if (glcanvas.objects === null) {
+            return;
+        }
+        glcanvas.updateObjects(updateObjectTransforms(glcanvas.objects, node));
+    }
+
+    /**
+     * Bring the object for a shape up to date with its dimensions,
+     * center and material in the objects texture
+     * 
+     * @param {object} shape The shape in the scene
+     */
+    glcanvas.updateShapeObjects = function(shape) {
+        if (glcanvas.objects === null) {
+            return;
+        }
+        glcanvas.updateObjects(updateObjectShape(glcanvas.objects, shape));
+    }
+
+    /**
+     * Copy objects that have changed from the packed objects into the
+     * objects texture, and make the reference ray tracer that picks and
+     * focuses start over with the changed scene
+     * 
+     * @param {list of int} ids The IDs of the objects
+     */
+    glcanvas.updateObjects = function(ids) {
+        let gl = glcanvas.gl;
+        glcanvas.refTracer = null;
+        gl.bindTexture(gl.TEXTURE_2D, glcanvas.objectsTexture);
+        ids.forEach(function(id) {
+            // Objects never straddle two rows, since the texture
+            // width is a multiple of TEXELS_PER_OBJECT
+            let idx = id*TEXELS_PER_OBJECT;
+            let row = Math.floor(idx/OBJECTS_TEXTURE_WIDTH);
+            let col = idx - row*OBJECTS_TEXTURE_WIDTH;
+            let data = glcanvas.objects.data.subarray(idx*4, (idx+TEXELS_PER_OBJECT)*4);
+            gl.texSubImage2D(gl.TEXTURE_2D, 0, col, row, TEXELS_PER_OBJECT, 1, gl.RGBA, gl.FLOAT, data);
+        });
     }
 
     /**
@@ -411,18 +994,6 @@ function RayCanvas(glcanvas, glslcanvas) {
             return;
         }
 
-        // Pull the materials out into an array, and store an index into
-        // that array for each material
-        scene.materialsArr = [];
-        let i = 0;
-        for (let name in scene.materials) {
-            if (Object.prototype.hasOwnProperty.call(scene.materials, name)) {
-                scene.materialsArr.push(scene.materials[name]);
-                scene.materials[name].i = i;
-                i += 1;
-            }
-        }
-
         // Step 1: Setup handlers for menus that will repaint
         // when light, camera, and material properties are changed, 
         // assuming this canvas is active
@@ -436,6 +1007,7 @@ function RayCanvas(glcanvas, glslcanvas) {
                         let otherHandler = controller.__onChange;
                         controller.onChange(function(v) {
                             otherHandler(v);
+                            glcanvas.resetAccumulation();
                             if (glcanvas.active) {
                                 requestAnimFrame(glcanvas.repaint);
                             }
@@ -446,31 +1018,443 @@ function RayCanvas(glcanvas, glslcanvas) {
         });
 
         // Step 2: Setup fragment shader to hardcode in scene
-        let rayIntersectSceneStr = "\n\n" +
-          "float rayIntersectScene(Ray ray, out Intersection intersect) {\n" +
-          "\tfloat tMin = INF;\n" +
-          "\tIntersection intersectCurr;\n" + 
-          "\tfloat tCurr = INF;\n";
-        
-        let m = glMatrix.mat4.create();
-        glcanvas.meshIdx = 0;
-        scene.children.forEach(function(node) {
-            rayIntersectSceneStr += glcanvas.updateSceneRec(node, m) + "\n";
-        });
+        let tic = performance.now();
+        let compiled = compileScene(scene, glcanvas.fragmentSrcPre);
+        console.log("Elapsed Time Compiling Scene with " + compiled.meshes.numTriangles + " mesh triangles: " + (performance.now()-tic) + " milliseconds");
+        let problems = getShaderLimitProblems(compiled, glcanvas.getShaderLimits());
+        let getMessages = function(severity) {
+            return problems.filter(function(problem) {
+                return problem.severity == severity;
+            }).map(function(problem) {
+                return problem.message;
+            });
+        };
+        // The shader only changes when the set of shape types, the CSG
+        // nodes, or the number of image textures, lights or materials does
+        let errors = [];
+        if (compiled.source == glcanvas.fragmentSrc) {
+            console.log("Shape types, CSG nodes and texture, light and material counts haven't changed, so reusing the ray tracing shader");
+        }
+        else {
+            errors = glcanvas.setupShaders(compiled.source, compiled.uniforms, true, compiled.lineOrigins);
+        }
+        glcanvas.reportShaderProblems(getMessages("error").concat(errors), getMessages("warning"));
+        if (errors.length > 0) {
+            // Keep the data that goes with the last shader that compiled
+            return;
+        }
+        glcanvas.updateMeshTextures(compiled.meshes);
+        glcanvas.updateObjectsTexture(compiled.objects);
+        glcanvas.updateImageTextures(compiled.textures);
+        glcanvas.updateEnvironmentTextures(scene);
+        glcanvas.scene = scene;
+        // Pick up the camera model of the new scene's camera, and
+        // trace focus rays through the new scene
+        glcanvas.lastCamera = null;
+        glcanvas.refTracer = null;
+        glcanvas.setSelection(null);
+        glcanvas.resetAccumulation();
 
-        rayIntersectSceneStr += "\treturn tMin;\n}";
-        glcanvas.setupShaders(rayIntersectSceneStr, true);
+        // Step 3: Start the animation over, and fit the timeline to it
+        let duration = 0;
+        if (!(scene.animation === undefined)) {
+            duration = getAnimationDuration(scene.animation);
+            glcanvas.timeController.step(1/getAnimationFps(scene.animation));
+        }
+        glcanvas.playAnimation = false;
+        glcanvas.timeController.max(duration);
+        glcanvas.setAnimationTime(0);
+        glcanvas.timeController.updateDisplay();
+    }
+
+    /**
+     * Render one more jittered sample into the accumulated image, assuming
+     * the ray tracing shader is active and its uniforms are up to date,
+     * and then show the accumulated image
+     */
+    glcanvas.renderProgressive = function() {
+        let gl = glcanvas.gl;
+        let key = glcanvas.getCameraKey();
+        if (!(key == glcanvas.lastCameraKey)) {
+            glcanvas.lastCameraKey = key;
+            glcanvas.resetAccumulation();
+        }
+        if (glcanvas.sampleCount < glcanvas.targetSamples) {
+            let src = glcanvas.accumBuffers[glcanvas.accumIdx];
+            let dest = glcanvas.accumBuffers[1-glcanvas.accumIdx];
+            gl.bindFramebuffer(gl.FRAMEBUFFER, dest.framebuffer);
+            gl.activeTexture(gl.TEXTURE2);
+            gl.bindTexture(gl.TEXTURE_2D, src.texture);
+            glcanvas.setUniform("accumTexture", 2);
+            glcanvas.setUniform("progressive", 1);
+            glcanvas.setUniform("sampleCount", glcanvas.sampleCount);
+            // Start at the pixel centers so the first frame looks
+            // like the non-progressive render, then jitter
+            if (glcanvas.sampleCount > 0) {
+                glcanvas.setUniform("jitter", [Math.random()-0.5, Math.random()-0.5]);
+            }
+            gl.drawElements(gl.TRIANGLES, glcanvas.indexBuffer.numItems, gl.UNSIGNED_SHORT, 0);
+            glcanvas.accumIdx = 1-glcanvas.accumIdx;
+            glcanvas.sampleCount++;
+            glcanvas.samples = glcanvas.sampleCount + " / " + glcanvas.targetSamples;
+        }
+
+        // Copy the accumulated image to the screen
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        let displayShader = glcanvas.displayShader;
+        gl.useProgram(displayShader);
+        glcanvas.bindPositionBuffer(displayShader);
+        gl.activeTexture(gl.TEXTURE2);
+        gl.bindTexture(gl.TEXTURE_2D, glcanvas.accumBuffers[glcanvas.accumIdx].texture);
+        gl.uniform1i(displayShader.u_accumTexture, 2);
+        gl.drawElements(gl.TRIANGLES, glcanvas.indexBuffer.numItems, gl.UNSIGNED_SHORT, 0);
+
+        // Keep going until the target number of samples is reached,
+        // making sure there's never more than one frame in flight
+        if (glcanvas.sampleCount < glcanvas.targetSamples && glcanvas.active && !glcanvas.progressivePending) {
+            glcanvas.progressivePending = true;
+            requestAnimFrame(glcanvas.progressiveStep);
+        }
+    }
+
+    glcanvas.progressiveStep = function() {
+        glcanvas.progressivePending = false;
+        glcanvas.repaint();
+    }
+
+    /**
+     * Save a file by having the browser download it
+     * 
+     * @param {Blob} blob The contents of the file
+     * @param {string} filename The name of the file
+     */
+    glcanvas.downloadBlob = function(blob, filename) {
+        let link = document.createElement("a");
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(function() {
+            URL.revokeObjectURL(link.href);
+        }, 1000);
+    }
+
+    /**
+     * Render the current view at exportWidth x exportHeight with
+     * exportSamples samples per pixel, and download it as a PNG
+     */
+    glcanvas.exportImage = function() {
+        glcanvas.startExport(function(canvas) {
+            canvas.toBlob(function(blob) {
+                glcanvas.downloadBlob(blob, "raytraced_" + canvas.width + "x" + canvas.height + ".png");
+                glcanvas.exportProgress = "Done";
+            }, "image/png");
+        }, "");
+    }
+
+    /**
+     * Start rendering the current view at exportWidth x exportHeight with
+     * exportSamples samples per pixel into an offscreen canvas.  The image
+     * is split into tiles of at most exportTileSize pixels on a side, and
+     * each draw call only does one sample of one tile, so that no single
+     * frame keeps the GPU busy for long enough to be reset
+     * 
+     * @param {function} onDone Called with the canvas once the image is done
+     * @param {string} progressPrefix Shown before the progress, e.g. "Frame 3 / 10, "
+     * 
+     * @returns {boolean} Whether the export started
+     */
+    glcanvas.startExport = function(onDone, progressPrefix) {
+        let gl = glcanvas.gl;
+        if (!(glcanvas.exportJob === null)) {
+            console.log("Warning: Already exporting an image");
+            return false;
+        }
+        if (glcanvas.shader === null) {
+            console.log("Warning: The ray tracing shader isn't ready, so there's nothing to export");
+            return false;
+        }
+        let width = Math.round(glcanvas.exportWidth);
+        let height = Math.round(glcanvas.exportHeight);
+        let maxSize = gl.getParameter(gl.MAX_RENDERBUFFER_SIZE);
+        let tileSize = Math.min(Math.round(glcanvas.exportTileSize), maxSize);
+        if (width < 1 || height < 1 || tileSize < 1) {
+            console.log("Warning: Can't export an image that's " + width + "x" + height);
+            return false;
+        }
+        let job = {width:width, height:height, tileSize:tileSize, onDone:onDone, progressPrefix:progressPrefix,
+                   samples:Math.max(1, Math.round(glcanvas.exportSamples)),
+                   tiles:[], tileIdx:0, sampleCount:0, buffers:[], bufferWidth:0, bufferHeight:0,
+                   canvas:document.createElement("canvas")};
+        for (let y = 0; y < height; y += tileSize) {
+            for (let x = 0; x < width; x += tileSize) {
+                job.tiles.push({x:x, y:y, width:Math.min(tileSize, width-x), height:Math.min(tileSize, height-y)});
+            }
+        }
+        job.canvas.width = width;
+        job.canvas.height = height;
+        job.context = job.canvas.getContext("2d");
+        glcanvas.exportJob = job;
+        glcanvas.exportProgress = progressPrefix + "0%";
+        setTimeout(glcanvas.exportStep, 0);
+        return true;
+    }
+
+    /**
+     * Stop the export that's in progress, if there is one,
+     * along with the rest of the frames of an animation
+     */
+    glcanvas.cancelExport = function() {
+        glcanvas.framesJob = null;
+        if (glcanvas.exportJob === null) {
+            return;
+        }
+        glcanvas.deleteRenderTargets(glcanvas.exportJob.buffers);
+        glcanvas.exportJob = null;
+        glcanvas.exportProgress = "Canceled";
+    }
+
+    /**
+     * Make sure the export has two floating point framebuffers to
+     * accumulate samples in, and one 8 bit framebuffer to read the
+     * final colors from, all the size of a tile
+     * 
+     * @param {object} job The export
+     * @param {object} tile {x, y, width, height} in pixels from the
+     *                      bottom left of the exported image
+     * 
+     * @returns {boolean} Whether samples can be accumulated
+     */
+    glcanvas.setupExportBuffers = function(job, tile) {
+        let gl = glcanvas.gl;
+        if (job.bufferWidth == tile.width && job.bufferHeight == tile.height) {
+            return job.accumSupported;
+        }
+        glcanvas.deleteRenderTargets(job.buffers);
+        job.buffers = [glcanvas.createRenderTarget(tile.width, tile.height, gl.FLOAT),
+                       glcanvas.createRenderTarget(tile.width, tile.height, gl.FLOAT),
+                       glcanvas.createRenderTarget(tile.width, tile.height, gl.UNSIGNED_BYTE)];
+        job.accumSupported = job.buffers[0].complete && job.buffers[1].complete;
+        job.accumIdx = 0;
+        job.bufferWidth = tile.width;
+        job.bufferHeight = tile.height;
+        return job.accumSupported;
+    }
+
+    /**
+     * Render one sample of the current tile of the export, and when the
+     * tile has all of its samples, copy it into the exported image
+     */
+    glcanvas.exportStep = function() {
+        let job = glcanvas.exportJob;
+        if (job === null) {
+            return;
+        }
+        let gl = glcanvas.gl;
+        let tile = job.tiles[job.tileIdx];
+        let accumulate = glcanvas.setupExportBuffers(job, tile);
+        if (!accumulate && job.sampleCount == 0) {
+            console.log("Warning: Cannot render to floating point textures, so only one sample per pixel is exported");
+        }
+        let samples = accumulate ? job.samples : 1;
+        let output = job.buffers[2];
+
+        gl.useProgram(glcanvas.shader);
+        glcanvas.bindPositionBuffer(glcanvas.shader);
+        glcanvas.updateUniforms();
+        // The tile is its own little canvas, whose rays come from
+        // its part of the whole image
+        glcanvas.setUniform("canvas_width", tile.width);
+        glcanvas.setUniform("canvas_height", tile.height);
+        let camera = glcanvas.glslcanvas.camera;
+        if (!(camera === null)) {
+            glcanvas.setUniform("fovy", 2*Math.atan(Math.tan(camera.fovx/2)*job.height/job.width));
+        }
+        glcanvas.setUniform("aspect", job.height/job.width);
+        glcanvas.setUniform("selectedObject", -1);
+        glcanvas.setUniform("tile", [2*tile.x/job.width - 1, 2*tile.y/job.height - 1,
+                                     2*(tile.x+tile.width)/job.width - 1, 2*(tile.y+tile.height)/job.height - 1]);
+        gl.viewport(0, 0, tile.width, tile.height);
+        if (accumulate) {
+            let src = job.buffers[job.accumIdx];
+            let dest = job.buffers[1-job.accumIdx];
+            gl.bindFramebuffer(gl.FRAMEBUFFER, dest.framebuffer);
+            gl.activeTexture(gl.TEXTURE2);
+            gl.bindTexture(gl.TEXTURE_2D, src.texture);
+            glcanvas.setUniform("accumTexture", 2);
+            glcanvas.setUniform("progressive", 1);
+            glcanvas.setUniform("sampleCount", job.sampleCount);
+            if (job.sampleCount > 0) {
+                glcanvas.setUniform("jitter", [Math.random()-0.5, Math.random()-0.5]);
+            }
+            gl.drawElements(gl.TRIANGLES, glcanvas.indexBuffer.numItems, gl.UNSIGNED_SHORT, 0);
+            job.accumIdx = 1-job.accumIdx;
+        }
+        else {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, output.framebuffer);
+            gl.drawElements(gl.TRIANGLES, glcanvas.indexBuffer.numItems, gl.UNSIGNED_SHORT, 0);
+        }
+        job.sampleCount++;
+
+        if (job.sampleCount >= samples) {
+            if (accumulate) {
+                // Convert the average to 8 bit colors
+                gl.bindFramebuffer(gl.FRAMEBUFFER, output.framebuffer);
+                let displayShader = glcanvas.displayShader;
+                gl.useProgram(displayShader);
+                glcanvas.bindPositionBuffer(displayShader);
+                gl.activeTexture(gl.TEXTURE2);
+                gl.bindTexture(gl.TEXTURE_2D, job.buffers[job.accumIdx].texture);
+                gl.uniform1i(displayShader.u_accumTexture, 2);
+                gl.drawElements(gl.TRIANGLES, glcanvas.indexBuffer.numItems, gl.UNSIGNED_SHORT, 0);
+            }
+            let pixels = new Uint8Array(tile.width*tile.height*4);
+            gl.readPixels(0, 0, tile.width, tile.height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+            // WebGL reads rows from the bottom up, but images go from the top down
+            let image = job.context.createImageData(tile.width, tile.height);
+            let stride = tile.width*4;
+            for (let row = 0; row < tile.height; row++) {
+                image.data.set(pixels.subarray((tile.height-1-row)*stride, (tile.height-row)*stride), row*stride);
+            }
+            job.context.putImageData(image, tile.x, job.height - tile.y - tile.height);
+            job.tileIdx++;
+            job.sampleCount = 0;
+        }
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+
+        let done = job.tileIdx*samples + job.sampleCount;
+        glcanvas.exportProgress = job.progressPrefix + "Tile " + Math.min(job.tileIdx+1, job.tiles.length) + " / " + job.tiles.length +
+                                  " (" + Math.floor(100*done/(job.tiles.length*samples)) + "%)";
+        if (job.tileIdx < job.tiles.length) {
+            setTimeout(glcanvas.exportStep, 0);
+            return;
+        }
+        glcanvas.deleteRenderTargets(job.buffers);
+        glcanvas.exportJob = null;
+        glcanvas.exportProgress = job.progressPrefix + "Saving";
+        job.onDone(job.canvas);
+    }
+
+    /**
+     * Move everything that the scene's animation moves to where
+     * it is at a particular time, and redraw
+     * 
+     * @param {float} time The time, in seconds
+     */
+    glcanvas.setAnimationTime = function(time) {
+        let scene = glcanvas.scene;
+        glcanvas.animationTime = time;
+        if (scene === null || scene.animation === undefined) {
+            return;
+        }
+        applyAnimation(scene, time).forEach(glcanvas.updateNodeObjects);
+        glcanvas.resetAccumulation();
+        if (glcanvas.active) {
+            requestAnimFrame(glcanvas.repaint);
+        }
+        if (glcanvas.glslcanvas.active) {
+            requestAnimFrame(glcanvas.glslcanvas.repaint);
+        }
+    }
+
+    /**
+     * Advance the animation by however long it's been since the last
+     * frame, looping back to the start at the end, while it's playing
+     */
+    glcanvas.animationStep = function() {
+        let scene = glcanvas.scene;
+        if (!glcanvas.playAnimation || scene === null || scene.animation === undefined) {
+            glcanvas.playAnimation = false;
+            return;
+        }
+        let thisTime = (new Date()).getTime();
+        let time = glcanvas.animationTime + (thisTime - glcanvas.lastAnimationTime)/1000.0;
+        glcanvas.lastAnimationTime = thisTime;
+        let duration = getAnimationDuration(scene.animation);
+        if (time > duration) {
+            time = duration > 0 ? time % duration : 0;
+        }
+        glcanvas.setAnimationTime(time);
+        requestAnimFrame(glcanvas.animationStep);
+    }
+
+    /**
+     * Render every frame of the scene's animation like exportImage does,
+     * and download them as a numbered sequence of PNGs, or as one zip
+     * file of them if framesAsZip is checked
+     */
+    glcanvas.renderFrames = function() {
+        let scene = glcanvas.scene;
+        if (scene === null || scene.animation === undefined) {
+            console.log("Warning: The scene doesn't have an animation to render");
+            return;
+        }
+        if (!(glcanvas.exportJob === null)) {
+            console.log("Warning: Already exporting an image");
+            return;
+        }
+        glcanvas.playAnimation = false;
+        let frames = {idx:0, count:getAnimationFrameCount(scene.animation),
+                      fps:getAnimationFps(scene.animation), zip:glcanvas.framesAsZip, files:[]};
+        glcanvas.framesJob = frames;
+        let nextFrame = function() {
+            if (!(glcanvas.framesJob === frames)) {
+                return;
+            }
+            frames.idx++;
+            if (frames.idx < frames.count) {
+                renderFrame();
+            }
+            else {
+                glcanvas.framesJob = null;
+                if (frames.zip) {
+                    glcanvas.downloadBlob(new Blob([makeZip(frames.files)], {type:"application/zip"}), "frames.zip");
+                }
+                glcanvas.exportProgress = "Done";
+            }
+        };
+        let renderFrame = function() {
+            let name = getFrameFilename("frame", frames.idx);
+            glcanvas.setAnimationTime(frames.idx/frames.fps);
+            let started = glcanvas.startExport(function(canvas) {
+                canvas.toBlob(function(blob) {
+                    if (frames.zip) {
+                        blob.arrayBuffer().then(function(buffer) {
+                            frames.files.push({name:name, data:new Uint8Array(buffer)});
+                            nextFrame();
+                        });
+                    }
+                    else {
+                        glcanvas.downloadBlob(blob, name);
+                        nextFrame();
+                    }
+                }, "image/png");
+            }, "Frame " + (frames.idx+1) + " / " + frames.count + ", ");
+            if (!started) {
+                glcanvas.framesJob = null;
+            }
+        };
+        renderFrame();
     }
 
     glcanvas.repaint = function() {
         let camera = glcanvas.glslcanvas.camera;
         let shader = glcanvas.shader;
         let gl = glcanvas.gl;
+        glcanvas.updateCameraSettings();
         gl.useProgram(shader);
+        glcanvas.bindPositionBuffer(shader);
         glcanvas.updateUniforms();
 
-        // Draw two triangles to fill in all the pixels
-        gl.drawElements(gl.TRIANGLES, glcanvas.indexBuffer.numItems, gl.UNSIGNED_SHORT, 0);
+        if (glcanvas.progressive && glcanvas.setupAccumBuffers()) {
+            glcanvas.renderProgressive();
+        }
+        else {
+            // Draw two triangles to fill in all the pixels
+            gl.drawElements(gl.TRIANGLES, glcanvas.indexBuffer.numItems, gl.UNSIGNED_SHORT, 0);
+        }
 
         // Redraw if walking
         let thisTime = (new Date()).getTime();
@@ -512,13 +1496,106 @@ function RayCanvas(glcanvas, glslcanvas) {
     glcanvas.removeEventListener('touchmove', glcanvas.clickerDragged);
     glcanvas.addEventListener('touchmove', glcanvas.clickerDraggedSync);
 
+    // Clicking without dragging selects what was clicked, and
+    // focuses the thin lens on it
+    glcanvas.addEventListener('mousedown', function(evt) {
+        glcanvas.clickStart = glcanvas.getMousePos(evt);
+    });
+    glcanvas.addEventListener('mouseup', function(evt) {
+        let mousePos = glcanvas.getMousePos(evt);
+        let start = glcanvas.clickStart;
+        if (!(start === null) && Math.abs(mousePos.X - start.X) + Math.abs(mousePos.Y - start.Y) < 3) {
+            glcanvas.pickAt(mousePos.X, mousePos.Y);
+            if (glcanvas.projection == "thinlens") {
+                glcanvas.focusAt(mousePos.X, mousePos.Y);
+            }
+        }
+        glcanvas.clickStart = null;
+    });
+    glcanvas.clickStart = null;
+
     glcanvas.rayMenu = glcanvas.glslcanvas.gui.addFolder('Ray Tracing Options');
-    glcanvas.orthographic = false;
-    glcanvas.rayMenu.add(glcanvas, 'orthographic').onChange(function() {
+    let cameraMenu = glcanvas.rayMenu.addFolder('Camera Model');
+    for (let key in CAMERA_DEFAULTS) {
+        glcanvas[key] = CAMERA_DEFAULTS[key];
+    }
+    glcanvas.lastCamera = null;
+    glcanvas.refTracer = null;
+    // The tracer for picking has to cast rays with the new camera model
+    let cameraChanged = function() {
+        glcanvas.refTracer = null;
         requestAnimFrame(glcanvas.repaint);
+    };
+    cameraMenu.add(glcanvas, 'projection', CAMERA_PROJECTIONS).listen().onChange(cameraChanged);
+    cameraMenu.add(glcanvas, 'aperture').min(0).step(0.01).listen().onChange(cameraChanged);
+    cameraMenu.add(glcanvas, 'focusDistance').min(0.01).step(0.01).listen().onChange(cameraChanged);
+    cameraMenu.add(glcanvas, 'viewWidth').min(0.01).step(0.1).listen().onChange(cameraChanged);
+    cameraMenu.add(glcanvas, 'fisheyeFov', 0.1, 2*Math.PI).listen().onChange(cameraChanged);
+    let debugMenu = glcanvas.rayMenu.addFolder('Render Mode');
+    let debugChanged = function() {
+        glcanvas.resetAccumulation();
+        requestAnimFrame(glcanvas.repaint);
+    };
+    glcanvas.renderMode = "shaded";
+    debugMenu.add(glcanvas, 'renderMode', RENDER_MODES).onChange(debugChanged);
+    glcanvas.debugLight = 0;
+    debugMenu.add(glcanvas, 'debugLight').min(0).step(1).onChange(debugChanged);
+    glcanvas.depthRange = 20;
+    debugMenu.add(glcanvas, 'depthRange').min(0.01).onChange(debugChanged);
+    glcanvas.heatmapMax = 200;
+    debugMenu.add(glcanvas, 'heatmapMax').min(1).step(1).onChange(debugChanged);
+    glcanvas.progressive = true;
+    glcanvas.rayMenu.add(glcanvas, 'progressive').onChange(function() {
+        glcanvas.resetAccumulation();
+        requestAnimFrame(glcanvas.repaint);
+    });
+    glcanvas.targetSamples = 256;
+    glcanvas.rayMenu.add(glcanvas, 'targetSamples').min(1).step(1).onChange(function() {
+        glcanvas.samples = glcanvas.sampleCount + " / " + glcanvas.targetSamples;
+        requestAnimFrame(glcanvas.repaint);
+    });
+    glcanvas.sampleCount = 0;
+    glcanvas.samples = "0 / " + glcanvas.targetSamples;
+    glcanvas.rayMenu.add(glcanvas, 'samples').listen();
+    glcanvas.progressivePending = false;
+    let exportMenu = glcanvas.rayMenu.addFolder('Export PNG');
+    glcanvas.exportWidth = 4096;
+    exportMenu.add(glcanvas, 'exportWidth').min(1).step(1);
+    glcanvas.exportHeight = 3072;
+    exportMenu.add(glcanvas, 'exportHeight').min(1).step(1);
+    glcanvas.exportSamples = 64;
+    exportMenu.add(glcanvas, 'exportSamples').min(1).step(1);
+    glcanvas.exportTileSize = 256;
+    exportMenu.add(glcanvas, 'exportTileSize').min(16).step(1);
+    glcanvas.exportJob = null;
+    exportMenu.add(glcanvas, 'exportImage');
+    exportMenu.add(glcanvas, 'cancelExport');
+    glcanvas.exportProgress = "";
+    exportMenu.add(glcanvas, 'exportProgress').listen();
+
+    glcanvas.selectionMenu = glcanvas.glslcanvas.gui.addFolder('Selection');
+    glcanvas.selectionControllers = [];
+    glcanvas.selection = null;
+
+    let animationMenu = glcanvas.glslcanvas.gui.addFolder('Animation');
+    glcanvas.animationTime = 0;
+    glcanvas.timeController = animationMenu.add(glcanvas, 'animationTime', 0, 0).listen().onChange(function(time) {
+        glcanvas.setAnimationTime(time);
+    });
+    glcanvas.playAnimation = false;
+    animationMenu.add(glcanvas, 'playAnimation').listen().onChange(function(play) {
+        if (play) {
+            glcanvas.lastAnimationTime = (new Date()).getTime();
+            requestAnimFrame(glcanvas.animationStep);
+        }
     });
+    glcanvas.framesAsZip = true;
+    animationMenu.add(glcanvas, 'framesAsZip');
+    glcanvas.framesJob = null;
+    animationMenu.add(glcanvas, 'renderFrames');
 
 
+    glcanvas.onShaderProblems = null;
     glcanvas.setupInitialBuffers();
-    glcanvas.setupShaders();
+    glcanvas.reportShaderProblems(glcanvas.setupShaders(), []);
 }
@@ -3,10 +3,63 @@ precision mediump float;
 #define INF 1.0e+12
 #define EPS 1.0e-3 // Reflect/shadow/transmission ray offset
 #define MAX_RECURSION 4 // Maximum depth for rays
-#define MAX_LIGHTS 10
-#define MAX_MATERIALS 10
+#define MAX_PENDING_RAYS 4 // Maximum number of reflected rays waiting while a transmitted ray is traced
+#define MAX_RAYS 12 // Maximum number of ray segments traced per pixel, over all paths
+#define MIN_WEIGHT 0.01 // Paths whose weight falls below this are dropped
+#define MAX_LIGHTS 1 // Replaced with the number of lights in the scene (see scenecompiler.js)
+#define MAX_MATERIALS 1 // Replaced with the number of materials in the scene
 #define M_PI 3.1415926535897932384626433832795
 #define SOFT_NUMBER 10
+#define BVH_LEAF_SIZE 4 // Maximum number of triangles in a BVH leaf
+#define BVH_STACK_SIZE 32 // Maximum number of BVH nodes waiting to be visited
+#define MAX_BVH_STEPS 512 // Maximum number of BVH nodes visited per ray (see meshbvh.js)
+#define DATA_TEXTURE_WIDTH 1024.0 // Width of the mesh and object data textures
+#define MAX_OBJECTS 1024 // Maximum number of objects of each shape type
+#define TEXELS_PER_OBJECT 8.0 // Size of each object in the objects texture (see scenecompiler.js)
+#define NUM_SHAPE_TYPES 10
+#define SHAPE_BOX 0
+#define SHAPE_SPHERE 1
+#define SHAPE_CYLINDER 2
+#define SHAPE_CONE 3
+#define SHAPE_MESH 4
+#define SHAPE_PLANE 5
+#define SHAPE_DISK 6
+#define SHAPE_TORUS 7
+#define SHAPE_CAPSULE 8
+#define SHAPE_QUADRIC 9
+#define TEXELS_PER_TRIANGLE 7.0 // Size of each triangle in the mesh triangles texture (see meshbvh.js)
+#define MAX_TEXTURES 1 // Replaced with the number of image textures in the scene (see scenecompiler.js)
+#define PATTERN_NONE 0
+#define PATTERN_CHECKER 1
+#define PATTERN_STRIPES 2
+#define PATTERN_NOISE 3
+#define PROJECTION_PERSPECTIVE 0 // Camera models (see CAMERA_PROJECTIONS in scenecompiler.js)
+#define PROJECTION_ORTHOGRAPHIC 1
+#define PROJECTION_THIN_LENS 2
+#define PROJECTION_FISHEYE 3
+#define PROJECTION_PANORAMA 4
+#define RENDER_SHADED 0 // Render modes (see RENDER_MODES in raycanvas.js)
+#define RENDER_NORMALS 1
+#define RENDER_DEPTH 2
+#define RENDER_MATERIAL 3
+#define RENDER_OBJECT_ID 4
+#define RENDER_SHADOWS 5
+#define RENDER_BOUNCES 6
+#define RENDER_HEATMAP 7
+#define LIGHT_POINT 0 // Light types (see LIGHT_TYPES in scenecompiler.js)
+#define LIGHT_DIRECTIONAL 1
+#define LIGHT_RECT 2
+#define LIGHT_SPHERE 3
+#define DIRECTIONAL_LIGHT_DISTANCE 1.0e4 // How far away shadow rays aim for directional lights
+#define MATERIAL_PHONG 0 // Material models (see MATERIAL_MODELS in scenecompiler.js)
+#define MATERIAL_PBR 1
+#define MIN_GGX_ALPHA 1.0e-4 // Keeps the highlights of perfectly smooth PBR materials finite
+#define ENVIRONMENT_NONE 0 // Environments (see ENVIRONMENT_TYPES in environment.js)
+#define ENVIRONMENT_COLOR 1
+#define ENVIRONMENT_SKY 2
+#define ENVIRONMENT_HDR 3
+#define SELECTION_COLOR vec3(1.0, 0.6, 0.0) // Color of the outline around the selected object
+#define SELECTION_WIDTH 2.0 // Width of the outline around the selected object, in pixels
 
 /*******************************************
                 DATA TYPES
@@ -19,6 +72,18 @@ struct Material {
   float shininess;
   float refraction;
   int special;
+  int pattern; // Which procedural texture mixes patternColor into kd (PATTERN_*)
+  vec3 patternColor;
+  float patternScale; // Number of repeats of the pattern per unit of texture coordinates
+  int kdMap; // Index of an image texture that kd is multiplied by, or -1
+  int normalMap; // Index of a tangent space normal map, or -1
+  int bumpMap; // Index of a bump map, or -1
+  float bumpScale; // How far white is raised above black in the bump map, in texture coordinates
+  int model; // How the material reflects light (MATERIAL_*).  PBR materials keep
+             // their base color in kd and their index of refraction in refraction
+  vec3 emission; // Light that the surface gives off
+  float metallic; // How much a PBR material is like a metal, from 0 to 1
+  float roughness; // How rough a PBR material is, from 0 (a mirror) to 1
 };
 
 struct Light {
@@ -27,6 +92,11 @@ struct Light {
     vec3 atten;
     vec3 towards;
     float angle;
+    int type; // What shape the light has (LIGHT_*)
+    float falloff; // How sharply a spotlight fades out towards the edge of its cone, or 0 for a hard edge
+    float radius; // Radius of a sphere light, or the angular radius of a directional light
+    vec3 axisU; // Sides of a rect light
+    vec3 axisV;
 };
 
 struct Ray {
@@ -39,6 +109,21 @@ struct Intersection {
   vec3 n; // Normal of intersection
   int mIdx; // Index into materials array
   float sCoeff; // Coefficient for checkerboard or special material
+  float objectID; // Index of the object that was hit in the objects texture
+  vec3 q; // Point of intersection in the shape's coordinate system, relative to its center
+  vec2 uv; // Texture coordinates
+  vec3 tangent; // Direction in which u increases, perpendicular to the normal
+};
+
+struct Object {
+  highp vec4 params; // Dimensions of the shape, which depend on its type.  For meshes,
+                     // this holds the index of the root of the BVH, so it's highp
+  vec4 params2; // More dimensions, for shapes that have more than three
+  vec4 params3;
+  vec3 c; // Center of the shape
+  int mIdx; // Index into materials array
+  mat4 MInv; // Inverse of the transform from the shape to the world
+  mat3 N; // Normal transform
 };
 
 
@@ -57,8 +142,38 @@ uniform Material materials[MAX_MATERIALS];
 uniform int showLights;
 uniform float beaconRadius;
 
-// Ray tracer special options
-uniform int orthographic;
+// Mesh triangles and their BVHs, packed into floating
+// point textures (see meshbvh.js for the layout)
+uniform highp sampler2D meshNodes;
+uniform float meshNodesHeight;
+uniform highp sampler2D meshTriangles;
+uniform float meshTrianglesHeight;
+
+// The parameters and transforms of every shape in the scene, in a floating
+// point texture, grouped by shape type (see scenecompiler.js for the layout)
+uniform highp sampler2D objects;
+uniform float objectsHeight;
+uniform highp float shapeStart[NUM_SHAPE_TYPES]; // Object ID of the first shape of each type
+uniform int shapeCount[NUM_SHAPE_TYPES]; // Number of shapes of each type
+uniform highp float csgStart; // Object ID of the first primitive inside of a CSG node
+
+// Image textures referenced by materials
+uniform sampler2D textures[MAX_TEXTURES];
+
+// Camera model
+uniform int projection; // One of the PROJECTION_* constants
+uniform float aperture; // Diameter of the thin lens
+uniform float focusDistance; // Distance from the thin lens to the plane that's in focus
+uniform float viewWidth; // Width of the orthographic view
+uniform float fisheyeFov; // Horizontal field of view of the fisheye lens
+uniform float aspect; // Height of the whole image over its width
+
+// Progressive rendering
+uniform int progressive; // Whether to blend this frame into the accumulated image
+uniform sampler2D accumTexture; // Average of all of the frames so far
+uniform float sampleCount; // Number of frames averaged in accumTexture
+uniform vec2 jitter; // Sub-pixel offset of this frame's rays, in pixels
+uniform float seed; // Seed for this frame's random numbers
 
 // Camera parameters
 uniform vec3 eye;
@@ -66,6 +181,35 @@ uniform vec3 right;
 uniform vec3 up;
 uniform float fovx;
 uniform float fovy;
+uniform vec4 tile; // Part of the image that's being rendered, as (left, bottom, right, top)
+                   // from -1 to 1.  It's all of it, except when exporting one tile at a time
+
+// Debugging
+uniform int renderMode; // One of the RENDER_* constants
+uniform int debugLight; // Index of the light whose shadow rays RENDER_SHADOWS shows
+uniform float depthRange; // Distance that RENDER_DEPTH shows as black
+uniform float heatmapMax; // Number of intersection tests that RENDER_HEATMAP shows as red
+uniform highp float selectedObject; // Object ID of the object to outline, or -1 for none
+
+// What rays that miss everything see (see environment.js)
+uniform int environmentType; // One of the ENVIRONMENT_* constants
+uniform vec3 environmentColor; // Color of a solid environment
+uniform vec3 skyZenith; // Color of the sky straight up
+uniform vec3 skyHorizon; // Color of the sky at the horizon
+uniform vec3 skyGround; // Color of the ground straight down
+uniform vec3 sunDirection; // Direction towards the sun
+uniform vec3 sunColor;
+uniform float sunSize; // Angular radius of the sun, in radians
+uniform float environmentRotation; // How far the environment map is turned around the y axis
+uniform float environmentIntensity; // What the environment is multiplied by
+uniform float ambient; // How strongly the irradiance map lights diffuse surfaces
+uniform highp sampler2D environmentMap; // Equirectangular HDR image
+uniform vec2 environmentMapSize;
+uniform highp sampler2D irradianceMap; // Cosine weighted average of the environment around each normal
+uniform vec2 irradianceMapSize;
+
+// Number of ray-object, ray-triangle and ray-box tests done for this pixel so far
+float numIntersectionTests;
 
 
 /*******************************************
@@ -180,6 +324,290 @@ float rayIntersectTriangle(Ray ray, vec3 a, vec3 b, vec3 c,
 }
 
 
+/**
+* Look up a texel in one of the mesh data textures, which
+* are laid out row by row
+*
+* @param {sampler2D} tex : The data texture
+* @param {float} height : The number of rows in the texture
+* @param {float} idx : The index of the texel
+*
+* @returns {vec4} The texel, in high precision since it can hold indices
+*/
+highp vec4 getDataTexel(highp sampler2D tex, float height, highp float idx) {
+    highp float row = floor(idx / DATA_TEXTURE_WIDTH);
+    highp float col = idx - row*DATA_TEXTURE_WIDTH;
+    return texture2D(tex, vec2((col + 0.5)/DATA_TEXTURE_WIDTH, (row + 0.5)/height));
+}
+
+/**
+* Store the texture coordinates of an intersection, along with the direction
+* in which u increases, which normal and bump maps need.  This should be
+* called after the normal of the intersection has been set
+*
+* @param {Intersection (inout)} intersect : The intersection
+* @param {vec3} q : The point of intersection in the shape's coordinate
+*                   system, relative to the center of the shape
+* @param {vec2} uv : The texture coordinates
+* @param {vec3} dpdu : The direction in which u increases, in the shape's coordinate system
+* @param {mat3} N : The normal transformation of the shape
+*/
+void setTextureCoords(inout Intersection intersect, vec3 q, vec2 uv, vec3 dpdu, mat3 N) {
+    intersect.q = q;
+    intersect.uv = uv;
+    // Tangents don't transform like normals do, but N points them the right
+    // way for rotations and uniform scales, and they're made perpendicular to
+    // the normal again below
+    vec3 t = N*dpdu;
+    t -= dot(t, intersect.n)*intersect.n;
+    if (dot(t, t) < 1.0e-12) {
+        // At a pole or with degenerate texture coordinates, so
+        // pick any direction perpendicular to the normal
+        t = cross(intersect.n, vec3(0.0, 1.0, 0.0));
+        if (dot(t, t) < 1.0e-12) {
+            t = cross(intersect.n, vec3(1.0, 0.0, 0.0));
+        }
+    }
+    intersect.tangent = normalize(t);
+}
+
+/**
+* Store the texture coordinates of a point on a surface of revolution about
+* the y axis, where u goes around the axis and v goes up from bottom to top
+*
+* @param {Intersection (inout)} intersect : The intersection
+* @param {vec3} q : The point of intersection, relative to the center of the shape
+* @param {float} v : The v texture coordinate
+* @param {mat3} N : The normal transformation of the shape
+*/
+void setRevolutionTextureCoords(inout Intersection intersect, vec3 q, float v, mat3 N) {
+    float u = 0.5 + atan(q.x, q.z)/(2.0*M_PI);
+    setTextureCoords(intersect, q, vec2(u, v), vec3(q.z, 0.0, -q.x), N);
+}
+
+/**
+* Intersect a ray with an axis-aligned bounding box, using the slab method
+*
+* @param {vec3} p0 : The start of the ray
+* @param {vec3} vInv : The reciprocal of each component of the ray direction
+* @param {vec3} bmin : The minimum corner of the box
+* @param {vec3} bmax : The maximum corner of the box
+* @param {float} tMax : Ignore the box if it starts past this parameter
+*
+* @returns {float} t : The parameter where the ray enters the box (or 0.0 if
+*                      it starts inside), or INF if it misses
+*/
+float rayIntersectAABB(vec3 p0, vec3 vInv, vec3 bmin, vec3 bmax, float tMax) {
+    vec3 t1 = (bmin - p0)*vInv;
+    vec3 t2 = (bmax - p0)*vInv;
+    vec3 tNear = min(t1, t2);
+    vec3 tFar = max(t1, t2);
+    float tEnter = max(max(tNear.x, tNear.y), max(tNear.z, 0.0));
+    float tExit = min(min(tFar.x, tFar.y), tFar.z);
+    if (tEnter > tExit || tEnter >= tMax) {
+        return INF;
+    }
+    return tEnter;
+}
+
+/**
+* Intersect a ray with a triangle in the triangle's own coordinate
+* system, using the Moller-Trumbore algorithm
+*
+* @param {vec3} p0 : The start of the ray
+* @param {vec3} v : The direction of the ray
+* @param {vec3} a : Point a on the triangle
+* @param {vec3} b : Point b on the triangle
+* @param {vec3} c : Point c on the triangle
+* @param {vec3 (out)} n : The (unnormalized) normal of the triangle
+* @param {vec2 (out)} bary : The barycentric coordinates of b and c at the intersection
+*
+* @returns {float} t : Parameter t so that point of intersection is p0 + t*v,
+*                      or INF if there is no intersection
+*/
+float rayIntersectTriangleLocal(vec3 p0, vec3 v, vec3 a, vec3 b, vec3 c, out vec3 n, out vec2 bary) {
+    vec3 ab = b - a;
+    vec3 ac = c - a;
+    n = cross(ab, ac);
+    vec3 q = cross(v, ac);
+    float det = dot(ab, q);
+    if (abs(det) < 1.0e-12) {
+        // The ray is parallel to the triangle
+        return INF;
+    }
+    vec3 s = (p0 - a)/det;
+    float u = dot(s, q);
+    vec3 r = cross(s, ab);
+    float w = dot(v, r);
+    if (u < 0.0 || w < 0.0 || u + w > 1.0) {
+        return INF;
+    }
+    float t = dot(ac, r);
+    if (t <= 0.0) {
+        return INF;
+    }
+    bary = vec2(u, w);
+    return t;
+}
+
+/**
+* Intersect a ray with a triangle mesh by walking its bounding
+* volume hierarchy, which has been stored in a data texture
+*
+* @param {Ray} ray : The ray in world coordinates
+* @param {float} root : Index of the root node of the mesh's BVH
+* @param {float} smooth : 1 to interpolate the vertex normals, or 0 to use the face normals
+* @param {int} mIdx : Array index of material that the mesh is made of
+* @param {mat4} MInv: Inverse of the transformation M that's applied to the mesh before ray intersection
+* @param {mat3} N: The normal transformation associated to M
+* @param {Intersection (out)} intersect : The intersection
+*
+* @returns {float} t : Parameter t so that point of intersection is ray.P0 + t*ray.V
+*/
+float rayIntersectMesh(Ray ray, highp float root, float smooth, int mIdx, mat4 MInv, mat3 N,
+                        out Intersection intersect) {
+    intersect.mIdx = mIdx; // Store away the material index
+    intersect.sCoeff = 1.0;
+
+    // Since the transformed direction is not normalized, parameters along
+    // the ray in the mesh's coordinate system are the same as they are in
+    // world coordinates
+    vec3 p0 = (MInv * vec4(ray.p0, 1.0)).xyz;
+    vec3 v = (MInv * vec4(ray.v, 0.0)).xyz;
+    vec3 vInv = 1.0/(v + vec3(equal(v, vec3(0.0)))*1.0e-12);
+
+    // Node and triangle indices can go past what mediump floats hold exactly
+    highp vec4 n0 = getDataTexel(meshNodes, meshNodesHeight, 2.0*root);
+    highp vec4 n1 = getDataTexel(meshNodes, meshNodesHeight, 2.0*root + 1.0);
+    numIntersectionTests += 1.0;
+    if (rayIntersectAABB(p0, vInv, n0.xyz, n1.xyz, INF) >= INF) {
+        return INF;
+    }
+
+    float tMin = INF;
+    vec3 nMin = vec3(0.0, 0.0, 0.0);
+    highp float triMin = 0.0;
+    vec2 baryMin = vec2(0.0, 0.0);
+    // Stack of nodes that still need to be visited, along with the
+    // parameter at which the ray enters each one
+    highp float stackNodes[BVH_STACK_SIZE];
+    float stackT[BVH_STACK_SIZE];
+    int sp = 0;
+    highp float node = root; // Negative if the next node should come from the stack
+    for (int step = 0; step < MAX_BVH_STEPS; step++) {
+        if (node < 0.0) {
+            if (sp == 0) {
+                break;
+            }
+            sp--;
+            float tNode = INF;
+            for (int i = 0; i < BVH_STACK_SIZE; i++) {
+                if (i == sp) {
+                    node = stackNodes[i];
+                    tNode = stackT[i];
+                }
+            }
+            if (tNode >= tMin) {
+                // Something closer has been found since this node was pushed
+                node = -1.0;
+                continue;
+            }
+        }
+        n0 = getDataTexel(meshNodes, meshNodesHeight, 2.0*node);
+        n1 = getDataTexel(meshNodes, meshNodesHeight, 2.0*node + 1.0);
+        node = -1.0;
+        if (n1.w < 0.0) {
+            // Leaf node: check all of its triangles
+            for (int j = 0; j < BVH_LEAF_SIZE; j++) {
+                if (float(j) < -n1.w) {
+                    highp float tri = TEXELS_PER_TRIANGLE*(n0.w + float(j));
+                    vec3 a = getDataTexel(meshTriangles, meshTrianglesHeight, tri).xyz;
+                    vec3 b = getDataTexel(meshTriangles, meshTrianglesHeight, tri + 1.0).xyz;
+                    vec3 c = getDataTexel(meshTriangles, meshTrianglesHeight, tri + 2.0).xyz;
+                    vec3 nCurr;
+                    vec2 baryCurr;
+                    float tCurr = rayIntersectTriangleLocal(p0, v, a, b, c, nCurr, baryCurr);
+                    numIntersectionTests += 1.0;
+                    if (tCurr < tMin) {
+                        tMin = tCurr;
+                        nMin = nCurr;
+                        triMin = tri;
+                        baryMin = baryCurr;
+                    }
+                }
+            }
+        }
+        else {
+            // Internal node: visit the nearer child that the ray
+            // hits next, and save the farther one for later
+            vec4 l0 = getDataTexel(meshNodes, meshNodesHeight, 2.0*n0.w);
+            vec4 l1 = getDataTexel(meshNodes, meshNodesHeight, 2.0*n0.w + 1.0);
+            vec4 r0 = getDataTexel(meshNodes, meshNodesHeight, 2.0*n1.w);
+            vec4 r1 = getDataTexel(meshNodes, meshNodesHeight, 2.0*n1.w + 1.0);
+            float tl = rayIntersectAABB(p0, vInv, l0.xyz, l1.xyz, tMin);
+            float tr = rayIntersectAABB(p0, vInv, r0.xyz, r1.xyz, tMin);
+            numIntersectionTests += 2.0;
+            if (tl < INF && tr < INF) {
+                highp float far = n1.w;
+                float tFar = tr;
+                node = n0.w;
+                if (tr < tl) {
+                    far = n0.w;
+                    tFar = tl;
+                    node = n1.w;
+                }
+                for (int i = 0; i < BVH_STACK_SIZE; i++) {
+                    if (i == sp) {
+                        stackNodes[i] = far;
+                        stackT[i] = tFar;
+                    }
+                }
+                sp++;
+            }
+            else if (tl < INF) {
+                node = n0.w;
+            }
+            else if (tr < INF) {
+                node = n1.w;
+            }
+        }
+    }
+    if (tMin < INF) {
+        intersect.p = ray.p0 + tMin*ray.v;
+        intersect.n = normalize(N*nMin);
+        // Interpolate the texture coordinates of the triangle that was hit,
+        // which are stored in the last component of its vertex texels (u)
+        // and in its last texel (v)
+        vec4 a = getDataTexel(meshTriangles, meshTrianglesHeight, triMin);
+        vec4 b = getDataTexel(meshTriangles, meshTrianglesHeight, triMin + 1.0);
+        vec4 c = getDataTexel(meshTriangles, meshTrianglesHeight, triMin + 2.0);
+        vec3 vs = getDataTexel(meshTriangles, meshTrianglesHeight, triMin + 3.0).xyz;
+        vec3 w = vec3(1.0 - baryMin.x - baryMin.y, baryMin.x, baryMin.y);
+        if (smooth > 0.5) {
+            vec3 n = w.x*getDataTexel(meshTriangles, meshTrianglesHeight, triMin + 4.0).xyz +
+                     w.y*getDataTexel(meshTriangles, meshTrianglesHeight, triMin + 5.0).xyz +
+                     w.z*getDataTexel(meshTriangles, meshTrianglesHeight, triMin + 6.0).xyz;
+            if (dot(n, n) > 0.0) {
+                intersect.n = normalize(N*n);
+            }
+        }
+        vec2 uv = w.x*vec2(a.w, vs.x) + w.y*vec2(b.w, vs.y) + w.z*vec2(c.w, vs.z);
+        // Solve for the direction in which u increases along the triangle
+        vec3 e1 = b.xyz - a.xyz;
+        vec3 e2 = c.xyz - a.xyz;
+        vec2 d1 = vec2(b.w - a.w, vs.y - vs.x);
+        vec2 d2 = vec2(c.w - a.w, vs.z - vs.x);
+        float det = d1.x*d2.y - d2.x*d1.y;
+        vec3 dpdu = vec3(0.0, 0.0, 0.0);
+        if (abs(det) > 1.0e-12) {
+            dpdu = (d2.y*e1 - d1.y*e2)/det;
+        }
+        setTextureCoords(intersect, p0 + tMin*v, uv, dpdu, N);
+    }
+    return tMin;
+}
+
+
 /**
 * Intersect a ray with a given sphere
 *
@@ -228,11 +656,15 @@ float rayIntersectSphere(Ray ray, vec3 c, float r,
             intersect.p = oldP0 + oldV*t1;
             intersect.n = normalize(N*(newP0 + newV*t1-c));
             intersect.sCoeff = 1.0; // TODO: Change this for special material extra task
+            vec3 q = newP0 + newV*t1-c;
+            setRevolutionTextureCoords(intersect, q, 0.5 + asin(clamp(q.y/r, -1.0, 1.0))/M_PI, N);
             return t1;
         } else if (t2 > 0.0) {
             intersect.p = oldP0 + oldV*t2;
             intersect.n = normalize(N*(newP0 + newV*t2-c));
             intersect.sCoeff = 1.0; // TODO: Change this for special material extra task
+            vec3 q = newP0 + newV*t2-c;
+            setRevolutionTextureCoords(intersect, q, 0.5 + asin(clamp(q.y/r, -1.0, 1.0))/M_PI, N);
             return t2;
         } else {
             return INF;
@@ -389,6 +821,21 @@ float rayIntersectBox(Ray ray, float W, float H, float L,
     } else {
         intersect.sCoeff = 0.0;
     }
+    if (t < INF) {
+        // Each face is textured with the two axes that run along it
+        vec3 size = vec3(W, H, L);
+        vec3 q = ray.p0 + t*ray.v - c;
+        vec3 f = abs(q)/size;
+        if (f.x >= f.y && f.x >= f.z) {
+            setTextureCoords(intersect, q, q.zy/size.zy + 0.5, vec3(0.0, 0.0, 1.0), N);
+        }
+        else if (f.y >= f.z) {
+            setTextureCoords(intersect, q, q.xz/size.xz + 0.5, vec3(1.0, 0.0, 0.0), N);
+        }
+        else {
+            setTextureCoords(intersect, q, q.xy/size.xy + 0.5, vec3(1.0, 0.0, 0.0), N);
+        }
+    }
     //intersect.sCoeff = 1.0; // TODO: Change this for special material extra task
     return t;
 
@@ -396,7 +843,35 @@ float rayIntersectBox(Ray ray, float W, float H, float L,
 
 
 /**
-* Intersect a ray with a given cylinder
+* Intersect a ray with a disc that's perpendicular to the y axis, in
+* the disc's own coordinate system
+*
+* @param {vec3} p0 : The start of the ray
+* @param {vec3} v : The direction of the ray
+* @param {vec3} c : Center of the disc
+* @param {float} r : Radius of the disc
+* @param {float} tMin : Only report the disc if it's closer than this
+*
+* @returns {float} t : Parameter t so that point of intersection is p0 + t*v,
+*                      or tMin if the disc wasn't hit before that
+*/
+float rayIntersectYDisc(vec3 p0, vec3 v, vec3 c, float r, float tMin) {
+    if (v.y == 0.0) {
+        return tMin;
+    }
+    float t = (c.y - p0.y)/v.y;
+    if (t > 0.0 && t < tMin) {
+        vec3 d = p0 + t*v - c;
+        if (d.x*d.x + d.z*d.z <= r*r) {
+            return t;
+        }
+    }
+    return tMin;
+}
+
+/**
+* Intersect a ray with a given cylinder, which is aligned with the y axis
+* and extends from c.y - h/2 to c.y + h/2, including its top and bottom caps
 *
 * @param {Ray} ray : The ray in world coordinates
 * @param {vec3} c : Center of cylinder
@@ -414,16 +889,61 @@ float rayIntersectCylinder(Ray ray, vec3 c, float r, float h,
                             out Intersection intersect) {
     intersect.mIdx = mIdx; // Store away the material index
     intersect.sCoeff = 1.0; // TODO: Change this for special material extra task
-/** TODO: PUT YOUR CODE HERE **/
-    // TODO: The below three are dummy values
-    intersect.p = vec3(0, 0, 0);
-    intersect.n = vec3(0, 0, 0);
-    return INF;
+    vec3 p0 = (MInv * vec4(ray.p0, 1.0)).xyz;
+    vec3 v = (MInv * vec4(ray.v, 0.0)).xyz;
+
+    // Side of the cylinder: (x-c.x)^2 + (z-c.z)^2 = r^2
+    float t = INF;
+    vec3 n = vec3(0.0, 0.0, 0.0);
+    vec3 d = p0 - c;
+    float A = v.x*v.x + v.z*v.z;
+    float B = 2.0*(d.x*v.x + d.z*v.z);
+    float C = d.x*d.x + d.z*d.z - r*r;
+    float disc = B*B - 4.0*A*C;
+    if (A > 0.0 && disc >= 0.0) {
+        float t1 = (-B - sqrt(disc))/(2.0*A);
+        float t2 = (-B + sqrt(disc))/(2.0*A);
+        if (t1 > 0.0 && abs(d.y + t1*v.y) <= h/2.0) {
+            t = t1;
+        }
+        else if (t2 > 0.0 && abs(d.y + t2*v.y) <= h/2.0) {
+            t = t2;
+        }
+        if (t < INF) {
+            n = vec3(d.x + t*v.x, 0.0, d.z + t*v.z);
+        }
+    }
+
+    // Top and bottom caps
+    float tCap = rayIntersectYDisc(p0, v, c + vec3(0.0, h/2.0, 0.0), r, t);
+    if (tCap < t) {
+        t = tCap;
+        n = vec3(0.0, 1.0, 0.0);
+    }
+    tCap = rayIntersectYDisc(p0, v, c - vec3(0.0, h/2.0, 0.0), r, t);
+    if (tCap < t) {
+        t = tCap;
+        n = vec3(0.0, -1.0, 0.0);
+    }
+
+    if (t < INF) {
+        intersect.p = ray.p0 + t*ray.v;
+        intersect.n = normalize(N*n);
+        vec3 q = d + t*v;
+        if (n.y == 0.0) {
+            setRevolutionTextureCoords(intersect, q, q.y/h + 0.5, N);
+        }
+        else {
+            setTextureCoords(intersect, q, 0.5 + q.xz/(2.0*r), vec3(1.0, 0.0, 0.0), N);
+        }
+    }
+    return t;
 }
 
 
 /**
-* Intersect a ray with a given cone
+* Intersect a ray with a given cone, which is aligned with the y axis,
+* with its base of radius r at c.y - h/2 and its tip at c.y + h/2
 *
 * @param {Ray} ray : The ray in world coordinates
 * @param {vec3} c : Center of cone
@@ -441,168 +961,1186 @@ float rayIntersectCone(Ray ray, vec3 c, float r, float h,
                             out Intersection intersect) {
     intersect.mIdx = mIdx; // Store away the material index
     intersect.sCoeff = 1.0; // TODO: Change this for special material extra task
-/** TODO: PUT YOUR CODE HERE **/
-    // TODO: The below three are dummy values
-    intersect.p = vec3(0, 0, 0);
-    intersect.n = vec3(0, 0, 0);
-    return INF;
+    vec3 p0 = (MInv * vec4(ray.p0, 1.0)).xyz;
+    vec3 v = (MInv * vec4(ray.v, 0.0)).xyz;
+
+    // Side of the cone: (x-c.x)^2 + (z-c.z)^2 = k^2(y-tip)^2, below the tip
+    float t = INF;
+    vec3 n = vec3(0.0, 0.0, 0.0);
+    float k = r/h;
+    vec3 d = p0 - (c + vec3(0.0, h/2.0, 0.0));
+    float A = v.x*v.x + v.z*v.z - k*k*v.y*v.y;
+    float B = 2.0*(d.x*v.x + d.z*v.z - k*k*d.y*v.y);
+    float C = d.x*d.x + d.z*d.z - k*k*d.y*d.y;
+    float disc = B*B - 4.0*A*C;
+    if (abs(A) > 0.0 && disc >= 0.0) {
+        float t1 = (-B - sqrt(disc))/(2.0*A);
+        float t2 = (-B + sqrt(disc))/(2.0*A);
+        if (t1 > t2) {
+            float temp = t1;
+            t1 = t2;
+            t2 = temp;
+        }
+        float y1 = d.y + t1*v.y;
+        float y2 = d.y + t2*v.y;
+        if (t1 > 0.0 && y1 <= 0.0 && y1 >= -h) {
+            t = t1;
+        }
+        else if (t2 > 0.0 && y2 <= 0.0 && y2 >= -h) {
+            t = t2;
+        }
+        if (t < INF) {
+            vec3 q = d + t*v;
+            n = vec3(q.x, -k*k*q.y, q.z);
+        }
+    }
+
+    // Base
+    float tCap = rayIntersectYDisc(p0, v, c - vec3(0.0, h/2.0, 0.0), r, t);
+    bool base = false;
+    if (tCap < t) {
+        t = tCap;
+        n = vec3(0.0, -1.0, 0.0);
+        base = true;
+    }
+
+    if (t < INF) {
+        intersect.p = ray.p0 + t*ray.v;
+        intersect.n = normalize(N*n);
+        vec3 q = p0 + t*v - c;
+        if (base) {
+            setTextureCoords(intersect, q, 0.5 + q.xz/(2.0*r), vec3(1.0, 0.0, 0.0), N);
+        }
+        else {
+            setRevolutionTextureCoords(intersect, q, q.y/h + 0.5, N);
+        }
+    }
+    return t;
 }
 
 
 /**
-* A function which intersects a ray with a scene, returning the
-* t parameter of the closest intersection, or INF if no intersection
-* happened, along with an out parameter storing the point, normal,
-* and material of the intersection
-* NOTE: This function is merely declared here; it is defined in its
-* entirety in Javascript before this shader is compiled, since information
-* about the scene must be hardcoded into the shader
+* Intersect a ray with a plane through the center of a shape that's
+* perpendicular to the y axis.  It can be bounded along x and z, in which
+* case it's a rectangle centered at c
 *
 * @param {Ray} ray : The ray in world coordinates
+* @param {vec3} c : Center of the plane
+* @param {float} W : Width of the plane along x, or 0 if it goes on forever
+* @param {float} L : Length of the plane along z, or 0 if it goes on forever
+* @param {int} mIdx : Array index of material that the plane is made of
+* @param {mat4} MInv: Inverse of the transformation M that's applied to the plane before ray intersection
+* @param {mat3} N: The normal transformation associated to M
 * @param {Intersection (out)} intersect : The intersection
 *
 * @returns {float} t : Parameter t so that point of intersection is ray.P0 + t*ray.V
 */
-float rayIntersectScene(Ray ray, out Intersection intersect){return INF;}
-
-
-/*******************************************
-        RAY ILLUMINATION FUNCTIONS
-********************************************/
+float rayIntersectRect(Ray ray, vec3 c, float W, float L,
+                        int mIdx, mat4 MInv, mat3 N,
+                        out Intersection intersect) {
+    intersect.mIdx = mIdx; // Store away the material index
+    intersect.sCoeff = 1.0;
+    vec3 p0 = (MInv * vec4(ray.p0, 1.0)).xyz;
+    vec3 v = (MInv * vec4(ray.v, 0.0)).xyz;
+    if (v.y == 0.0) {
+        return INF;
+    }
+    float t = (c.y - p0.y)/v.y;
+    if (t <= 0.0) {
+        return INF;
+    }
+    vec3 q = p0 + t*v - c;
+    if ((W > 0.0 && abs(q.x) > W/2.0) || (L > 0.0 && abs(q.z) > L/2.0)) {
+        return INF;
+    }
+    intersect.p = ray.p0 + t*ray.v;
+    intersect.n = normalize(N*vec3(0.0, 1.0, 0.0));
+    // Texture coordinates go across a bounded side once, and
+    // repeat every unit along an unbounded one
+    vec2 uv = q.xz;
+    if (W > 0.0) {
+        uv.x = q.x/W + 0.5;
+    }
+    if (L > 0.0) {
+        uv.y = q.z/L + 0.5;
+    }
+    setTextureCoords(intersect, q, uv, vec3(1.0, 0.0, 0.0), N);
+    return t;
+}
 
 /**
-* Pull a material out of the list of materials, based on its
-* index.  This function is necessary, because it is not possible
-* to use non-constant indices into arrays in GLSL, so one must
-* loop over the entire array of materials to find the right one
+* Intersect a ray with a disk that's perpendicular to the y axis
 *
-* @param {int} mIdx : The index into the materials array of the
-*                     material we seekd
+* @param {Ray} ray : The ray in world coordinates
+* @param {vec3} c : Center of the disk
+* @param {float} r : Radius of the disk
+* @param {int} mIdx : Array index of material that the disk is made of
+* @param {mat4} MInv: Inverse of the transformation M that's applied to the disk before ray intersection
+* @param {mat3} N: The normal transformation associated to M
+* @param {Intersection (out)} intersect : The intersection
 *
-* @returns {Material} m : The appropriate material struct
+* @returns {float} t : Parameter t so that point of intersection is ray.P0 + t*ray.V
 */
-Material getMaterial(int mIdx) {
-    Material m;
-    for (int i = 0; i < MAX_MATERIALS; i++) {
-        if (i == mIdx) {
-            m = materials[i];
-        }
+float rayIntersectDisk(Ray ray, vec3 c, float r,
+                        int mIdx, mat4 MInv, mat3 N,
+                        out Intersection intersect) {
+    intersect.mIdx = mIdx; // Store away the material index
+    intersect.sCoeff = 1.0;
+    vec3 p0 = (MInv * vec4(ray.p0, 1.0)).xyz;
+    vec3 v = (MInv * vec4(ray.v, 0.0)).xyz;
+    float t = rayIntersectYDisc(p0, v, c, r, INF);
+    if (t < INF) {
+        intersect.p = ray.p0 + t*ray.v;
+        intersect.n = normalize(N*vec3(0.0, 1.0, 0.0));
+        vec3 q = p0 + t*v - c;
+        setTextureCoords(intersect, q, 0.5 + q.xz/(2.0*r), vec3(1.0, 0.0, 0.0), N);
     }
-    return m;
+    return t;
 }
 
 /**
-* Determine whether a point is in the shadow of a light
+* Find the real roots of a cubic x^3 + a x^2 + b x + c, returning the
+* largest one
 *
-* @param {Intersection} intersect : Intersection point we're checking
-* @param {int} lightIndex : Index into the array of lights of
-*                           the light we want to check
+* @param {float} a, b, c : The coefficients of the cubic
+*
+* @returns {float} The largest real root
 */
-bool pointInShadow(Intersection intersect, Light l) {
-    Ray ray;
-    vec3 dir = l.pos - intersect.p;
-    ray.v = dir;
-    ray.p0 = intersect.p + EPS*normalize(dir);
-    Intersection intersect2;
-    float t = rayIntersectScene(ray, intersect2);
-    
-    if (t >= 1.0) {
-        return false;
-    } else {
-        return true;
+float solveCubicMax(float a, float b, float c) {
+    // Substitute x = y - a/3 to get y^3 + py + q
+    float p = b - a*a/3.0;
+    float q = 2.0*a*a*a/27.0 - a*b/3.0 + c;
+    float disc = q*q/4.0 + p*p*p/27.0;
+    float y = 0.0;
+    if (disc > 0.0) {
+        float s = sqrt(disc);
+        float u = -q/2.0 + s;
+        float w = -q/2.0 - s;
+        y = sign(u)*pow(abs(u), 1.0/3.0) + sign(w)*pow(abs(w), 1.0/3.0);
     }
-}
-
-float pointInSoftShadow(Intersection intersect, Light l) {
-    Ray ray;
-    vec3 dir = l.pos - intersect.p;
-    ray.v = dir;
-    ray.p0 = intersect.p + EPS*normalize(dir);
-    Intersection intersect2;
-    float t = rayIntersectScene(ray, intersect2);
-    
-    if (t >= 1.0) {
-        return 1.0;
-    } else {
-        return 0.0;
+    else if (p < 0.0) {
+        float m = sqrt(-p/3.0);
+        float theta = acos(clamp(-q/(2.0*m*m*m), -1.0, 1.0));
+        y = 2.0*m*cos(theta/3.0);
     }
-}
-
-
-float random (vec2 st) {
-    return fract(sin(dot(st.xy,
-                         vec2(12.9898,78.233)))*
-        43758.5453123);
-}
-
-
-
-float softShadow(Intersection intersect, Light l) {
-    float shadow;
-    float counter = 0.0;
-    float x = random(intersect.p.xy);
-    float y = random(intersect.p.yz);
-    float z = random(intersect.p.xz);
-    vec3 oldPosition = l.pos;
-
-    counter += pointInSoftShadow(intersect,l);
-    vec3 randomValues;
-
-    for (int i=0; i < SOFT_NUMBER; i++) {
-        randomValues = beaconRadius * normalize(vec3(x,y,z));
-        l.pos = oldPosition + randomValues;
-        counter += pointInSoftShadow(intersect,l);
-
-        x = random(vec2(x,y));
-        y = random(vec2(y,z));
-        z = random(vec2(z,x));
+    float x = y - a/3.0;
+    // Polish the root, since float precision doesn't go far
+    for (int i = 0; i < 2; i++) {
+        float f = ((x + a)*x + b)*x + c;
+        float df = (3.0*x + 2.0*a)*x + b;
+        if (df != 0.0) {
+            x -= f/df;
+        }
     }
-
-    shadow = counter /(float(SOFT_NUMBER)+1.0);
-
-    return shadow;
+    return x;
 }
 
 /**
-* Get the phong illumination color
+* Find the real roots of a quartic x^4 + a x^3 + b x^2 + c x + d
+* using Ferrari's method
+*
+* @param {float} a, b, c, d : The coefficients of the quartic
+*
+* @returns {vec4} The roots, with INF in place of the ones that aren't real
 */
-vec3 getPhongColor(Intersection intersect, Material m) {
-    vec3 color = vec3(0.0, 0.0, 0.0);
-    vec3 ci = vec3(0.0,0.0,0.0);
-    vec3 d = vec3(0.0,0.0,0.0);
-    vec3 diffuse;
-    vec3 specular;
-
-    // To help with debugging, color the fragment based on the
-    // normal of the intersection.  But this should eventually
-    // be replaced with code to do Phong illumination below
-    //color = 0.5*(intersect.n + 1.0);
-
-    intersect.n = normalize(intersect.n);
-    
-
-    for (int i = 0; i < MAX_LIGHTS; i++) {
-        if (i < numLights) {
-            float spotlight;
-            float shadow = softShadow(intersect,lights[i]);
-            vec3 normalizedTowards = normalize(lights[i].towards);
-            d = lights[i].pos - intersect.p;
-            float towardsAngle = dot(-normalize(d),normalizedTowards);
-            
-            
-
-            
-            if (towardsAngle <= cos(lights[i].angle)) {
-                spotlight = 0.0;
-            } else {
-                spotlight = 1.0;
+vec4 solveQuartic(float a, float b, float c, float d) {
+    // Substitute x = y - a/4 to get y^4 + py^2 + qy + r
+    float a2 = a*a;
+    float p = b - 3.0*a2/8.0;
+    float q = c - a*b/2.0 + a2*a/8.0;
+    float r = d - a*c/4.0 + a2*b/16.0 - 3.0*a2*a2/256.0;
+    vec4 roots = vec4(INF, INF, INF, INF);
+    // Factor into (y^2 + sy + alpha)(y^2 - sy + beta), where s^2
+    // is the largest root of the resolvent cubic
+    float z = solveCubicMax(2.0*p, p*p - 4.0*r, -q*q);
+    if (z > 1.0e-6) {
+        float s = sqrt(z);
+        float alpha = (p + z - q/s)/2.0;
+        float beta = (p + z + q/s)/2.0;
+        float disc1 = z - 4.0*alpha;
+        float disc2 = z - 4.0*beta;
+        if (disc1 >= 0.0) {
+            roots.x = (-s - sqrt(disc1))/2.0;
+            roots.y = (-s + sqrt(disc1))/2.0;
+        }
+        if (disc2 >= 0.0) {
+            roots.z = (s - sqrt(disc2))/2.0;
+            roots.w = (s + sqrt(disc2))/2.0;
+        }
+    }
+    else {
+        // Biquadratic y^4 + py^2 + r
+        float disc = p*p - 4.0*r;
+        if (disc >= 0.0) {
+            float y1 = (-p - sqrt(disc))/2.0;
+            float y2 = (-p + sqrt(disc))/2.0;
+            if (y1 >= 0.0) {
+                roots.x = -sqrt(y1);
+                roots.y = sqrt(y1);
             }
-
-           
-            ci = lights[i].color / (lights[i].atten.x + lights[i].atten.y * length(d) + lights[i].atten.z * dot(d,d)); 
-            ci *= spotlight; 
-        
-            d = normalize(d);
+            if (y2 >= 0.0) {
+                roots.z = -sqrt(y2);
+                roots.w = sqrt(y2);
+            }
+        }
+    }
+    for (int i = 0; i < 4; i++) {
+        float x = roots.x;
+        if (i == 1) {
+            x = roots.y;
+        }
+        else if (i == 2) {
+            x = roots.z;
+        }
+        else if (i == 3) {
+            x = roots.w;
+        }
+        if (x < INF) {
+            x -= a/4.0;
+            for (int k = 0; k < 2; k++) {
+                float f = (((x + a)*x + b)*x + c)*x + d;
+                float df = ((4.0*x + 3.0*a)*x + 2.0*b)*x + c;
+                if (df != 0.0) {
+                    x -= f/df;
+                }
+            }
+        }
+        if (i == 0) {
+            roots.x = x;
+        }
+        else if (i == 1) {
+            roots.y = x;
+        }
+        else if (i == 2) {
+            roots.z = x;
+        }
+        else {
+            roots.w = x;
+        }
+    }
+    return roots;
+}
+
+/**
+* Intersect a ray with a torus whose axis is the y axis
+*
+* @param {Ray} ray : The ray in world coordinates
+* @param {vec3} c : Center of the torus
+* @param {float} R : Distance from the center to the middle of the tube
+* @param {float} r : Radius of the tube
+* @param {int} mIdx : Array index of material that the torus is made of
+* @param {mat4} MInv: Inverse of the transformation M that's applied to the torus before ray intersection
+* @param {mat3} N: The normal transformation associated to M
+* @param {Intersection (out)} intersect : The intersection
+*
+* @returns {float} t : Parameter t so that point of intersection is ray.P0 + t*ray.V
+*/
+float rayIntersectTorus(Ray ray, vec3 c, float R, float r,
+                        int mIdx, mat4 MInv, mat3 N,
+                        out Intersection intersect) {
+    intersect.mIdx = mIdx; // Store away the material index
+    intersect.sCoeff = 1.0;
+    vec3 p0 = (MInv * vec4(ray.p0, 1.0)).xyz;
+    vec3 v = (MInv * vec4(ray.v, 0.0)).xyz;
+    float len = length(v);
+    vec3 dir = v/len;
+    vec3 d = p0 - c;
+    // Start from where the ray enters the torus's bounding sphere, which
+    // keeps the coefficients of the quartic small enough for floats
+    float rb = R + r;
+    float m = dot(d, dir);
+    float disc = m*m - dot(d, d) + rb*rb;
+    if (disc < 0.0) {
+        return INF;
+    }
+    float s0 = max(0.0, -m - sqrt(disc));
+    vec3 o = d + s0*dir;
+    // (|q|^2 + R^2 - r^2)^2 = 4R^2(q.x^2 + q.z^2), with q = o + s*dir
+    m = dot(o, dir);
+    float k = dot(o, o) + R*R - r*r;
+    float ax = dir.x*dir.x + dir.z*dir.z;
+    float bx = o.x*dir.x + o.z*dir.z;
+    float cx = o.x*o.x + o.z*o.z;
+    vec4 roots = solveQuartic(4.0*m, 4.0*m*m + 2.0*k - 4.0*R*R*ax,
+                              4.0*m*k - 8.0*R*R*bx, k*k - 4.0*R*R*cx);
+    float s = INF;
+    // Only roots in front of the start of the ray count
+    float sMin = -s0;
+    for (int i = 0; i < 4; i++) {
+        float root = roots.x;
+        if (i == 1) {
+            root = roots.y;
+        }
+        else if (i == 2) {
+            root = roots.z;
+        }
+        else if (i == 3) {
+            root = roots.w;
+        }
+        if (root > sMin && root < s) {
+            s = root;
+        }
+    }
+    if (s == INF) {
+        return INF;
+    }
+    float t = (s0 + s)/len;
+    if (t <= 0.0) {
+        return INF;
+    }
+    vec3 q = o + s*dir;
+    intersect.p = ray.p0 + t*ray.v;
+    intersect.n = normalize(N*((dot(q, q) + R*R - r*r)*q - 2.0*R*R*vec3(q.x, 0.0, q.z)));
+    // v goes around the tube, starting from its inside
+    float around = atan(q.y, length(q.xz) - R);
+    setRevolutionTextureCoords(intersect, q, 0.5 + around/(2.0*M_PI), N);
+    return t;
+}
+
+/**
+* Intersect a ray with a capsule, which is a cylinder aligned with the
+* y axis that's capped with hemispheres instead of disks
+*
+* @param {Ray} ray : The ray in world coordinates
+* @param {vec3} c : Center of the capsule
+* @param {float} r : Radius of the capsule
+* @param {float} h : Height of the cylinder between the centers of the hemispheres
+* @param {int} mIdx : Array index of material that the capsule is made of
+* @param {mat4} MInv: Inverse of the transformation M that's applied to the capsule before ray intersection
+* @param {mat3} N: The normal transformation associated to M
+* @param {Intersection (out)} intersect : The intersection
+*
+* @returns {float} t : Parameter t so that point of intersection is ray.P0 + t*ray.V
+*/
+float rayIntersectCapsule(Ray ray, vec3 c, float r, float h,
+                        int mIdx, mat4 MInv, mat3 N,
+                        out Intersection intersect) {
+    intersect.mIdx = mIdx; // Store away the material index
+    intersect.sCoeff = 1.0;
+    vec3 p0 = (MInv * vec4(ray.p0, 1.0)).xyz;
+    vec3 v = (MInv * vec4(ray.v, 0.0)).xyz;
+    vec3 d = p0 - c;
+    float t = INF;
+
+    // Side, where it's between the hemispheres
+    float A = v.x*v.x + v.z*v.z;
+    float B = 2.0*(d.x*v.x + d.z*v.z);
+    float C = d.x*d.x + d.z*d.z - r*r;
+    float disc = B*B - 4.0*A*C;
+    if (A > 0.0 && disc >= 0.0) {
+        float t1 = (-B - sqrt(disc))/(2.0*A);
+        float t2 = (-B + sqrt(disc))/(2.0*A);
+        if (t1 > 0.0 && abs(d.y + t1*v.y) <= h/2.0) {
+            t = t1;
+        }
+        else if (t2 > 0.0 && abs(d.y + t2*v.y) <= h/2.0) {
+            t = t2;
+        }
+    }
+
+    // Hemispheres, where they're past the ends of the side
+    A = dot(v, v);
+    for (int i = 0; i < 2; i++) {
+        float side = i == 0 ? 1.0 : -1.0;
+        vec3 dc = d - vec3(0.0, side*h/2.0, 0.0);
+        B = 2.0*dot(dc, v);
+        C = dot(dc, dc) - r*r;
+        disc = B*B - 4.0*A*C;
+        if (disc >= 0.0) {
+            float t1 = (-B - sqrt(disc))/(2.0*A);
+            float t2 = (-B + sqrt(disc))/(2.0*A);
+            if (t1 > 0.0 && t1 < t && side*(dc.y + t1*v.y) >= 0.0) {
+                t = t1;
+            }
+            else if (t2 > 0.0 && t2 < t && side*(dc.y + t2*v.y) >= 0.0) {
+                t = t2;
+            }
+        }
+    }
+
+    if (t < INF) {
+        vec3 q = d + t*v;
+        intersect.p = ray.p0 + t*ray.v;
+        intersect.n = normalize(N*(q - vec3(0.0, clamp(q.y, -h/2.0, h/2.0), 0.0)));
+        setRevolutionTextureCoords(intersect, q, (q.y + h/2.0 + r)/(h + 2.0*r), N);
+    }
+    return t;
+}
+
+/**
+* Intersect a ray with a quadric surface
+*     Ax^2 + By^2 + Cz^2 + Dxy + Exz + Fyz + Gx + Hy + Iz + J = 0
+* in coordinates relative to its center, clipped to a cube
+*
+* @param {Ray} ray : The ray in world coordinates
+* @param {vec3} c : Center of the quadric
+* @param {vec3} sq : The coefficients (A, B, C) of the squares
+* @param {vec3} cr : The coefficients (D, E, F) of the cross terms
+* @param {vec3} lin : The coefficients (G, H, I) of the linear terms
+* @param {float} k : The constant J
+* @param {float} size : Side length of the cube around the center that it's clipped to
+* @param {int} mIdx : Array index of material that the quadric is made of
+* @param {mat4} MInv: Inverse of the transformation M that's applied to the quadric before ray intersection
+* @param {mat3} N: The normal transformation associated to M
+* @param {Intersection (out)} intersect : The intersection
+*
+* @returns {float} t : Parameter t so that point of intersection is ray.P0 + t*ray.V
+*/
+float rayIntersectQuadric(Ray ray, vec3 c, vec3 sq, vec3 cr, vec3 lin, float k, float size,
+                        int mIdx, mat4 MInv, mat3 N,
+                        out Intersection intersect) {
+    intersect.mIdx = mIdx; // Store away the material index
+    intersect.sCoeff = 1.0;
+    vec3 p0 = (MInv * vec4(ray.p0, 1.0)).xyz;
+    vec3 v = (MInv * vec4(ray.v, 0.0)).xyz;
+    vec3 d = p0 - c;
+    // q^T Q q + lin.q + k = 0, with Q symmetric
+    mat3 Q = mat3(sq.x, cr.x/2.0, cr.y/2.0,
+                  cr.x/2.0, sq.y, cr.z/2.0,
+                  cr.y/2.0, cr.z/2.0, sq.z);
+    vec3 Qv = Q*v;
+    float A = dot(v, Qv);
+    float B = 2.0*dot(d, Qv) + dot(lin, v);
+    float C = dot(d, Q*d) + dot(lin, d) + k;
+    vec2 ts = vec2(INF, INF);
+    if (abs(A) < 1.0e-9) {
+        if (B != 0.0) {
+            ts.x = -C/B;
+        }
+    }
+    else {
+        float disc = B*B - 4.0*A*C;
+        if (disc >= 0.0) {
+            float t1 = (-B - sqrt(disc))/(2.0*A);
+            float t2 = (-B + sqrt(disc))/(2.0*A);
+            ts = vec2(min(t1, t2), max(t1, t2));
+        }
+    }
+    float t = INF;
+    if (ts.x > 0.0 && ts.x < INF && all(lessThanEqual(abs(d + ts.x*v), vec3(size/2.0)))) {
+        t = ts.x;
+    }
+    else if (ts.y > 0.0 && ts.y < INF && all(lessThanEqual(abs(d + ts.y*v), vec3(size/2.0)))) {
+        t = ts.y;
+    }
+    if (t < INF) {
+        vec3 q = d + t*v;
+        intersect.p = ray.p0 + t*ray.v;
+        intersect.n = normalize(N*(2.0*Q*q + lin));
+        setRevolutionTextureCoords(intersect, q, q.y/size + 0.5, N);
+    }
+    return t;
+}
+
+
+/**
+* Look up an object in the objects texture
+*
+* @param {float} id : The ID of the object
+*
+* @returns {Object} The object
+*/
+Object getObject(highp float id) {
+    Object o;
+    highp float idx = id*TEXELS_PER_OBJECT;
+    o.params = getDataTexel(objects, objectsHeight, idx);
+    o.c = getDataTexel(objects, objectsHeight, idx + 1.0).xyz;
+    o.mIdx = int(o.params.w + 0.5);
+    o.MInv = mat4(getDataTexel(objects, objectsHeight, idx + 2.0),
+                  getDataTexel(objects, objectsHeight, idx + 3.0),
+                  getDataTexel(objects, objectsHeight, idx + 4.0),
+                  getDataTexel(objects, objectsHeight, idx + 5.0));
+    o.params2 = getDataTexel(objects, objectsHeight, idx + 6.0);
+    o.params3 = getDataTexel(objects, objectsHeight, idx + 7.0);
+    // The normal transform is the inverse transpose of the upper 3x3
+    // part of the transform, which is the transpose of the upper 3x3
+    // part of its inverse
+    o.N = mat3(o.MInv[0][0], o.MInv[1][0], o.MInv[2][0],
+               o.MInv[0][1], o.MInv[1][1], o.MInv[2][1],
+               o.MInv[0][2], o.MInv[1][2], o.MInv[2][2]);
+    return o;
+}
+
+/**
+* Find the interval of a line along which it's inside of a range,
+* given its coordinate along one axis
+*
+* @param {float} p : The coordinate of the start of the line
+* @param {float} v : The change in the coordinate along the line
+* @param {float} lo : The lower end of the range
+* @param {float} hi : The upper end of the range
+*
+* @returns {vec2} The parameters where the line enters and exits the range,
+*                 which are in the wrong order if it's never inside
+*/
+vec2 getSlabInterval(float p, float v, float lo, float hi) {
+    if (v == 0.0) {
+        if (p >= lo && p <= hi) {
+            return vec2(-INF, INF);
+        }
+        return vec2(INF, -INF);
+    }
+    float t1 = (lo - p)/v;
+    float t2 = (hi - p)/v;
+    return vec2(min(t1, t2), max(t1, t2));
+}
+
+/**
+* Find the interval of a line along which a quadratic At^2 + Bt + C is
+* negative, assuming that it's only negative over a single interval
+* within a range
+*
+* @param {float} A, B, C : The coefficients of the quadratic
+* @param {vec2} range : The range that the solution is clipped to
+*
+* @returns {vec2} The interval, which is in the wrong order if it's empty
+*/
+vec2 getQuadraticInterval(float A, float B, float C, vec2 range) {
+    vec2 interval = vec2(INF, -INF);
+    if (abs(A) < 1.0e-12) {
+        if (abs(B) < 1.0e-12) {
+            if (C <= 0.0) {
+                interval = vec2(-INF, INF);
+            }
+        }
+        else if (B > 0.0) {
+            interval = vec2(-INF, -C/B);
+        }
+        else {
+            interval = vec2(-C/B, INF);
+        }
+    }
+    else {
+        float disc = B*B - 4.0*A*C;
+        if (disc < 0.0) {
+            if (A < 0.0) {
+                interval = vec2(-INF, INF);
+            }
+        }
+        else {
+            float r1 = (-B - sqrt(disc))/(2.0*A);
+            float r2 = (-B + sqrt(disc))/(2.0*A);
+            if (r1 > r2) {
+                float temp = r1;
+                r1 = r2;
+                r2 = temp;
+            }
+            if (A > 0.0) {
+                interval = vec2(r1, r2);
+            }
+            else if (range.x <= r1) {
+                // Negative outside of the roots, so take the side
+                // that overlaps the range
+                interval = vec2(-INF, r1);
+            }
+            else {
+                interval = vec2(r2, INF);
+            }
+        }
+    }
+    return vec2(max(interval.x, range.x), min(interval.y, range.y));
+}
+
+/**
+* Find where a ray enters and exits one of the convex primitives that
+* CSG nodes are made of, along the whole line that the ray is on.  Since
+* the transformed direction isn't normalized, the parameters are the same
+* in world coordinates as they are in the primitive's coordinate system
+*
+* @param {int} type : The type of the primitive (SHAPE_BOX, SHAPE_SPHERE,
+*                     SHAPE_CYLINDER or SHAPE_CONE)
+* @param {Object} o : The primitive
+* @param {Ray} ray : The ray in world coordinates
+*
+* @returns {vec2} The parameters where the line enters and exits the
+*                 primitive, which are in the wrong order if it misses
+*/
+vec2 getCSGInterval(int type, Object o, Ray ray) {
+    numIntersectionTests += 1.0;
+    vec3 p0 = (o.MInv * vec4(ray.p0, 1.0)).xyz;
+    vec3 v = (o.MInv * vec4(ray.v, 0.0)).xyz;
+    vec3 d = p0 - o.c;
+    vec2 interval = vec2(INF, -INF);
+    if (type == SHAPE_BOX) {
+        vec3 size = o.params.xyz/2.0;
+        vec2 ix = getSlabInterval(d.x, v.x, -size.x, size.x);
+        vec2 iy = getSlabInterval(d.y, v.y, -size.y, size.y);
+        vec2 iz = getSlabInterval(d.z, v.z, -size.z, size.z);
+        interval = vec2(max(ix.x, max(iy.x, iz.x)), min(ix.y, min(iy.y, iz.y)));
+    }
+    else if (type == SHAPE_SPHERE) {
+        float r = o.params.x;
+        interval = getQuadraticInterval(dot(v, v), 2.0*dot(d, v), dot(d, d) - r*r, vec2(-INF, INF));
+    }
+    else if (type == SHAPE_CYLINDER) {
+        float r = o.params.x;
+        float h = o.params.y;
+        vec2 slab = getSlabInterval(d.y, v.y, -h/2.0, h/2.0);
+        interval = getQuadraticInterval(v.x*v.x + v.z*v.z, 2.0*(d.x*v.x + d.z*v.z),
+                                        d.x*d.x + d.z*d.z - r*r, slab);
+    }
+    else if (type == SHAPE_CONE) {
+        // Work relative to the tip, where the cone is the part of
+        // x^2 + z^2 = k^2y^2 between y = -h and y = 0
+        float r = o.params.x;
+        float h = o.params.y;
+        float k = r/h;
+        d.y -= h/2.0;
+        vec2 slab = getSlabInterval(d.y, v.y, -h, 0.0);
+        interval = getQuadraticInterval(v.x*v.x + v.z*v.z - k*k*v.y*v.y,
+                                        2.0*(d.x*v.x + d.z*v.z - k*k*d.y*v.y),
+                                        d.x*d.x + d.z*d.z - k*k*d.y*d.y, slab);
+    }
+    return interval;
+}
+
+/**
+* Check whether a parameter along a ray is inside of an interval
+*
+* @param {vec2} interval : The interval
+* @param {float} t : The parameter
+*/
+bool csgInside(vec2 interval, float t) {
+    return interval.x < t && t < interval.y;
+}
+
+/**
+* Fill in an intersection with the boundary of one of the primitives of a
+* CSG node.  The normal is pointed towards the outside of the CSG solid,
+* which isn't necessarily the outside of the primitive
+*
+* @param {Intersection (out)} intersect : The intersection
+* @param {int} type : The type of the primitive
+* @param {Object} o : The primitive
+* @param {float} id : The object ID of the primitive
+* @param {Ray} ray : The ray in world coordinates
+* @param {float} t : The parameter of the intersection along the ray
+* @param {bool} entering : Whether the ray is entering the CSG solid at t
+*/
+void setCSGIntersection(out Intersection intersect, int type, Object o, highp float id,
+                        Ray ray, float t, bool entering) {
+    intersect.p = ray.p0 + t*ray.v;
+    intersect.mIdx = o.mIdx;
+    intersect.objectID = id;
+    intersect.sCoeff = 1.0;
+    vec3 q = (o.MInv * vec4(intersect.p, 1.0)).xyz - o.c;
+    vec3 n = vec3(0.0, 0.0, 0.0);
+    vec2 uv = vec2(0.0, 0.0);
+    vec3 dpdu = vec3(1.0, 0.0, 0.0);
+    bool revolution = false;
+    // For the shapes with several surfaces, pick the one that
+    // the point is closest to
+    if (type == SHAPE_BOX) {
+        vec3 size = o.params.xyz;
+        vec3 f = abs(q) - size/2.0;
+        // Mirror the checkerboard of rayIntersectBox, which works in the
+        // box's coordinate system rather than relative to its center
+        vec3 pBox = q + o.c;
+        if (f.x >= f.y && f.x >= f.z) {
+            n = vec3(sign(q.x), 0.0, 0.0);
+            uv = q.zy/size.zy + 0.5;
+            dpdu = vec3(0.0, 0.0, 1.0);
+            intersect.sCoeff = cos(30.0*pBox.y)*cos(30.0*pBox.z);
+        }
+        else if (f.y >= f.z) {
+            n = vec3(0.0, sign(q.y), 0.0);
+            uv = q.xz/size.xz + 0.5;
+            intersect.sCoeff = cos(30.0*pBox.x)*cos(30.0*pBox.z);
+        }
+        else {
+            n = vec3(0.0, 0.0, sign(q.z));
+            uv = q.xy/size.xy + 0.5;
+            intersect.sCoeff = cos(30.0*pBox.x)*cos(30.0*pBox.y);
+        }
+        intersect.sCoeff = step(0.0, intersect.sCoeff);
+    }
+    else if (type == SHAPE_SPHERE) {
+        n = q;
+        uv.y = 0.5 + asin(clamp(q.y/o.params.x, -1.0, 1.0))/M_PI;
+        revolution = true;
+    }
+    else if (type == SHAPE_CYLINDER) {
+        float r = o.params.x;
+        float h = o.params.y;
+        if (abs(q.y) - h/2.0 > length(q.xz) - r) {
+            n = vec3(0.0, sign(q.y), 0.0);
+            uv = 0.5 + q.xz/(2.0*r);
+        }
+        else {
+            n = vec3(q.x, 0.0, q.z);
+            uv.y = q.y/h + 0.5;
+            revolution = true;
+        }
+    }
+    else if (type == SHAPE_CONE) {
+        float r = o.params.x;
+        float h = o.params.y;
+        float k = r/h;
+        vec3 qTip = q - vec3(0.0, h/2.0, 0.0);
+        // Distance outside of the side, and of the base
+        float side = (length(q.xz) + k*qTip.y)/sqrt(1.0 + k*k);
+        float base = -h/2.0 - q.y;
+        if (base > side) {
+            n = vec3(0.0, -1.0, 0.0);
+            uv = 0.5 + q.xz/(2.0*r);
+        }
+        else {
+            n = vec3(qTip.x, -k*k*qTip.y, qTip.z);
+            uv.y = q.y/h + 0.5;
+            revolution = true;
+        }
+    }
+    intersect.n = normalize(o.N*n);
+    // Point out of the solid, which is against the ray where it
+    // enters and along the ray where it exits
+    if ((dot(intersect.n, ray.v) > 0.0) == entering) {
+        intersect.n *= -1.0;
+    }
+    if (revolution) {
+        setRevolutionTextureCoords(intersect, q, uv.y, o.N);
+    }
+    else {
+        setTextureCoords(intersect, q, uv, dpdu, o.N);
+    }
+}
+
+/**
+* A function which intersects a ray with a scene, returning the
+* t parameter of the closest intersection, or INF if no intersection
+* happened, along with an out parameter storing the point, normal,
+* and material of the intersection
+* NOTE: This function is merely declared here; it is defined in its
+* entirety in Javascript before this shader is compiled, with a loop
+* over the objects of each shape type that's in the scene
+*
+* @param {Ray} ray : The ray in world coordinates
+* @param {Intersection (out)} intersect : The intersection
+*
+* @returns {float} t : Parameter t so that point of intersection is ray.P0 + t*ray.V
+*/
+float rayIntersectScene(Ray ray, out Intersection intersect){return INF;}
+
+
+/*******************************************
+        RAY ILLUMINATION FUNCTIONS
+********************************************/
+
+/**
+* Pull a material out of the list of materials, based on its
+* index.  This function is necessary, because it is not possible
+* to use non-constant indices into arrays in GLSL, so one must
+* loop over the entire array of materials to find the right one
+*
+* @param {int} mIdx : The index into the materials array of the
+*                     material we seekd
+*
+* @returns {Material} m : The appropriate material struct
+*/
+Material getMaterial(int mIdx) {
+    Material m;
+    for (int i = 0; i < MAX_MATERIALS; i++) {
+        if (i == mIdx) {
+            m = materials[i];
+            break;
+        }
+    }
+    return m;
+}
+
+/**
+* Determine whether a point is in the shadow of a light
+*
+* @param {Intersection} intersect : Intersection point we're checking
+* @param {int} lightIndex : Index into the array of lights of
+*                           the light we want to check
+*/
+bool pointInShadow(Intersection intersect, Light l) {
+    Ray ray;
+    vec3 dir = l.pos - intersect.p;
+    ray.v = dir;
+    ray.p0 = intersect.p + EPS*normalize(dir);
+    Intersection intersect2;
+    float t = rayIntersectScene(ray, intersect2);
+    
+    if (t >= 1.0) {
+        return false;
+    } else {
+        return true;
+    }
+}
+
+float pointInSoftShadow(Intersection intersect, Light l) {
+    Ray ray;
+    vec3 dir = l.pos - intersect.p;
+    ray.v = dir;
+    ray.p0 = intersect.p + EPS*normalize(dir);
+    Intersection intersect2;
+    float t = rayIntersectScene(ray, intersect2);
+    
+    if (t >= 1.0) {
+        return 1.0;
+    } else {
+        return 0.0;
+    }
+}
+
+
+/**
+* Hash a point to a pseudorandom number in [0, 1), following
+* Dave Hoskins' "Hash without Sine"
+*/
+float hash13(vec3 p3) {
+    p3 = fract(p3 * 0.1031);
+    p3 += dot(p3, p3.zyx + 31.32);
+    return fract((p3.x + p3.y) * p3.z);
+}
+
+// State of the random number generator, which is seeded
+// differently for each pixel and each frame in main()
+float rngState;
+
+/**
+* Draw the next pseudorandom number in [0, 1) for this pixel
+*/
+float random() {
+    rngState += 1.0;
+    return hash13(vec3(gl_FragCoord.xy, seed + rngState));
+}
+
+/**
+* Draw a point uniformly at random on the unit sphere
+*/
+vec3 randomOnSphere() {
+    float z = 2.0*random() - 1.0;
+    float phi = 2.0*M_PI*random();
+    float r = sqrt(max(0.0, 1.0 - z*z));
+    return vec3(r*cos(phi), r*sin(phi), z);
+}
+
+/**
+* Pick a point on a light to aim a shadow ray at.  Point lights are
+* treated as spheres of radius beaconRadius, and directional lights
+* are treated as being very far away
+*
+* @param {Light} l : The light
+* @param {vec3} p : The point that the light is shining on
+* @param {bool} jitter : Whether to pick a random point on the light,
+*                        rather than its center
+*
+* @returns {vec3} The point on the light
+*/
+vec3 getLightSamplePos(Light l, vec3 p, bool jitter) {
+    if (l.type == LIGHT_DIRECTIONAL) {
+        vec3 dir = -normalize(l.towards);
+        if (jitter) {
+            dir = normalize(dir + sin(l.radius)*randomOnSphere());
+        }
+        return p + DIRECTIONAL_LIGHT_DISTANCE*dir;
+    }
+    if (!jitter) {
+        return l.pos;
+    }
+    if (l.type == LIGHT_RECT) {
+        float u = random() - 0.5;
+        float v = random() - 0.5;
+        return l.pos + u*l.axisU + v*l.axisV;
+    }
+    if (l.type == LIGHT_SPHERE) {
+        return l.pos + l.radius*randomOnSphere();
+    }
+    return l.pos + beaconRadius*randomOnSphere();
+}
+
+/**
+* Get the direction from a point towards a light
+*
+* @param {Light} l : The light
+* @param {vec3} p : The point that the light is shining on
+*
+* @returns {vec3} A unit vector towards the center of the light
+*/
+vec3 getLightDirection(Light l, vec3 p) {
+    if (l.type == LIGHT_DIRECTIONAL) {
+        return -normalize(l.towards);
+    }
+    return normalize(l.pos - p);
+}
+
+/**
+* Estimate how much of a light reaches a point by checking shadow rays
+* towards random points on it, so that bigger lights cast softer shadows.
+* In progressive mode, only one shadow ray is cast per frame, since the
+* accumulation over frames averages them out
+*
+* @param {Intersection} intersect : Intersection point we're checking
+* @param {Light} l : The light
+*
+* @returns {float} The fraction of shadow rays that reached the light
+*/
+float softShadow(Intersection intersect, Light l) {
+    Light lightSample = l;
+    if (progressive == 1) {
+        lightSample.pos = getLightSamplePos(l, intersect.p, true);
+        return pointInSoftShadow(intersect, lightSample);
+    }
+    lightSample.pos = getLightSamplePos(l, intersect.p, false);
+    float counter = pointInSoftShadow(intersect, lightSample);
+    for (int i = 0; i < SOFT_NUMBER; i++) {
+        lightSample.pos = getLightSamplePos(l, intersect.p, true);
+        counter += pointInSoftShadow(intersect, lightSample);
+    }
+    return counter/(float(SOFT_NUMBER) + 1.0);
+}
+
+/**
+* Look up a color in one of the image textures, repeating the
+* image outside of [0, 1] x [0, 1]
+*
+* @param {int} idx : The index of the texture
+* @param {vec2} uv : The texture coordinates
+*
+* @returns {vec4} The color
+*/
+vec4 sampleTexture(int idx, vec2 uv) {
+    vec4 color = vec4(1.0, 1.0, 1.0, 1.0);
+    // Samplers can only be indexed by constants and loop indices
+    for (int i = 0; i < MAX_TEXTURES; i++) {
+        if (i == idx) {
+            color = texture2D(textures[i], fract(uv));
+        }
+    }
+    return color;
+}
+
+/**
+* Smoothly interpolated random values on a grid
+*
+* @param {vec3} p : Where to evaluate the noise
+*
+* @returns {float} The noise, in [0, 1)
+*/
+float valueNoise(vec3 p) {
+    vec3 i = floor(p);
+    vec3 f = p - i;
+    f = f*f*(3.0 - 2.0*f);
+    return mix(mix(mix(hash13(i), hash13(i + vec3(1.0, 0.0, 0.0)), f.x),
+                   mix(hash13(i + vec3(0.0, 1.0, 0.0)), hash13(i + vec3(1.0, 1.0, 0.0)), f.x), f.y),
+               mix(mix(hash13(i + vec3(0.0, 0.0, 1.0)), hash13(i + vec3(1.0, 0.0, 1.0)), f.x),
+                   mix(hash13(i + vec3(0.0, 1.0, 1.0)), hash13(i + vec3(1.0, 1.0, 1.0)), f.x), f.y), f.z);
+}
+
+/**
+* Evaluate a procedural texture.  Checkers and stripes are laid out in
+* texture coordinates, while noise is evaluated in the shape's coordinate
+* system so that it doesn't have seams
+*
+* @param {Intersection} intersect : The intersection
+* @param {Material} m : The material, with the pattern and its scale
+*
+* @returns {float} How much of the pattern color to mix into kd, in [0, 1]
+*/
+float getPatternValue(Intersection intersect, Material m) {
+    vec2 uv = intersect.uv*m.patternScale;
+    if (m.pattern == PATTERN_CHECKER) {
+        return mod(floor(uv.x) + floor(uv.y), 2.0);
+    }
+    else if (m.pattern == PATTERN_STRIPES) {
+        return mod(floor(uv.x), 2.0);
+    }
+    else if (m.pattern == PATTERN_NOISE) {
+        // A few octaves of value noise
+        vec3 p = intersect.q*m.patternScale;
+        float value = 0.0;
+        float amplitude = 0.5;
+        for (int i = 0; i < 4; i++) {
+            value += amplitude*valueNoise(p);
+            p *= 2.0;
+            amplitude *= 0.5;
+        }
+        return value/0.9375;
+    }
+    return 0.0;
+}
+
+/**
+* Apply the procedural and image textures of a material at an intersection,
+* which can change the diffuse color of the material and the normal
+*
+* @param {Intersection (inout)} intersect : The intersection
+* @param {Material (inout)} m : The material
+*/
+void applyTextures(inout Intersection intersect, inout Material m) {
+    if (m.pattern != PATTERN_NONE) {
+        m.kd = mix(m.kd, m.patternColor, getPatternValue(intersect, m));
+    }
+    if (m.kdMap >= 0) {
+        m.kd *= sampleTexture(m.kdMap, intersect.uv).rgb;
+    }
+    vec3 bitangent = cross(intersect.n, intersect.tangent);
+    if (m.normalMap >= 0) {
+        vec3 c = 2.0*sampleTexture(m.normalMap, intersect.uv).rgb - 1.0;
+        intersect.n = normalize(c.x*intersect.tangent + c.y*bitangent + c.z*intersect.n);
+    }
+    if (m.bumpMap >= 0) {
+        // Tilt the normal against the slope of the bump map,
+        // using finite differences in texture coordinates
+        float e = 1.0/512.0;
+        float h = sampleTexture(m.bumpMap, intersect.uv).r;
+        float dhdu = (sampleTexture(m.bumpMap, intersect.uv + vec2(e, 0.0)).r - h)/e;
+        float dhdv = (sampleTexture(m.bumpMap, intersect.uv + vec2(0.0, e)).r - h)/e;
+        intersect.n = normalize(intersect.n - m.bumpScale*(dhdu*intersect.tangent + dhdv*bitangent));
+    }
+}
+
+/**
+* Find where a direction looks in an equirectangular environment map,
+* which is turned by environmentRotation around the y axis
+*
+* @param {vec3} dir : The direction
+*
+* @returns {vec2} The texture coordinates, with v = 0 straight up
+*/
+vec2 getEnvironmentUV(vec3 dir) {
+    vec3 d = normalize(dir);
+    float c = cos(environmentRotation);
+    float s = sin(environmentRotation);
+    d = vec3(c*d.x - s*d.z, d.y, s*d.x + c*d.z);
+    return vec2(0.5 + atan(d.x, -d.z)/(2.0*M_PI), acos(clamp(d.y, -1.0, 1.0))/M_PI);
+}
+
+/**
+* Look up a color in an equirectangular map.  Floating point textures
+* can't always be filtered, so the interpolation is done here, wrapping
+* around in longitude
+*
+* @param {sampler2D} tex : The map
+* @param {vec2} size : The width and height of the map, in texels
+* @param {vec2} uv : Where to look, as returned by getEnvironmentUV
+*
+* @returns {vec3} The color
+*/
+vec3 sampleEquirect(highp sampler2D tex, vec2 size, vec2 uv) {
+    vec2 p = uv*size - 0.5;
+    vec2 i = floor(p);
+    vec2 f = p - i;
+    float x0 = mod(i.x, size.x);
+    float x1 = mod(i.x + 1.0, size.x);
+    float y0 = clamp(i.y, 0.0, size.y - 1.0);
+    float y1 = clamp(i.y + 1.0, 0.0, size.y - 1.0);
+    vec3 a = texture2D(tex, (vec2(x0, y0) + 0.5)/size).rgb;
+    vec3 b = texture2D(tex, (vec2(x1, y0) + 0.5)/size).rgb;
+    vec3 c = texture2D(tex, (vec2(x0, y1) + 0.5)/size).rgb;
+    vec3 d = texture2D(tex, (vec2(x1, y1) + 0.5)/size).rgb;
+    return mix(mix(a, b, f.x), mix(c, d, f.x), f.y);
+}
+
+/**
+* Compute the color of the sky, which fades from the horizon up to the
+* zenith and down to the ground, with the sun as a disk on top of it
+*
+* @param {vec3} dir : The direction to look in
+*
+* @returns {vec3} The color
+*/
+vec3 getSkyColor(vec3 dir) {
+    vec3 d = normalize(dir);
+    vec3 color = mix(skyHorizon, d.y >= 0.0 ? skyZenith : skyGround, sqrt(abs(d.y)));
+    if (dot(d, normalize(sunDirection)) > cos(sunSize)) {
+        color += sunColor;
+    }
+    return color;
+}
+
+/**
+* Compute the color of the environment that a ray sees
+* when it doesn't hit anything
+*
+* @param {vec3} dir : The direction of the ray
+*
+* @returns {vec3} The color
+*/
+vec3 getEnvironmentColor(vec3 dir) {
+    vec3 color = vec3(0.0, 0.0, 0.0);
+    if (environmentType == ENVIRONMENT_COLOR) {
+        color = environmentColor;
+    }
+    else if (environmentType == ENVIRONMENT_SKY) {
+        color = getSkyColor(dir);
+    }
+    else if (environmentType == ENVIRONMENT_HDR) {
+        color = sampleEquirect(environmentMap, environmentMapSize, getEnvironmentUV(dir));
+    }
+    return environmentIntensity*color;
+}
+
+/**
+* Get the light that reaches a surface from the environment
+* over the hemisphere around its normal
+*
+* @param {vec3} n : The normal
+*
+* @returns {vec3} The irradiance, scaled so that a constant
+*                 environment has an irradiance of that constant
+*/
+vec3 getIrradiance(vec3 n) {
+    if (environmentType == ENVIRONMENT_NONE) {
+        return vec3(0.0, 0.0, 0.0);
+    }
+    return environmentIntensity*sampleEquirect(irradianceMap, irradianceMapSize, getEnvironmentUV(n));
+}
+
+/**
+* Get the light that reaches a point from a light, after the light's
+* spotlight cone, its attenuation, and the shadows in front of it.
+* Directional lights are the same everywhere that isn't in shadow
+*
+* @param {Intersection} intersect : The intersection
+* @param {Light} l : The light
+*
+* @returns {vec3} The light's color, scaled by how much of it arrives
+*/
+vec3 getLightIntensity(Intersection intersect, Light l) {
+    float shadow = softShadow(intersect, l);
+    if (l.type == LIGHT_DIRECTIONAL) {
+        return l.color * shadow;
+    }
+    vec3 d = l.pos - intersect.p;
+    float towardsAngle = dot(-normalize(d), normalize(l.towards));
+    float cosAngle = cos(l.angle);
+    float spotlight = 0.0;
+    if (towardsAngle > cosAngle) {
+        spotlight = 1.0;
+        if (l.falloff > 0.0) {
+            // Fade out smoothly from the middle of the cone to its edge
+            spotlight = pow(clamp((towardsAngle - cosAngle)/(1.0 - cosAngle), 0.0, 1.0), l.falloff);
+        }
+    }
+    if (l.type == LIGHT_RECT) {
+        // Rect lights only shine out of their front, and dimmer at grazing angles
+        spotlight *= max(towardsAngle, 0.0);
+    }
+    vec3 ci = l.color / (l.atten.x + l.atten.y * length(d) + l.atten.z * dot(d,d));
+    return ci * spotlight * shadow;
+}
+
+/**
+* Get the phong illumination color, along with the ambient
+* light that diffuse surfaces get from the environment
+*/
+vec3 getPhongColor(Intersection intersect, Material m) {
+    vec3 color = vec3(0.0, 0.0, 0.0);
+    vec3 ci = vec3(0.0,0.0,0.0);
+    vec3 d = vec3(0.0,0.0,0.0);
+    vec3 diffuse;
+    vec3 specular;
+
+    intersect.n = normalize(intersect.n);
+    
+
+    for (int i = 0; i < MAX_LIGHTS; i++) {
+        if (i < numLights) {
+            ci = getLightIntensity(intersect, lights[i]);
+            d = getLightDirection(lights[i], intersect.p);
             float kdCoeff = dot(d,intersect.n);
             if (m.special == 1) {
                 kdCoeff *= intersect.sCoeff;
@@ -624,35 +2162,210 @@ vec3 getPhongColor(Intersection intersect, Material m) {
                 specular = vec3(0.0,0.0,0.0);
             }
             
-            color += ci * shadow * (diffuse + specular);
+            color += ci * (diffuse + specular);
         } else {
             break;
         }
     } 
     
+    if (ambient > 0.0) {
+        color += ambient * m.kd * getIrradiance(intersect.n);
+    }
+
+    return color;
+}
 
 
+/**
+* Compute how much light a PBR material reflects, using Schlick's
+* approximation of the Fresnel equations
+*
+* @param {Material} m : The material
+* @param {float} cosTheta : Cosine of the angle between the direction
+*                           to the viewer and the microfacet normal
+*
+* @returns {vec3} The reflected fraction of each color
+*/
+vec3 getPBRFresnel(Material m, float cosTheta) {
+    // Dielectrics reflect the same amount of every color,
+    // while metals tint their reflections with their base color
+    float r0 = (m.refraction - 1.0)/(m.refraction + 1.0);
+    vec3 F0 = mix(vec3(r0*r0), m.kd, m.metallic);
+    float x = 1.0 - clamp(cosTheta, 0.0, 1.0);
+    return F0 + (1.0 - F0)*x*x*x*x*x;
+}
+
+/**
+* Evaluate the GGX distribution of microfacet normals
+*
+* @param {float} NdotH : Cosine of the angle between the normal and the microfacet normal
+* @param {float} alpha : Width of the distribution, which is the roughness squared
+*
+* @returns {float} The density of microfacets that face that way
+*/
+float getGGXDistribution(float NdotH, float alpha) {
+    float a2 = alpha*alpha;
+    float d = NdotH*NdotH*(a2 - 1.0) + 1.0;
+    return a2/(M_PI*d*d);
+}
+
+/**
+* Compute the fraction of microfacets that are neither shadowed
+* nor masked, with Schlick's version of Smith's function
+*
+* @param {float} NdotV : Cosine of the angle between the normal and the direction to the viewer
+* @param {float} NdotL : Cosine of the angle between the normal and the direction to the light
+* @param {float} roughness : The roughness of the material
+*/
+float getSmithGeometry(float NdotV, float NdotL, float roughness) {
+    float k = (roughness + 1.0)*(roughness + 1.0)/8.0;
+    return NdotV/(NdotV*(1.0 - k) + k) * NdotL/(NdotL*(1.0 - k) + k);
+}
+
+/**
+* Get the illumination color of a physically based material, with a
+* Cook-Torrance microfacet BRDF for the specular part and a Lambertian
+* diffuse part that gets the light that isn't reflected.  Lights are
+* scaled by pi, so that a white diffuse surface facing a light is as
+* bright as it would be with Phong shading
+*
+* @param {Intersection} intersect : The intersection
+* @param {Material} m : The material
+* @param {vec3} view : Unit vector from the intersection back along the ray
+*/
+vec3 getPBRColor(Intersection intersect, Material m, vec3 view) {
+    vec3 color = vec3(0.0, 0.0, 0.0);
+    vec3 n = normalize(intersect.n);
+    float NdotV = max(dot(n, view), 1.0e-4);
+    float alpha = max(m.roughness*m.roughness, MIN_GGX_ALPHA);
+    for (int i = 0; i < MAX_LIGHTS; i++) {
+        if (i < numLights) {
+            vec3 l = getLightDirection(lights[i], intersect.p);
+            float NdotL = dot(n, l);
+            if (NdotL > 0.0) {
+                vec3 h = normalize(l + view);
+                vec3 F = getPBRFresnel(m, dot(view, h));
+                float specular = getGGXDistribution(max(dot(n, h), 0.0), alpha)*
+                                 getSmithGeometry(NdotV, NdotL, m.roughness)/(4.0*NdotV*NdotL);
+                vec3 diffuse = (1.0 - F)*(1.0 - m.metallic)*m.kd;
+                color += getLightIntensity(intersect, lights[i])*NdotL*(diffuse + M_PI*F*specular);
+            }
+        }
+        else {
+            break;
+        }
+    }
+    if (ambient > 0.0) {
+        vec3 F = getPBRFresnel(m, NdotV);
+        color += ambient*(1.0 - F)*(1.0 - m.metallic)*m.kd*getIrradiance(n);
+    }
     return color;
 }
 
+/**
+* Draw a microfacet normal from the GGX distribution around a normal,
+* for glossy reflections
+*
+* @param {vec3} n : The unit normal
+* @param {float} alpha : Width of the distribution, which is the roughness squared
+*
+* @returns {vec3} The unit microfacet normal
+*/
+vec3 sampleGGXNormal(vec3 n, float alpha) {
+    if (alpha <= 0.0) {
+        return n;
+    }
+    float u = random();
+    float phi = 2.0*M_PI*random();
+    float cosTheta = sqrt((1.0 - u)/(1.0 + (alpha*alpha - 1.0)*u));
+    float sinTheta = sqrt(max(0.0, 1.0 - cosTheta*cosTheta));
+    vec3 t = normalize(cross(n, abs(n.x) > 0.5 ? vec3(0.0, 1.0, 0.0) : vec3(1.0, 0.0, 0.0)));
+    vec3 b = cross(n, t);
+    return normalize(sinTheta*cos(phi)*t + sinTheta*sin(phi)*b + cosTheta*n);
+}
+
+/**
+* Compute the fraction of light that is reflected at the boundary
+* between two media, using Schlick's approximation of the Fresnel
+* equations
+*
+* @param {float} cosi : Cosine of the angle between the incoming ray
+*                       and the normal, on the side the ray comes from
+* @param {float} n1 : Index of refraction on the incoming side
+* @param {float} n2 : Index of refraction on the far side
+*
+* @returns {float} F : The reflected fraction, which is 1.0 under
+*                      total internal reflection
+*/
+float fresnel(float cosi, float n1, float n2) {
+    float r0 = (n1-n2)/(n1+n2);
+    r0 *= r0;
+    float c = cosi;
+    if (n1 > n2) {
+        // Going into a less dense medium, so Schlick's formula
+        // needs the cosine on the transmitted side
+        float eta = n1/n2;
+        float sin2t = eta*eta*(1.0 - cosi*cosi);
+        if (sin2t >= 1.0) {
+            return 1.0;
+        }
+        c = sqrt(1.0 - sin2t);
+    }
+    float x = 1.0 - c;
+    return r0 + (1.0-r0)*x*x*x*x*x;
+}
+
 
 /**
+* Compute the ray from the camera through this pixel, using
+* the camera model chosen by projection
 *
+* @param {vec2} offset : Where to aim the ray relative to this
+*                        pixel, in pixels
 */
 varying vec2 v_position;
-Ray getRay() {
+Ray getRay(vec2 offset) {
     Ray ray;
     ray.p0 = eye;
     vec3 towards = normalize(cross(up,right));
 
     
-    if (orthographic == 1) {
+    vec2 pos = v_position + 2.0*(jitter + offset)/vec2(canvas_width, canvas_height);
+    pos = tile.xy + 0.5*(pos + 1.0)*(tile.zw - tile.xy);
 
-        ray.p0 = eye + 10.0 * v_position.x * right + 10.0 * v_position.y * up;
-        ray.v = normalize(towards);
+    if (projection == PROJECTION_ORTHOGRAPHIC) {
+        ray.p0 = eye + 0.5*viewWidth*(pos.x*right + aspect*pos.y*up);
+        ray.v = towards;
+    }
+    else if (projection == PROJECTION_FISHEYE) {
+        // Equidistant: the angle from the view direction is
+        // proportional to the distance from the center of the image
+        vec2 p = vec2(pos.x, aspect*pos.y);
+        float r = length(p);
+        float theta = 0.5*fisheyeFov*r;
+        ray.v = cos(theta)*towards;
+        if (r > 0.0) {
+            ray.v += sin(theta)*(p.x*right + p.y*up)/r;
+        }
+    }
+    else if (projection == PROJECTION_PANORAMA) {
+        // Equirectangular: x is longitude and y is latitude
+        float lon = M_PI*pos.x;
+        float lat = 0.5*M_PI*pos.y;
+        ray.v = cos(lat)*(sin(lon)*right + cos(lon)*towards) + sin(lat)*up;
     }
     else {
-        ray.v = normalize(towards + v_position.x*tan(fovx/2.0)*right + v_position.y*tan(fovy/2.0)*up);
+        vec3 v = towards + pos.x*tan(fovx/2.0)*right + pos.y*tan(fovy/2.0)*up;
+        ray.v = normalize(v);
+        if (projection == PROJECTION_THIN_LENS) {
+            // Start the ray at a random point on the lens, aimed at
+            // where the pinhole ray crosses the plane of focus
+            vec3 focus = eye + focusDistance*v;
+            float r = 0.5*aperture*sqrt(random());
+            float phi = 2.0*M_PI*random();
+            ray.p0 = eye + r*cos(phi)*right + r*sin(phi)*up;
+            ray.v = normalize(focus - ray.p0);
+        }
     }
     return ray;
 }
@@ -667,8 +2380,25 @@ void showLightBeacons(Ray rayInitial, float tInitial) {
         for (int i = 0; i < MAX_LIGHTS; i++) {
             if (i < numLights) {
                 Light light = lights[i];
-                float tlight = rayIntersectSphere(rayInitial, light.pos, beaconRadius,
-                                                  0, identity4, identity3, intersect);
+                float tlight = INF;
+                if (light.type == LIGHT_RECT) {
+                    // Rect lights show up as the rectangle that they are
+                    vec3 n = cross(light.axisU, light.axisV);
+                    float vn = dot(rayInitial.v, n);
+                    if (vn != 0.0) {
+                        float t = dot(light.pos - rayInitial.p0, n)/vn;
+                        vec3 q = rayInitial.p0 + t*rayInitial.v - light.pos;
+                        if (t > 0.0 && abs(dot(q, light.axisU)) <= 0.5*dot(light.axisU, light.axisU) &&
+                            abs(dot(q, light.axisV)) <= 0.5*dot(light.axisV, light.axisV)) {
+                            tlight = t;
+                        }
+                    }
+                }
+                else if (light.type != LIGHT_DIRECTIONAL) {
+                    float radius = light.type == LIGHT_SPHERE ? light.radius : beaconRadius;
+                    tlight = rayIntersectSphere(rayInitial, light.pos, radius,
+                                                0, identity4, identity3, intersect);
+                }
                 if (tlight < tInitial) {
                     gl_FragColor = vec4(light.color, 1.0);
                 }
@@ -677,22 +2407,162 @@ void showLightBeacons(Ray rayInitial, float tInitial) {
     }
 }
 
-void main() {
-    Ray ray = getRay();
-    Ray rayInitial = ray;
+/**
+* Map a number from 0 to 1 to a color that goes from
+* blue through green and yellow to red
+*
+* @param {float} x : The number
+*
+* @returns {vec3} The color
+*/
+vec3 getHeatColor(float x) {
+    x = clamp(x, 0.0, 1.0);
+    return clamp(vec3(4.0*x - 2.0, 2.0 - abs(4.0*x - 2.0), 2.0 - 4.0*x), 0.0, 1.0);
+}
+
+/**
+* Pick a color for an index, so that neighboring
+* indices get colors that are easy to tell apart
+*
+* @param {float} idx : The index
+*
+* @returns {vec3} The color
+*/
+vec3 getIndexColor(float idx) {
+    return 0.2 + 0.8*vec3(hash13(vec3(idx, 0.17, 0.31)), hash13(vec3(idx, 0.53, 0.71)),
+                          hash13(vec3(idx, 0.97, 0.13)));
+}
+
+/**
+* Color a ray's first intersection by one of its properties, for the render
+* modes that don't need to follow the ray any further than that
+*
+* @param {Ray} ray : The ray
+* @param {float (out)} tInitial : Parameter of the first intersection
+*
+* @returns {vec3} The color
+*/
+vec3 getDebugColor(Ray ray, out float tInitial) {
+    Intersection intersect;
+    intersect.sCoeff = 1.0;
+    tInitial = rayIntersectScene(ray, intersect);
+    if (tInitial >= INF) {
+        return vec3(0.0, 0.0, 0.0);
+    }
+    if (renderMode == RENDER_NORMALS) {
+        // The normal as the shape reports it, before it's
+        // flipped to face the ray, but after normal maps
+        Material m = getMaterial(intersect.mIdx);
+        applyTextures(intersect, m);
+        return 0.5*(normalize(intersect.n) + 1.0);
+    }
+    if (renderMode == RENDER_DEPTH) {
+        return vec3(1.0 - clamp(tInitial*length(ray.v)/depthRange, 0.0, 1.0));
+    }
+    if (renderMode == RENDER_MATERIAL) {
+        return getIndexColor(float(intersect.mIdx));
+    }
+    if (renderMode == RENDER_OBJECT_ID) {
+        return getIndexColor(intersect.objectID);
+    }
+    // RENDER_SHADOWS: White where the light reaches, black where a shadow
+    // ray is blocked, and blue where the surface faces away from the light
+    if (dot(ray.p0 - intersect.p, intersect.n) < 0.0) {
+        intersect.n *= -1.0;
+    }
+    for (int i = 0; i < MAX_LIGHTS; i++) {
+        if (i == debugLight && i < numLights) {
+            if (dot(getLightDirection(lights[i], intersect.p), intersect.n) < 0.0) {
+                return vec3(0.0, 0.0, 0.3);
+            }
+            return vec3(softShadow(intersect, lights[i]));
+        }
+    }
+    return vec3(0.0, 0.0, 0.0);
+}
+
+/**
+* Check whether the camera ray through a point near this
+* pixel hits the selected object before anything else
+*
+* @param {vec2} offset : Where to aim the ray relative to this
+*                        pixel, in pixels
+*/
+bool hitsSelection(vec2 offset) {
+    Intersection intersect;
+    intersect.sCoeff = 1.0;
+    float t = rayIntersectScene(getRay(offset), intersect);
+    return t < INF && abs(intersect.objectID - selectedObject) < 0.5;
+}
+
+/**
+* Outline the selected object, along the pixels where the camera
+* rays on either side disagree about whether they hit it
+*/
+void showSelection() {
+    if (selectedObject < 0.0) {
+        return;
+    }
+    bool inside = hitsSelection(vec2(0.0, 0.0));
+    if (inside != hitsSelection(vec2(SELECTION_WIDTH, 0.0)) ||
+        inside != hitsSelection(vec2(-SELECTION_WIDTH, 0.0)) ||
+        inside != hitsSelection(vec2(0.0, SELECTION_WIDTH)) ||
+        inside != hitsSelection(vec2(0.0, -SELECTION_WIDTH))) {
+        gl_FragColor = vec4(SELECTION_COLOR, 1.0);
+    }
+}
+
+/**
+* Follow a ray as it reflects and refracts through the scene,
+* adding up the light that comes back along it
+*
+* @param {Ray} ray : The ray
+* @param {float (out)} tInitial : Parameter of the first intersection
+* @param {float (out)} numHits : Number of surfaces that were hit along the way
+*
+* @returns {vec3} The color
+*/
+vec3 traceRay(Ray ray, out float tInitial, out float numHits) {
     bool insideObj = false;
     Intersection intersect;
     intersect.sCoeff = 1.0;
     vec3 color = vec3(0.0, 0.0, 0.0);
     vec3 weight = vec3(1.0, 1.0, 1.0);
+    int depth = 0;
     float t;
-    float tInitial;
-    for (int depth = 0; depth < MAX_RECURSION; depth++) {
+    numHits = 0.0;
+
+    // Rays that split off at dielectric surfaces wait here until
+    // the ray that's currently being traced dies out.  Since GLSL
+    // only allows constant array indices, pushing and popping are
+    // done by looping over every slot
+    Ray pendingRays[MAX_PENDING_RAYS];
+    vec3 pendingWeights[MAX_PENDING_RAYS];
+    int pendingDepths[MAX_PENDING_RAYS];
+    int numPending = 0;
+
+    for (int iter = 0; iter < MAX_RAYS; iter++) {
+        if (depth >= MAX_RECURSION || max(weight.x, max(weight.y, weight.z)) < MIN_WEIGHT) {
+            // This path is finished, so move on to the most recent
+            // ray that split off, if there is one
+            if (numPending == 0) {
+                break;
+            }
+            numPending--;
+            for (int i = 0; i < MAX_PENDING_RAYS; i++) {
+                if (i == numPending) {
+                    ray = pendingRays[i];
+                    weight = pendingWeights[i];
+                    depth = pendingDepths[i];
+                }
+            }
+        }
         t = rayIntersectScene(ray, intersect);
-        if (depth == 0) {
+        if (iter == 0) {
             tInitial = t;
         }
         if (t < INF) {
+            numHits += 1.0;
             Material m = getMaterial(intersect.mIdx);
             // Figure out whether the ray is inside the object it
             // intersected by using the dot product between a vector
@@ -705,25 +2575,109 @@ void main() {
             else {
                 insideObj = false;
             }
-            color += weight*getPhongColor(intersect, m);
-            vec3 reflectedRay = reflect(ray.v,intersect.n);
-            weight*=m.ks;
+            applyTextures(intersect, m);
+            vec3 v = normalize(ray.v);
+            bool transmissive = max(m.kt.x, max(m.kt.y, m.kt.z)) > 0.0;
+            // Lights don't shine on the inside of a dielectric, so rays
+            // on their way out of one only pick up what's beyond it
+            if (!(insideObj && transmissive)) {
+                if (m.model == MATERIAL_PBR) {
+                    color += weight*getPBRColor(intersect, m, -v);
+                }
+                else {
+                    color += weight*getPhongColor(intersect, m);
+                }
+            }
+            color += weight*m.emission;
+            depth++;
+
+            vec3 reflectedRay = reflect(v, intersect.n);
+            vec3 reflectWeight = weight*m.ks;
+            if (m.model == MATERIAL_PBR) {
+                // Reflect off of a microfacet drawn from the roughness lobe,
+                // or off of the surface itself if that would go into it
+                vec3 h = sampleGGXNormal(intersect.n, m.roughness*m.roughness);
+                reflectedRay = reflect(v, h);
+                if (dot(reflectedRay, intersect.n) <= 0.0) {
+                    h = intersect.n;
+                    reflectedRay = reflect(v, h);
+                }
+                reflectWeight = weight*getPBRFresnel(m, dot(-v, h));
+            }
+            if (transmissive) {
+                // Use Snell's law to bend the ray into or out of the
+                // object, assuming that the space between objects is air
+                float n1 = 1.0;
+                float n2 = m.refraction;
+                if (insideObj) {
+                    n1 = m.refraction;
+                    n2 = 1.0;
+                }
+                float F = fresnel(dot(-v, intersect.n), n1, n2);
+                // Whatever light doesn't get transmitted is reflected,
+                // which includes all of it under total internal reflection
+                reflectWeight += weight*m.kt*F;
+                if (F < 1.0) {
+                    vec3 transmitWeight = weight*m.kt*(1.0-F);
+                    vec3 refractedRay = refract(v, intersect.n, n1/n2);
+                    if (depth < MAX_RECURSION && numPending < MAX_PENDING_RAYS &&
+                        max(reflectWeight.x, max(reflectWeight.y, reflectWeight.z)) >= MIN_WEIGHT) {
+                        for (int i = 0; i < MAX_PENDING_RAYS; i++) {
+                            if (i == numPending) {
+                                pendingRays[i].p0 = intersect.p + EPS*reflectedRay;
+                                pendingRays[i].v = reflectedRay;
+                                pendingWeights[i] = reflectWeight;
+                                pendingDepths[i] = depth;
+                            }
+                        }
+                        numPending++;
+                    }
+                    // Keep following the transmitted ray on this path
+                    weight = transmitWeight;
+                    ray.p0 = intersect.p + EPS*refractedRay;
+                    ray.v = refractedRay;
+                    continue;
+                }
+            }
+            weight = reflectWeight;
             ray.p0 = intersect.p + EPS * reflectedRay;
             ray.v = reflectedRay;
-
-            // TODO: Reflect ray, multiply weight by specular of this object,
-            // and recursively continue
-            // If doing extra task on transmission, only reflect if the
-            // transmission coefficient kt is zero in all components
-            // Otherwise, do transmission with snell's law
-
-/** TODO: PUT YOUR CODE HERE **/
         }
         else {
-            // Ray doesn't intersect anything, so no use continuing
-            break;
+            // Ray doesn't intersect anything, so it sees the environment,
+            // and there's no use continuing along this path
+            color += weight*getEnvironmentColor(ray.v);
+            depth = MAX_RECURSION;
+        }
+    }
+    return color;
+}
+
+void main() {
+    rngState = 0.0;
+    numIntersectionTests = 0.0;
+    Ray ray = getRay(vec2(0.0, 0.0));
+    float tInitial;
+    vec3 color;
+    if (renderMode == RENDER_SHADED || renderMode == RENDER_BOUNCES || renderMode == RENDER_HEATMAP) {
+        float numHits;
+        color = traceRay(ray, tInitial, numHits);
+        if (renderMode == RENDER_BOUNCES) {
+            color = numHits > 0.0 ? getHeatColor((numHits - 1.0)/float(MAX_RAYS - 1)) : vec3(0.0, 0.0, 0.0);
         }
+        else if (renderMode == RENDER_HEATMAP) {
+            color = getHeatColor(numIntersectionTests/heatmapMax);
+        }
+    }
+    else {
+        color = getDebugColor(ray, tInitial);
     }
     gl_FragColor = vec4(color, 1.0);
-    showLightBeacons(rayInitial, tInitial);
+    showLightBeacons(ray, tInitial);
+    showSelection();
+    if (progressive == 1) {
+        // Fold this frame into the running average
+        vec3 prev = texture2D(accumTexture, gl_FragCoord.xy/vec2(canvas_width, canvas_height)).rgb;
+        gl_FragColor = vec4(mix(prev, gl_FragColor.rgb, 1.0/(sampleCount + 1.0)), 1.0);
+    }
 }
@@ -0,0 +1,1681 @@
+/**
+    A pure Javascript ray tracer that mirrors raytracer.frag step for step,
+    so that it can serve as a reference for the GPU ray tracer and run
+    where there is no GPU, like in Node.  It consumes the same scene graph
+    that RayCanvas does (as set up by SceneCanvas.setupScene in the browser,
+    or by setupHeadlessScene in Node), and it deliberately keeps the
+    shader's quirks, so the two should agree up to floating point error
+    and the randomness of soft shadows.  Procedural and image textures
+    aren't supported, so textured materials come out with their plain kd
+    and unperturbed normals
+
+    Assumes that
+    ggslac/jslibs/gl-matrix-min.js
+    meshbvh.js
+    environment.js
+    have been included already
+ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    var glMatrix = require("./ggslac/jslibs/gl-matrix-min.js");
+    var getMeshTriangles = require("./meshbvh.js").getMeshTriangles;
+    var getMeshNormals = require("./meshbvh.js").getMeshNormals;
+    var isSmoothShaded = require("./meshbvh.js").isSmoothShaded;
+    var buildBVH = require("./meshbvh.js").buildBVH;
+    var getEnvironmentMaps = require("./environment.js").getEnvironmentMaps;
+    var getEnvironmentRadiance = require("./environment.js").getEnvironmentRadiance;
+    var getEnvironmentUV = require("./environment.js").getEnvironmentUV;
+    var sampleEquirect = require("./environment.js").sampleEquirect;
+}
+
+// These mirror the constants of the same names in raytracer.frag
+const REF_INF = 1.0e12;
+const REF_EPS = 1.0e-3;
+const REF_MAX_RECURSION = 4;
+const REF_MAX_PENDING_RAYS = 4;
+const REF_MAX_RAYS = 12;
+const REF_MIN_WEIGHT = 0.01;
+const REF_DIRECTIONAL_LIGHT_DISTANCE = 1.0e4;
+const REF_SOFT_NUMBER = 10;
+// The shape types that can be part of CSG nodes, as in CSG_SHAPE_TYPES in scenecompiler.js
+const REF_CSG_SHAPES = ["box", "sphere", "cylinder", "cone"];
+// Light types and their settings, as in LIGHT_TYPES and LIGHT_DEFAULTS in scenecompiler.js
+const REF_LIGHT_TYPES = ["point", "directional", "rect", "sphere"];
+const REF_LIGHT_DEFAULTS = {type:"point", falloff:0, radius:0.5, width:1, height:1, spread:0};
+// Settings of physically based materials, as in PBR_DEFAULTS in scenecompiler.js
+const REF_PBR_DEFAULTS = {baseColor:[0.8, 0.8, 0.8], metallic:0, roughness:0.5, ior:1.5, emission:[0, 0, 0]};
+// As MIN_GGX_ALPHA in raytracer.frag
+const REF_MIN_GGX_ALPHA = 1.0e-4;
+
+/**
+ * Small vector helpers on plain arrays of length 3
+ */
+function refAdd(a, b) {
+    return [a[0]+b[0], a[1]+b[1], a[2]+b[2]];
+}
+function refSub(a, b) {
+    return [a[0]-b[0], a[1]-b[1], a[2]-b[2]];
+}
+function refScale(a, s) {
+    return [a[0]*s, a[1]*s, a[2]*s];
+}
+function refMul(a, b) {
+    return [a[0]*b[0], a[1]*b[1], a[2]*b[2]];
+}
+function refDot(a, b) {
+    return a[0]*b[0] + a[1]*b[1] + a[2]*b[2];
+}
+function refCross(a, b) {
+    return [a[1]*b[2]-a[2]*b[1], a[2]*b[0]-a[0]*b[2], a[0]*b[1]-a[1]*b[0]];
+}
+function refNormalize(a) {
+    let len = Math.sqrt(refDot(a, a));
+    return [a[0]/len, a[1]/len, a[2]/len];
+}
+function refMaxComp(a) {
+    return Math.max(a[0], a[1], a[2]);
+}
+/**
+ * GLSL's reflect(I, N) = I - 2*dot(N, I)*N
+ */
+function refReflect(I, N) {
+    return refSub(I, refScale(N, 2*refDot(N, I)));
+}
+/**
+ * GLSL's refract(I, N, eta), which returns the zero vector
+ * under total internal reflection
+ */
+function refRefract(I, N, eta) {
+    let d = refDot(N, I);
+    let k = 1 - eta*eta*(1 - d*d);
+    if (k < 0) {
+        return [0, 0, 0];
+    }
+    return refSub(refScale(I, eta), refScale(N, eta*d + Math.sqrt(k)));
+}
+/**
+ * GLSL's pow, which is undefined (NaN on GPUs) for negative bases
+ */
+function refPow(x, y) {
+    if (x < 0) {
+        return NaN;
+    }
+    return Math.pow(x, y);
+}
+/**
+ * Multiply a column-major mat4 by [p, w]
+ */
+function refTransform4(M, p, w) {
+    return [M[0]*p[0] + M[4]*p[1] + M[8]*p[2] + M[12]*w,
+            M[1]*p[0] + M[5]*p[1] + M[9]*p[2] + M[13]*w,
+            M[2]*p[0] + M[6]*p[1] + M[10]*p[2] + M[14]*w];
+}
+/**
+ * Multiply a column-major mat3 by a vector
+ */
+function refTransform3(N, n) {
+    return [N[0]*n[0] + N[3]*n[1] + N[6]*n[2],
+            N[1]*n[0] + N[4]*n[1] + N[7]*n[2],
+            N[2]*n[0] + N[5]*n[1] + N[8]*n[2]];
+}
+
+/**
+ * Schlick's approximation of the Fresnel reflectance, as in
+ * fresnel() in raytracer.frag
+ *
+ * @param {float} cosi Cosine of the angle between the incoming ray and the normal
+ * @param {float} n1 Index of refraction on the incoming side
+ * @param {float} n2 Index of refraction on the far side
+ */
+function refFresnel(cosi, n1, n2) {
+    let r0 = (n1-n2)/(n1+n2);
+    r0 *= r0;
+    let c = cosi;
+    if (n1 > n2) {
+        let eta = n1/n2;
+        let sin2t = eta*eta*(1 - cosi*cosi);
+        if (sin2t >= 1) {
+            return 1;
+        }
+        c = Math.sqrt(1 - sin2t);
+    }
+    let x = 1 - c;
+    return r0 + (1-r0)*x*x*x*x*x;
+}
+
+/**
+ * Schlick's approximation of how much light a physically based
+ * material reflects, as in getPBRFresnel() in raytracer.frag
+ *
+ * @param {object} m The material, as returned by getMaterial
+ * @param {float} cosTheta Cosine of the angle between the direction
+ *                         to the viewer and the microfacet normal
+ */
+function refPBRFresnel(m, cosTheta) {
+    let r0 = (m.refraction - 1)/(m.refraction + 1);
+    let F0 = [0, 1, 2].map(function(k) {
+        return r0*r0 + m.metallic*(m.kd[k] - r0*r0);
+    });
+    let x = 1 - Math.min(Math.max(cosTheta, 0), 1);
+    return F0.map(function(f) {
+        return f + (1 - f)*x*x*x*x*x;
+    });
+}
+
+/**
+ * Intersect a ray with a plane, as in rayIntersectPlane
+ *
+ * @returns {float} t, or REF_INF if the plane is behind the ray or parallel to it
+ */
+function refIntersectPlane(p0, v, n, p) {
+    let denom = refDot(v, n);
+    if (Math.abs(denom) > 0) {
+        let t = refDot(refSub(p, p0), n)/denom;
+        if (t > 0) {
+            return t;
+        }
+    }
+    return REF_INF;
+}
+
+/**
+ * Intersect a ray with a horizontal disc in its own coordinate
+ * system, as in rayIntersectYDisc
+ */
+function refIntersectYDisc(p0, v, c, r, tMin) {
+    if (v[1] == 0) {
+        return tMin;
+    }
+    let t = (c[1] - p0[1])/v[1];
+    if (t > 0 && t < tMin) {
+        let dx = p0[0] + t*v[0] - c[0];
+        let dz = p0[2] + t*v[2] - c[2];
+        if (dx*dx + dz*dz <= r*r) {
+            return t;
+        }
+    }
+    return tMin;
+}
+
+/**
+ * Intersect a ray with a triangle in its own coordinate system using
+ * the Moller-Trumbore algorithm, as in rayIntersectTriangleLocal
+ *
+ * @returns {object} {t, n: The unnormalized triangle normal,
+ *                   bary: The barycentric coordinates of the
+ *                         intersection with the second and third
+ *                         vertices}, or null
+ */
+function refIntersectTriangle(p0, v, tris, i) {
+    let a = [tris[i], tris[i+1], tris[i+2]];
+    let ab = [tris[i+3]-a[0], tris[i+4]-a[1], tris[i+5]-a[2]];
+    let ac = [tris[i+6]-a[0], tris[i+7]-a[1], tris[i+8]-a[2]];
+    let q = refCross(v, ac);
+    let det = refDot(ab, q);
+    if (Math.abs(det) < 1e-12) {
+        return null;
+    }
+    let s = refScale(refSub(p0, a), 1/det);
+    let u = refDot(s, q);
+    let r = refCross(s, ab);
+    let w = refDot(v, r);
+    if (u < 0 || w < 0 || u + w > 1) {
+        return null;
+    }
+    let t = refDot(ac, r);
+    if (t <= 0) {
+        return null;
+    }
+    return {t:t, n:refCross(ab, ac), bary:[u, w]};
+}
+
+/**
+ * Intersect a ray with an axis-aligned box using the slab method,
+ * as in rayIntersectAABB
+ */
+function refIntersectAABB(p0, vInv, bmin, bmax, tMax) {
+    let tEnter = 0;
+    let tExit = Infinity;
+    for (let k = 0; k < 3; k++) {
+        let t1 = (bmin[k] - p0[k])*vInv[k];
+        let t2 = (bmax[k] - p0[k])*vInv[k];
+        tEnter = Math.max(tEnter, Math.min(t1, t2));
+        tExit = Math.min(tExit, Math.max(t1, t2));
+    }
+    if (tEnter > tExit || tEnter >= tMax) {
+        return REF_INF;
+    }
+    return tEnter;
+}
+
+/**
+ * Find the largest real root of x^3 + a x^2 + b x + c, as in solveCubicMax
+ */
+function refSolveCubicMax(a, b, c) {
+    let p = b - a*a/3;
+    let q = 2*a*a*a/27 - a*b/3 + c;
+    let disc = q*q/4 + p*p*p/27;
+    let y = 0;
+    if (disc > 0) {
+        let s = Math.sqrt(disc);
+        y = Math.cbrt(-q/2 + s) + Math.cbrt(-q/2 - s);
+    }
+    else if (p < 0) {
+        let m = Math.sqrt(-p/3);
+        let theta = Math.acos(Math.max(-1, Math.min(1, -q/(2*m*m*m))));
+        y = 2*m*Math.cos(theta/3);
+    }
+    let x = y - a/3;
+    for (let i = 0; i < 2; i++) {
+        let f = ((x + a)*x + b)*x + c;
+        let df = (3*x + 2*a)*x + b;
+        if (df != 0) {
+            x -= f/df;
+        }
+    }
+    return x;
+}
+
+/**
+ * Find the real roots of x^4 + a x^3 + b x^2 + c x + d, as in solveQuartic
+ *
+ * @returns {list} The real roots, in no particular order
+ */
+function refSolveQuartic(a, b, c, d) {
+    let a2 = a*a;
+    let p = b - 3*a2/8;
+    let q = c - a*b/2 + a2*a/8;
+    let r = d - a*c/4 + a2*b/16 - 3*a2*a2/256;
+    let roots = [];
+    let z = refSolveCubicMax(2*p, p*p - 4*r, -q*q);
+    if (z > 1e-6) {
+        let s = Math.sqrt(z);
+        let alpha = (p + z - q/s)/2;
+        let beta = (p + z + q/s)/2;
+        let disc1 = z - 4*alpha;
+        let disc2 = z - 4*beta;
+        if (disc1 >= 0) {
+            roots.push((-s - Math.sqrt(disc1))/2, (-s + Math.sqrt(disc1))/2);
+        }
+        if (disc2 >= 0) {
+            roots.push((s - Math.sqrt(disc2))/2, (s + Math.sqrt(disc2))/2);
+        }
+    }
+    else {
+        let disc = p*p - 4*r;
+        if (disc >= 0) {
+            [(-p - Math.sqrt(disc))/2, (-p + Math.sqrt(disc))/2].forEach(function(y2) {
+                if (y2 >= 0) {
+                    roots.push(-Math.sqrt(y2), Math.sqrt(y2));
+                }
+            });
+        }
+    }
+    return roots.map(function(x) {
+        x -= a/4;
+        for (let k = 0; k < 2; k++) {
+            let f = (((x + a)*x + b)*x + c)*x + d;
+            let df = ((4*x + 3*a)*x + 2*b)*x + c;
+            if (df != 0) {
+                x -= f/df;
+            }
+        }
+        return x;
+    });
+}
+
+/**
+ * Find the interval of a line along which one coordinate is inside
+ * of a range, as in getSlabInterval
+ */
+function refSlabInterval(p, v, lo, hi) {
+    if (v == 0) {
+        if (p >= lo && p <= hi) {
+            return [-REF_INF, REF_INF];
+        }
+        return [REF_INF, -REF_INF];
+    }
+    let t1 = (lo - p)/v;
+    let t2 = (hi - p)/v;
+    return [Math.min(t1, t2), Math.max(t1, t2)];
+}
+
+/**
+ * Find the interval of a line along which a quadratic is negative,
+ * clipped to a range, as in getQuadraticInterval
+ */
+function refQuadraticInterval(A, B, C, range) {
+    let interval = [REF_INF, -REF_INF];
+    if (Math.abs(A) < 1e-12) {
+        if (Math.abs(B) < 1e-12) {
+            if (C <= 0) {
+                interval = [-REF_INF, REF_INF];
+            }
+        }
+        else if (B > 0) {
+            interval = [-REF_INF, -C/B];
+        }
+        else {
+            interval = [-C/B, REF_INF];
+        }
+    }
+    else {
+        let disc = B*B - 4*A*C;
+        if (disc < 0) {
+            if (A < 0) {
+                interval = [-REF_INF, REF_INF];
+            }
+        }
+        else {
+            let r1 = (-B - Math.sqrt(disc))/(2*A);
+            let r2 = (-B + Math.sqrt(disc))/(2*A);
+            if (r1 > r2) {
+                let temp = r1;
+                r1 = r2;
+                r2 = temp;
+            }
+            if (A > 0) {
+                interval = [r1, r2];
+            }
+            else if (range[0] <= r1) {
+                interval = [-REF_INF, r1];
+            }
+            else {
+                interval = [r2, REF_INF];
+            }
+        }
+    }
+    return [Math.max(interval[0], range[0]), Math.min(interval[1], range[1])];
+}
+
+/**
+ * Find where a ray enters and exits a primitive of a CSG node,
+ * as in getCSGInterval
+ *
+ * @returns {list} [tEnter, tExit], which are in the wrong order if it misses
+ */
+function refCSGInterval(obj, ray) {
+    let p0 = refTransform4(obj.MInv, ray.p0, 1);
+    let v = refTransform4(obj.MInv, ray.v, 0);
+    let d = refSub(p0, obj.center);
+    if (obj.type == "box") {
+        let half = [obj.width/2, obj.height/2, obj.length/2];
+        let interval = [-REF_INF, REF_INF];
+        for (let k = 0; k < 3; k++) {
+            let slab = refSlabInterval(d[k], v[k], -half[k], half[k]);
+            interval = [Math.max(interval[0], slab[0]), Math.min(interval[1], slab[1])];
+        }
+        return interval;
+    }
+    let r = obj.radius;
+    let h = obj.height;
+    if (obj.type == "sphere") {
+        return refQuadraticInterval(refDot(v, v), 2*refDot(d, v), refDot(d, d) - r*r, [-REF_INF, REF_INF]);
+    }
+    if (obj.type == "cylinder") {
+        return refQuadraticInterval(v[0]*v[0] + v[2]*v[2], 2*(d[0]*v[0] + d[2]*v[2]),
+                                    d[0]*d[0] + d[2]*d[2] - r*r, refSlabInterval(d[1], v[1], -h/2, h/2));
+    }
+    // Cone, relative to its tip
+    let k2 = (r/h)*(r/h);
+    d[1] -= h/2;
+    return refQuadraticInterval(v[0]*v[0] + v[2]*v[2] - k2*v[1]*v[1],
+                                2*(d[0]*v[0] + d[2]*v[2] - k2*d[1]*v[1]),
+                                d[0]*d[0] + d[2]*d[2] - k2*d[1]*d[1], refSlabInterval(d[1], v[1], -h, 0));
+}
+
+/**
+ * Check whether a point along a ray is inside of a CSG node, like
+ * the expressions that getCSGInsideSrc in scenecompiler.js generates
+ *
+ * @param {object} csg {op, operands: primitives and nested {op, operands}}
+ * @param {list} intervals The interval of the ray inside each primitive
+ * @param {float} t The parameter along the ray
+ * @param {int} leaf The index of the primitive whose boundary the point is on
+ * @param {boolean} leafValue Which side of that primitive's boundary to evaluate
+ */
+function refCSGInside(csg, intervals, t, leaf, leafValue) {
+    let inside = csg.operands.map(function(operand) {
+        if ('op' in operand) {
+            return refCSGInside(operand, intervals, t, leaf, leafValue);
+        }
+        if (operand.csgIndex == leaf) {
+            return leafValue;
+        }
+        let interval = intervals[operand.csgIndex];
+        return interval[0] < t && t < interval[1];
+    });
+    if (inside.length == 0) {
+        return false;
+    }
+    if (csg.op == "intersection") {
+        return inside.every(function(x) {
+            return x;
+        });
+    }
+    if (csg.op == "difference") {
+        return inside[0] && !inside.slice(1).some(function(x) {
+            return x;
+        });
+    }
+    return inside.some(function(x) {
+        return x;
+    });
+}
+
+/**
+ * A CPU ray tracer for a scene
+ *
+ * @param {object} scene The scene graph, after SceneCanvas.setupScene
+ *                       or setupHeadlessScene has been run on it
+ * @param {object} options {beaconRadius: Radius of point lights for soft shadows,
+ *                                        (default 0, which gives hard shadows),
+ *                          progressive: Whether to cast one soft shadow ray per
+ *                                       light instead of SOFT_NUMBER+1, like the
+ *                                       shader's progressive mode (default false),
+ *                          camera: {projection, aperture, focusDistance, viewWidth, fisheyeFov},
+ *                                  as returned by getCameraSettings in scenecompiler.js
+ *                                  (default a perspective camera),
+ *                          showLights: Whether to draw light beacons (default false),
+ *                          seed: Seed for the random numbers used by soft shadows,
+ *                          environment: The scene's environment, as returned by
+ *                                       getEnvironmentMaps in environment.js, if
+ *                                       it's already been computed}
+ */
+function RefTracer(scene, options) {
+    if (options === undefined) {
+        options = {};
+    }
+    this.scene = scene;
+    this.beaconRadius = options.beaconRadius === undefined ? 0 : options.beaconRadius;
+    this.progressive = options.progressive === undefined ? false : options.progressive;
+    this.cameraSettings = options.camera === undefined ? {projection:"perspective"} : options.camera;
+    this.showLights = options.showLights === undefined ? false : options.showLights;
+    this.environment = options.environment === undefined ? getEnvironmentMaps(scene) : options.environment;
+    let rngState = options.seed === undefined ? 1 : options.seed;
+    let tracer = this;
+
+    /**
+     * Draw a pseudorandom number in [0, 1) (mulberry32)
+     */
+    this.random = function() {
+        rngState = (rngState + 0x6D2B79F5) | 0;
+        let t = rngState;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Pull the materials out into an array in the same order that
+    // indexMaterials in scenecompiler.js does, so that material indices agree
+    this.materialsArr = [];
+    for (let name in scene.materials) {
+        if (Object.prototype.hasOwnProperty.call(scene.materials, name)) {
+            this.materialsArr.push(scene.materials[name]);
+            let m = scene.materials[name];
+            if ('pattern' in m || 'kdMap' in m || 'normalMap' in m || 'bumpMap' in m) {
+                console.log("Warning: The reference ray tracer ignores the textures of material " + name);
+            }
+        }
+    }
+    // Material indices outside of the materials array come
+    // back as an all zero material, as they do in the shader
+    this.zeroMaterial = {kd:[0, 0, 0], ks:[0, 0, 0], ka:[0, 0, 0], kt:[0, 0, 0],
+                         shininess:0, refraction:0, special:false,
+                         model:"phong", emission:[0, 0, 0], metallic:0, roughness:0};
+
+    // Lights, with their spotlight directions and the sides of rect lights,
+    // as getSceneUniforms passes them
+    this.lights = [];
+    if (!(scene.lights === null || scene.lights === undefined)) {
+        scene.lights.forEach(function(light) {
+            let settings = {};
+            for (let key in REF_LIGHT_DEFAULTS) {
+                settings[key] = key in light ? light[key] : REF_LIGHT_DEFAULTS[key];
+            }
+            if (REF_LIGHT_TYPES.indexOf(settings.type) == -1) {
+                settings.type = "point";
+            }
+            let towards = refNormalize(refCross(light.camera.up, light.camera.right));
+            tracer.lights.push({pos:Array.from(light.camera.pos), color:light.color, atten:light.atten,
+                                towards:towards, angle:light.angle, type:settings.type, falloff:settings.falloff,
+                                radius:settings.type == "directional" ? settings.spread : settings.radius,
+                                axisU:refScale(light.camera.right, settings.width),
+                                axisV:refScale(light.camera.up, settings.height)});
+        });
+    }
+
+    // Flatten the scene graph into a list of shapes with their
+    // accumulated transforms, just like getSceneObjects in scenecompiler.js.
+    // Each CSG node at the top of a tree becomes a single object
+    this.objects = [];
+    let bvhs = new Map();
+    let makeObject = function(shape, MInv, N) {
+        if (!('material' in shape) || shape.material === undefined) {
+            return null;
+        }
+        let mIdx = tracer.materialsArr.indexOf(shape.material);
+        let obj = {type:shape.type, shape:shape, mIdx:mIdx, MInv:MInv, N:N};
+        let get = function(key, def) {
+            return key in shape ? shape[key] : def;
+        };
+        if (shape.type == "box") {
+            obj.width = get('width', 1);
+            obj.height = get('height', 1);
+            obj.length = get('length', 1);
+            obj.center = get('center', [0, 0, 0]);
+        }
+        else if (shape.type == "sphere" || shape.type == "cylinder" || shape.type == "cone") {
+            obj.radius = get('radius', 1);
+            obj.height = get('height', 1);
+            obj.center = get('center', [0, 0, 0]);
+        }
+        else if (shape.type == "plane") {
+            obj.width = get('width', 0);
+            obj.length = get('length', 0);
+            obj.center = get('center', [0, 0, 0]);
+        }
+        else if (shape.type == "disk") {
+            obj.radius = get('radius', 1);
+            obj.center = get('center', [0, 0, 0]);
+        }
+        else if (shape.type == "torus") {
+            obj.radius = get('radius', 1);
+            obj.tubeRadius = get('tubeRadius', 0.25);
+            obj.center = get('center', [0, 0, 0]);
+        }
+        else if (shape.type == "capsule") {
+            obj.radius = get('radius', 0.5);
+            obj.height = get('height', 1);
+            obj.center = get('center', [0, 0, 0]);
+        }
+        else if (shape.type == "quadric") {
+            obj.coefficients = get('coefficients', [1, 1, 1, 0, 0, 0, 0, 0, 0, -1]);
+            obj.size = get('size', 2);
+            obj.center = get('center', [0, 0, 0]);
+        }
+        else if (shape.type == "mesh") {
+            if (shape.mesh === null || shape.mesh === undefined) {
+                return null;
+            }
+            if (!bvhs.has(shape.mesh)) {
+                let tris = getMeshTriangles(shape.mesh);
+                bvhs.set(shape.mesh, {tris:tris, normals:getMeshNormals(shape.mesh), bvh:buildBVH(tris)});
+            }
+            let mesh = bvhs.get(shape.mesh);
+            if (mesh.bvh.nodes.length == 0) {
+                return null;
+            }
+            obj.tris = mesh.tris;
+            obj.normals = mesh.normals;
+            obj.bvh = mesh.bvh;
+            obj.smooth = isSmoothShaded(shape);
+        }
+        else {
+            return null;
+        }
+        return obj;
+    };
+    let getNodeMatrices = function(node, transform) {
+        let mat4 = glMatrix.mat4;
+        let nextTransform = mat4.create();
+        mat4.mul(nextTransform, transform, node.transform);
+        let N = glMatrix.mat3.create();
+        glMatrix.mat3.normalFromMat4(N, nextTransform);
+        let MInv = mat4.create();
+        mat4.invert(MInv, nextTransform);
+        return {transform:nextTransform, N:N, MInv:MInv};
+    };
+    let addCSGNode = function(node, transform, op, leaves) {
+        let matrices = getNodeMatrices(node, transform);
+        let csg = {op:op, operands:[]};
+        node.shapes.forEach(function(shape) {
+            if (REF_CSG_SHAPES.indexOf(shape.type) == -1) {
+                return;
+            }
+            let obj = makeObject(shape, matrices.MInv, matrices.N);
+            if (!(obj === null)) {
+                obj.csgIndex = leaves.length;
+                leaves.push(obj);
+                csg.operands.push(obj);
+            }
+        });
+        if ('children' in node) {
+            node.children.forEach(function(child) {
+                let childOp = 'csg' in child ? child.csg : "union";
+                csg.operands.push(addCSGNode(child, matrices.transform, childOp, leaves));
+            });
+        }
+        return csg;
+    };
+    let addNode = function(node, transform) {
+        if ('csg' in node) {
+            let leaves = [];
+            let csg = addCSGNode(node, transform, node.csg, leaves);
+            if (leaves.length > 0) {
+                tracer.objects.push({type:"csg", csg:csg, leaves:leaves});
+            }
+            return;
+        }
+        let matrices = getNodeMatrices(node, transform);
+        node.shapes.forEach(function(shape) {
+            let obj = makeObject(shape, matrices.MInv, matrices.N);
+            if (!(obj === null)) {
+                tracer.objects.push(obj);
+            }
+        });
+        if ('children' in node) {
+            node.children.forEach(function(child) {
+                addNode(child, matrices.transform);
+            });
+        }
+    };
+    scene.children.forEach(function(node) {
+        addNode(node, glMatrix.mat4.create());
+    });
+
+    /**
+     * Look up a material by index, as in getMaterial, with physically
+     * based materials laid out the way getSceneUniforms passes them
+     */
+    this.getMaterial = function(mIdx) {
+        if (mIdx < 0 || mIdx >= tracer.materialsArr.length) {
+            return tracer.zeroMaterial;
+        }
+        let m = tracer.materialsArr[mIdx];
+        if (m.type == "pbr") {
+            let pbr = {};
+            for (let key in REF_PBR_DEFAULTS) {
+                pbr[key] = key in m ? m[key] : REF_PBR_DEFAULTS[key];
+            }
+            return Object.assign({}, m, {model:"pbr", kd:pbr.baseColor, ks:[0, 0, 0], kt:[0, 0, 0],
+                                         refraction:pbr.ior, emission:pbr.emission,
+                                         metallic:pbr.metallic, roughness:pbr.roughness});
+        }
+        return Object.assign({kt:[0, 0, 0], emission:[0, 0, 0]}, m, {model:"phong", metallic:0, roughness:0});
+    }
+
+    /**
+     * Intersect a ray with a sphere, as in rayIntersectSphere
+     */
+    this.intersectSphere = function(ray, c, r, MInv, N) {
+        let p0 = refTransform4(MInv, ray.p0, 1);
+        let v = refTransform4(MInv, ray.v, 0);
+        let cp = refSub(p0, c);
+        let A = refDot(v, v);
+        let B = 2*refDot(cp, v);
+        let C = refDot(cp, cp) - r*r;
+        let disc = B*B - 4*A*C;
+        if (disc < 0) {
+            return null;
+        }
+        let t1 = (-B - Math.sqrt(disc))/(2*A);
+        let t2 = (-B + Math.sqrt(disc))/(2*A);
+        let t = REF_INF;
+        if (t1 > 0) {
+            t = t1;
+        }
+        else if (t2 > 0) {
+            t = t2;
+        }
+        else {
+            return null;
+        }
+        return {t:t, p:refAdd(ray.p0, refScale(ray.v, t)),
+                n:refNormalize(refTransform3(N, refSub(refAdd(p0, refScale(v, t)), c))),
+                sCoeff:1};
+    }
+
+    /**
+     * Intersect a ray with a box, as in rayIntersectBox
+     */
+    this.intersectBox = function(ray, obj) {
+        let p0 = refTransform4(obj.MInv, ray.p0, 1);
+        let v = refTransform4(obj.MInv, ray.v, 0);
+        let c = obj.center;
+        let half = [obj.width/2, obj.height/2, obj.length/2];
+        let t = REF_INF;
+        let hit = null;
+        // Check the max then min face along each axis, in the same
+        // order as the shader so that ties are broken the same way
+        for (let axis = 0; axis < 3; axis++) {
+            let n = [0, 0, 0];
+            n[axis] = 1;
+            let others = [0, 1, 2].filter(function(k) {
+                return k != axis;
+            });
+            [1, -1].forEach(function(side) {
+                let p = [c[0], c[1], c[2]];
+                p[axis] += side*half[axis];
+                let tFace = refIntersectPlane(p0, v, n, p);
+                if (tFace < t && tFace >= 0) {
+                    let q = refAdd(p0, refScale(v, tFace));
+                    let inside = others.every(function(k) {
+                        return c[k]-half[k] < q[k] && q[k] < c[k]+half[k];
+                    });
+                    if (inside) {
+                        t = tFace;
+                        hit = {n:n, sCoeff:Math.cos(30*q[others[0]])*Math.cos(30*q[others[1]])};
+                    }
+                }
+            });
+        }
+        if (hit === null) {
+            return null;
+        }
+        return {t:t, p:refAdd(ray.p0, refScale(ray.v, t)),
+                n:refNormalize(refTransform3(obj.N, hit.n)),
+                sCoeff:hit.sCoeff > 0 ? 1 : 0};
+    }
+
+    /**
+     * Intersect a ray with a cylinder, as in rayIntersectCylinder
+     */
+    this.intersectCylinder = function(ray, obj) {
+        let p0 = refTransform4(obj.MInv, ray.p0, 1);
+        let v = refTransform4(obj.MInv, ray.v, 0);
+        let c = obj.center;
+        let r = obj.radius;
+        let h = obj.height;
+        let t = REF_INF;
+        let n = [0, 0, 0];
+        let d = refSub(p0, c);
+        let A = v[0]*v[0] + v[2]*v[2];
+        let B = 2*(d[0]*v[0] + d[2]*v[2]);
+        let C = d[0]*d[0] + d[2]*d[2] - r*r;
+        let disc = B*B - 4*A*C;
+        if (A > 0 && disc >= 0) {
+            let t1 = (-B - Math.sqrt(disc))/(2*A);
+            let t2 = (-B + Math.sqrt(disc))/(2*A);
+            if (t1 > 0 && Math.abs(d[1] + t1*v[1]) <= h/2) {
+                t = t1;
+            }
+            else if (t2 > 0 && Math.abs(d[1] + t2*v[1]) <= h/2) {
+                t = t2;
+            }
+            if (t < REF_INF) {
+                n = [d[0] + t*v[0], 0, d[2] + t*v[2]];
+            }
+        }
+        let tCap = refIntersectYDisc(p0, v, [c[0], c[1]+h/2, c[2]], r, t);
+        if (tCap < t) {
+            t = tCap;
+            n = [0, 1, 0];
+        }
+        tCap = refIntersectYDisc(p0, v, [c[0], c[1]-h/2, c[2]], r, t);
+        if (tCap < t) {
+            t = tCap;
+            n = [0, -1, 0];
+        }
+        if (t >= REF_INF) {
+            return null;
+        }
+        return {t:t, p:refAdd(ray.p0, refScale(ray.v, t)),
+                n:refNormalize(refTransform3(obj.N, n)), sCoeff:1};
+    }
+
+    /**
+     * Intersect a ray with a cone, as in rayIntersectCone
+     */
+    this.intersectCone = function(ray, obj) {
+        let p0 = refTransform4(obj.MInv, ray.p0, 1);
+        let v = refTransform4(obj.MInv, ray.v, 0);
+        let c = obj.center;
+        let r = obj.radius;
+        let h = obj.height;
+        let t = REF_INF;
+        let n = [0, 0, 0];
+        let k2 = (r/h)*(r/h);
+        let d = refSub(p0, [c[0], c[1]+h/2, c[2]]);
+        let A = v[0]*v[0] + v[2]*v[2] - k2*v[1]*v[1];
+        let B = 2*(d[0]*v[0] + d[2]*v[2] - k2*d[1]*v[1]);
+        let C = d[0]*d[0] + d[2]*d[2] - k2*d[1]*d[1];
+        let disc = B*B - 4*A*C;
+        if (Math.abs(A) > 0 && disc >= 0) {
+            let t1 = (-B - Math.sqrt(disc))/(2*A);
+            let t2 = (-B + Math.sqrt(disc))/(2*A);
+            if (t1 > t2) {
+                let temp = t1;
+                t1 = t2;
+                t2 = temp;
+            }
+            let y1 = d[1] + t1*v[1];
+            let y2 = d[1] + t2*v[1];
+            if (t1 > 0 && y1 <= 0 && y1 >= -h) {
+                t = t1;
+            }
+            else if (t2 > 0 && y2 <= 0 && y2 >= -h) {
+                t = t2;
+            }
+            if (t < REF_INF) {
+                let q = refAdd(d, refScale(v, t));
+                n = [q[0], -k2*q[1], q[2]];
+            }
+        }
+        let tCap = refIntersectYDisc(p0, v, [c[0], c[1]-h/2, c[2]], r, t);
+        if (tCap < t) {
+            t = tCap;
+            n = [0, -1, 0];
+        }
+        if (t >= REF_INF) {
+            return null;
+        }
+        return {t:t, p:refAdd(ray.p0, refScale(ray.v, t)),
+                n:refNormalize(refTransform3(obj.N, n)), sCoeff:1};
+    }
+
+    /**
+     * Intersect a ray with a plane that may be bounded, as in rayIntersectRect
+     */
+    this.intersectRect = function(ray, obj) {
+        let p0 = refTransform4(obj.MInv, ray.p0, 1);
+        let v = refTransform4(obj.MInv, ray.v, 0);
+        let c = obj.center;
+        if (v[1] == 0) {
+            return null;
+        }
+        let t = (c[1] - p0[1])/v[1];
+        if (t <= 0) {
+            return null;
+        }
+        let q = refSub(refAdd(p0, refScale(v, t)), c);
+        if ((obj.width > 0 && Math.abs(q[0]) > obj.width/2) || (obj.length > 0 && Math.abs(q[2]) > obj.length/2)) {
+            return null;
+        }
+        return {t:t, p:refAdd(ray.p0, refScale(ray.v, t)),
+                n:refNormalize(refTransform3(obj.N, [0, 1, 0])), sCoeff:1};
+    }
+
+    /**
+     * Intersect a ray with a disk, as in rayIntersectDisk
+     */
+    this.intersectDisk = function(ray, obj) {
+        let p0 = refTransform4(obj.MInv, ray.p0, 1);
+        let v = refTransform4(obj.MInv, ray.v, 0);
+        let t = refIntersectYDisc(p0, v, obj.center, obj.radius, REF_INF);
+        if (t >= REF_INF) {
+            return null;
+        }
+        return {t:t, p:refAdd(ray.p0, refScale(ray.v, t)),
+                n:refNormalize(refTransform3(obj.N, [0, 1, 0])), sCoeff:1};
+    }
+
+    /**
+     * Intersect a ray with a torus, as in rayIntersectTorus
+     */
+    this.intersectTorus = function(ray, obj) {
+        let p0 = refTransform4(obj.MInv, ray.p0, 1);
+        let v = refTransform4(obj.MInv, ray.v, 0);
+        let R = obj.radius;
+        let r = obj.tubeRadius;
+        let len = Math.sqrt(refDot(v, v));
+        let dir = refScale(v, 1/len);
+        let d = refSub(p0, obj.center);
+        let rb = R + r;
+        let m = refDot(d, dir);
+        let disc = m*m - refDot(d, d) + rb*rb;
+        if (disc < 0) {
+            return null;
+        }
+        let s0 = Math.max(0, -m - Math.sqrt(disc));
+        let o = refAdd(d, refScale(dir, s0));
+        m = refDot(o, dir);
+        let k = refDot(o, o) + R*R - r*r;
+        let ax = dir[0]*dir[0] + dir[2]*dir[2];
+        let bx = o[0]*dir[0] + o[2]*dir[2];
+        let cx = o[0]*o[0] + o[2]*o[2];
+        let roots = refSolveQuartic(4*m, 4*m*m + 2*k - 4*R*R*ax, 4*m*k - 8*R*R*bx, k*k - 4*R*R*cx);
+        let s = REF_INF;
+        roots.forEach(function(root) {
+            if (root > -s0 && root < s) {
+                s = root;
+            }
+        });
+        let t = (s0 + s)/len;
+        if (s >= REF_INF || t <= 0) {
+            return null;
+        }
+        let q = refAdd(o, refScale(dir, s));
+        let n = refSub(refScale(q, refDot(q, q) + R*R - r*r), refScale([q[0], 0, q[2]], 2*R*R));
+        return {t:t, p:refAdd(ray.p0, refScale(ray.v, t)),
+                n:refNormalize(refTransform3(obj.N, n)), sCoeff:1};
+    }
+
+    /**
+     * Intersect a ray with a capsule, as in rayIntersectCapsule
+     */
+    this.intersectCapsule = function(ray, obj) {
+        let p0 = refTransform4(obj.MInv, ray.p0, 1);
+        let v = refTransform4(obj.MInv, ray.v, 0);
+        let r = obj.radius;
+        let h = obj.height;
+        let d = refSub(p0, obj.center);
+        let t = REF_INF;
+        let A = v[0]*v[0] + v[2]*v[2];
+        let B = 2*(d[0]*v[0] + d[2]*v[2]);
+        let C = d[0]*d[0] + d[2]*d[2] - r*r;
+        let disc = B*B - 4*A*C;
+        if (A > 0 && disc >= 0) {
+            let t1 = (-B - Math.sqrt(disc))/(2*A);
+            let t2 = (-B + Math.sqrt(disc))/(2*A);
+            if (t1 > 0 && Math.abs(d[1] + t1*v[1]) <= h/2) {
+                t = t1;
+            }
+            else if (t2 > 0 && Math.abs(d[1] + t2*v[1]) <= h/2) {
+                t = t2;
+            }
+        }
+        A = refDot(v, v);
+        [1, -1].forEach(function(side) {
+            let dc = refSub(d, [0, side*h/2, 0]);
+            let B = 2*refDot(dc, v);
+            let C = refDot(dc, dc) - r*r;
+            let disc = B*B - 4*A*C;
+            if (disc >= 0) {
+                let t1 = (-B - Math.sqrt(disc))/(2*A);
+                let t2 = (-B + Math.sqrt(disc))/(2*A);
+                if (t1 > 0 && t1 < t && side*(dc[1] + t1*v[1]) >= 0) {
+                    t = t1;
+                }
+                else if (t2 > 0 && t2 < t && side*(dc[1] + t2*v[1]) >= 0) {
+                    t = t2;
+                }
+            }
+        });
+        if (t >= REF_INF) {
+            return null;
+        }
+        let q = refAdd(d, refScale(v, t));
+        let n = [q[0], q[1] - Math.max(-h/2, Math.min(h/2, q[1])), q[2]];
+        return {t:t, p:refAdd(ray.p0, refScale(ray.v, t)),
+                n:refNormalize(refTransform3(obj.N, n)), sCoeff:1};
+    }
+
+    /**
+     * Intersect a ray with a quadric clipped to a cube, as in rayIntersectQuadric
+     */
+    this.intersectQuadric = function(ray, obj) {
+        let p0 = refTransform4(obj.MInv, ray.p0, 1);
+        let v = refTransform4(obj.MInv, ray.v, 0);
+        let d = refSub(p0, obj.center);
+        let k = obj.coefficients;
+        let Q = [[k[0], k[3]/2, k[4]/2], [k[3]/2, k[1], k[5]/2], [k[4]/2, k[5]/2, k[2]]];
+        let lin = [k[6], k[7], k[8]];
+        let mulQ = function(x) {
+            return [refDot(Q[0], x), refDot(Q[1], x), refDot(Q[2], x)];
+        };
+        let Qv = mulQ(v);
+        let A = refDot(v, Qv);
+        let B = 2*refDot(d, Qv) + refDot(lin, v);
+        let C = refDot(d, mulQ(d)) + refDot(lin, d) + k[9];
+        let ts = [];
+        if (Math.abs(A) < 1e-9) {
+            if (B != 0) {
+                ts = [-C/B];
+            }
+        }
+        else {
+            let disc = B*B - 4*A*C;
+            if (disc >= 0) {
+                let t1 = (-B - Math.sqrt(disc))/(2*A);
+                let t2 = (-B + Math.sqrt(disc))/(2*A);
+                ts = [Math.min(t1, t2), Math.max(t1, t2)];
+            }
+        }
+        let half = obj.size/2;
+        let t = REF_INF;
+        for (let i = 0; i < ts.length; i++) {
+            let q = refAdd(d, refScale(v, ts[i]));
+            if (ts[i] > 0 && q.every(function(x) {
+                return Math.abs(x) <= half;
+            })) {
+                t = ts[i];
+                break;
+            }
+        }
+        if (t >= REF_INF) {
+            return null;
+        }
+        let q = refAdd(d, refScale(v, t));
+        let n = refAdd(refScale(mulQ(q), 2), lin);
+        return {t:t, p:refAdd(ray.p0, refScale(ray.v, t)),
+                n:refNormalize(refTransform3(obj.N, n)), sCoeff:1};
+    }
+
+    /**
+     * Intersect a ray with a triangle mesh by walking its BVH, as in rayIntersectMesh
+     */
+    this.intersectMesh = function(ray, obj) {
+        let p0 = refTransform4(obj.MInv, ray.p0, 1);
+        let v = refTransform4(obj.MInv, ray.v, 0);
+        let vInv = v.map(function(x) {
+            return 1/(x == 0 ? 1e-12 : x);
+        });
+        let nodes = obj.bvh.nodes;
+        let order = obj.bvh.order;
+        let tMin = REF_INF;
+        let nMin = null;
+        let stack = [[0, refIntersectAABB(p0, vInv, nodes[0].min, nodes[0].max, REF_INF)]];
+        while (stack.length > 0) {
+            let entry = stack.pop();
+            if (entry[1] >= tMin) {
+                continue;
+            }
+            let node = nodes[entry[0]];
+            if ('left' in node) {
+                [node.left, node.right].forEach(function(child) {
+                    let tChild = refIntersectAABB(p0, vInv, nodes[child].min, nodes[child].max, tMin);
+                    if (tChild < REF_INF) {
+                        stack.push([child, tChild]);
+                    }
+                });
+            }
+            else {
+                for (let i = node.start; i < node.start + node.count; i++) {
+                    let hit = refIntersectTriangle(p0, v, obj.tris, order[i]*9);
+                    if (!(hit === null) && hit.t < tMin) {
+                        tMin = hit.t;
+                        nMin = hit.n;
+                        if (obj.smooth) {
+                            // Interpolate the vertex normals
+                            let w = [1 - hit.bary[0] - hit.bary[1], hit.bary[0], hit.bary[1]];
+                            let n = [0, 0, 0];
+                            for (let k = 0; k < 3; k++) {
+                                let j = order[i]*9 + k*3;
+                                n = refAdd(n, refScale([obj.normals[j], obj.normals[j+1], obj.normals[j+2]], w[k]));
+                            }
+                            if (refDot(n, n) > 0) {
+                                nMin = n;
+                            }
+                        }
+                    }
+                }
+            }
+        }
+        if (nMin === null) {
+            return null;
+        }
+        return {t:tMin, p:refAdd(ray.p0, refScale(ray.v, tMin)),
+                n:refNormalize(refTransform3(obj.N, nMin)), sCoeff:1};
+    }
+
+    /**
+     * Intersect a ray with the solid of a CSG node, as in the rayIntersectCSG
+     * functions that scenecompiler.js generates and setCSGIntersection
+     */
+    this.intersectCSG = function(ray, obj) {
+        let intervals = obj.leaves.map(function(leaf) {
+            return refCSGInterval(leaf, ray);
+        });
+        let tMin = REF_INF;
+        let hit = -1;
+        let entering = false;
+        intervals.forEach(function(interval, j) {
+            if (interval[0] > interval[1]) {
+                return;
+            }
+            [[interval[0], false, true], [interval[1], true, false]].forEach(function(side) {
+                let t = side[0];
+                if (t > 0 && t < tMin) {
+                    let before = refCSGInside(obj.csg, intervals, t, j, side[1]);
+                    let after = refCSGInside(obj.csg, intervals, t, j, side[2]);
+                    if (before != after) {
+                        tMin = t;
+                        hit = j;
+                        entering = after;
+                    }
+                }
+            });
+        });
+        if (hit == -1) {
+            return null;
+        }
+        let leaf = obj.leaves[hit];
+        let p = refAdd(ray.p0, refScale(ray.v, tMin));
+        let q = refSub(refTransform4(leaf.MInv, p, 1), leaf.center);
+        let n = [0, 0, 0];
+        let sCoeff = 1;
+        if (leaf.type == "box") {
+            let size = [leaf.width, leaf.height, leaf.length];
+            let f = q.map(function(x, k) {
+                return Math.abs(x) - size[k]/2;
+            });
+            let axis = 2;
+            if (f[0] >= f[1] && f[0] >= f[2]) {
+                axis = 0;
+            }
+            else if (f[1] >= f[2]) {
+                axis = 1;
+            }
+            n[axis] = Math.sign(q[axis]);
+            let pBox = refAdd(q, leaf.center);
+            let others = [0, 1, 2].filter(function(k) {
+                return k != axis;
+            });
+            sCoeff = Math.cos(30*pBox[others[0]])*Math.cos(30*pBox[others[1]]) >= 0 ? 1 : 0;
+        }
+        else if (leaf.type == "sphere") {
+            n = q;
+        }
+        else if (leaf.type == "cylinder") {
+            let r = leaf.radius;
+            let h = leaf.height;
+            if (Math.abs(q[1]) - h/2 > Math.sqrt(q[0]*q[0] + q[2]*q[2]) - r) {
+                n = [0, Math.sign(q[1]), 0];
+            }
+            else {
+                n = [q[0], 0, q[2]];
+            }
+        }
+        else {
+            let k = leaf.radius/leaf.height;
+            let yTip = q[1] - leaf.height/2;
+            let side = (Math.sqrt(q[0]*q[0] + q[2]*q[2]) + k*yTip)/Math.sqrt(1 + k*k);
+            let base = -leaf.height/2 - q[1];
+            if (base > side) {
+                n = [0, -1, 0];
+            }
+            else {
+                n = [q[0], -k*k*yTip, q[2]];
+            }
+        }
+        n = refNormalize(refTransform3(leaf.N, n));
+        if ((refDot(n, ray.v) > 0) == entering) {
+            n = refScale(n, -1);
+        }
+        return {t:tMin, p:p, n:n, sCoeff:sCoeff, mIdx:leaf.mIdx, object:leaf};
+    }
+
+    /**
+     * Find the nearest intersection of a ray with the scene, as in rayIntersectScene
+     *
+     * @param {object} ray {p0, v}
+     *
+     * @returns {object} {t, p, n, mIdx, sCoeff, object: The shape that was hit},
+     *                   or null if nothing was hit
+     */
+    this.intersectScene = function(ray) {
+        let best = null;
+        tracer.objects.forEach(function(obj) {
+            let hit = null;
+            if (obj.type == "box") {
+                hit = tracer.intersectBox(ray, obj);
+            }
+            else if (obj.type == "sphere") {
+                hit = tracer.intersectSphere(ray, obj.center, obj.radius, obj.MInv, obj.N);
+            }
+            else if (obj.type == "cylinder") {
+                hit = tracer.intersectCylinder(ray, obj);
+            }
+            else if (obj.type == "cone") {
+                hit = tracer.intersectCone(ray, obj);
+            }
+            else if (obj.type == "mesh") {
+                hit = tracer.intersectMesh(ray, obj);
+            }
+            else if (obj.type == "plane") {
+                hit = tracer.intersectRect(ray, obj);
+            }
+            else if (obj.type == "disk") {
+                hit = tracer.intersectDisk(ray, obj);
+            }
+            else if (obj.type == "torus") {
+                hit = tracer.intersectTorus(ray, obj);
+            }
+            else if (obj.type == "capsule") {
+                hit = tracer.intersectCapsule(ray, obj);
+            }
+            else if (obj.type == "quadric") {
+                hit = tracer.intersectQuadric(ray, obj);
+            }
+            else if (obj.type == "csg") {
+                hit = tracer.intersectCSG(ray, obj);
+            }
+            if (!(hit === null) && hit.t < REF_INF && (best === null || hit.t < best.t)) {
+                if (!(obj.type == "csg")) {
+                    hit.mIdx = obj.mIdx;
+                    hit.object = obj;
+                }
+                best = hit;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Check whether the segment from a point to a light is clear,
+     * as in pointInSoftShadow
+     *
+     * @returns {float} 1 if the light is visible, 0 otherwise
+     */
+    this.lightVisible = function(p, lightPos) {
+        let dir = refSub(lightPos, p);
+        let ray = {p0:refAdd(p, refScale(refNormalize(dir), REF_EPS)), v:dir};
+        let hit = tracer.intersectScene(ray);
+        return (hit === null || hit.t >= 1) ? 1 : 0;
+    }
+
+    /**
+     * Draw a point uniformly at random on the unit sphere
+     */
+    this.randomOnSphere = function() {
+        let z = 2*tracer.random() - 1;
+        let phi = 2*Math.PI*tracer.random();
+        let r = Math.sqrt(Math.max(0, 1 - z*z));
+        return [r*Math.cos(phi), r*Math.sin(phi), z];
+    }
+
+    /**
+     * Pick a point on a light to aim a shadow ray at, as in getLightSamplePos
+     *
+     * @param {object} light The light
+     * @param {list} p The point that the light is shining on
+     * @param {boolean} jitter Whether to pick a random point on the light, rather than its center
+     */
+    this.getLightSamplePos = function(light, p, jitter) {
+        if (light.type == "directional") {
+            let dir = refScale(light.towards, -1);
+            if (jitter) {
+                dir = refNormalize(refAdd(dir, refScale(tracer.randomOnSphere(), Math.sin(light.radius))));
+            }
+            return refAdd(p, refScale(dir, REF_DIRECTIONAL_LIGHT_DISTANCE));
+        }
+        if (!jitter) {
+            return light.pos;
+        }
+        if (light.type == "rect") {
+            let u = tracer.random() - 0.5;
+            let v = tracer.random() - 0.5;
+            return refAdd(light.pos, refAdd(refScale(light.axisU, u), refScale(light.axisV, v)));
+        }
+        let radius = light.type == "sphere" ? light.radius : tracer.beaconRadius;
+        return refAdd(light.pos, refScale(tracer.randomOnSphere(), radius));
+    }
+
+    /**
+     * Get the unit vector from a point towards a light, as in getLightDirection
+     *
+     * @param {object} light The light
+     * @param {list} p The point that the light is shining on
+     */
+    this.getLightDirection = function(light, p) {
+        if (light.type == "directional") {
+            return refScale(light.towards, -1);
+        }
+        return refNormalize(refSub(light.pos, p));
+    }
+
+    /**
+     * Estimate the fraction of a light that reaches a point, as in softShadow
+     */
+    this.softShadow = function(p, light) {
+        if (tracer.progressive) {
+            return tracer.lightVisible(p, tracer.getLightSamplePos(light, p, true));
+        }
+        let counter = tracer.lightVisible(p, tracer.getLightSamplePos(light, p, false));
+        for (let i = 0; i < REF_SOFT_NUMBER; i++) {
+            counter += tracer.lightVisible(p, tracer.getLightSamplePos(light, p, true));
+        }
+        return counter/(REF_SOFT_NUMBER + 1);
+    }
+
+    /**
+     * Compute the light that reaches a point from a light, as in getLightIntensity
+     *
+     * @param {list} p The point
+     * @param {object} light The light
+     */
+    this.getLightIntensity = function(p, light) {
+        let shadow = tracer.softShadow(p, light);
+        if (light.type == "directional") {
+            return refScale(light.color, shadow);
+        }
+        let d = refSub(light.pos, p);
+        let towardsAngle = refDot(refScale(refNormalize(d), -1), light.towards);
+        let cosAngle = Math.cos(light.angle);
+        let spotlight = 0;
+        if (towardsAngle > cosAngle) {
+            spotlight = 1;
+            if (light.falloff > 0) {
+                spotlight = Math.pow(Math.min(Math.max((towardsAngle - cosAngle)/(1 - cosAngle), 0), 1), light.falloff);
+            }
+        }
+        if (light.type == "rect") {
+            spotlight *= Math.max(towardsAngle, 0);
+        }
+        let dist = Math.sqrt(refDot(d, d));
+        return refScale(light.color, spotlight*shadow/(light.atten[0] + light.atten[1]*dist + light.atten[2]*refDot(d, d)));
+    }
+
+    /**
+     * Compute the Phong illumination at an intersection, as in getPhongColor
+     *
+     * @param {object} intersect The intersection
+     * @param {object} m The material
+     * @param {list} eye The position of the camera
+     */
+    this.getPhongColor = function(intersect, m, eye) {
+        let color = [0, 0, 0];
+        let n = refNormalize(intersect.n);
+        tracer.lights.forEach(function(light) {
+            let ci = tracer.getLightIntensity(intersect.p, light);
+            let d = tracer.getLightDirection(light, intersect.p);
+            let kdCoeff = refDot(d, n);
+            if (m.special) {
+                kdCoeff *= intersect.sCoeff;
+            }
+            let diffuse = kdCoeff >= 0 ? refScale(m.kd, kdCoeff) : [0, 0, 0];
+            let dh = refNormalize(refSub(eye, intersect.p));
+            let h = refScale(refReflect(d, n), -1);
+            let ksCoeff = refPow(refDot(h, dh), m.shininess);
+            let specular = ksCoeff >= 0 ? refScale(m.ks, ksCoeff) : [0, 0, 0];
+            color = refAdd(color, refMul(ci, refAdd(diffuse, specular)));
+        });
+        let ambient = tracer.environment.settings.ambient;
+        if (ambient > 0) {
+            color = refAdd(color, refScale(refMul(m.kd, tracer.getIrradiance(n)), ambient));
+        }
+        return color;
+    }
+
+    /**
+     * Compute the illumination of a physically based material at
+     * an intersection, as in getPBRColor
+     *
+     * @param {object} intersect The intersection
+     * @param {object} m The material, as returned by getMaterial
+     * @param {list} view Unit vector from the intersection back along the ray
+     */
+    this.getPBRColor = function(intersect, m, view) {
+        let color = [0, 0, 0];
+        let n = refNormalize(intersect.n);
+        let NdotV = Math.max(refDot(n, view), 1.0e-4);
+        let alpha = Math.max(m.roughness*m.roughness, REF_MIN_GGX_ALPHA);
+        let k = (m.roughness + 1)*(m.roughness + 1)/8;
+        tracer.lights.forEach(function(light) {
+            let l = tracer.getLightDirection(light, intersect.p);
+            let NdotL = refDot(n, l);
+            if (NdotL > 0) {
+                let h = refNormalize(refAdd(l, view));
+                let F = refPBRFresnel(m, refDot(view, h));
+                let NdotH = Math.max(refDot(n, h), 0);
+                let d = NdotH*NdotH*(alpha*alpha - 1) + 1;
+                let D = alpha*alpha/(Math.PI*d*d);
+                let G = NdotV/(NdotV*(1 - k) + k) * NdotL/(NdotL*(1 - k) + k);
+                let specular = D*G/(4*NdotV*NdotL);
+                let diffuse = refScale(refMul(refSub([1, 1, 1], F), m.kd), 1 - m.metallic);
+                let ci = tracer.getLightIntensity(intersect.p, light);
+                color = refAdd(color, refScale(refMul(ci, refAdd(diffuse, refScale(F, Math.PI*specular))), NdotL));
+            }
+        });
+        let ambient = tracer.environment.settings.ambient;
+        if (ambient > 0) {
+            let F = refPBRFresnel(m, NdotV);
+            let diffuse = refScale(refMul(refSub([1, 1, 1], F), m.kd), ambient*(1 - m.metallic));
+            color = refAdd(color, refMul(diffuse, tracer.getIrradiance(n)));
+        }
+        return color;
+    }
+
+    /**
+     * Draw a microfacet normal from the GGX distribution, as in sampleGGXNormal
+     *
+     * @param {list} n The unit normal
+     * @param {float} alpha Width of the distribution, which is the roughness squared
+     */
+    this.sampleGGXNormal = function(n, alpha) {
+        if (alpha <= 0) {
+            return n;
+        }
+        let u = tracer.random();
+        let phi = 2*Math.PI*tracer.random();
+        let cosTheta = Math.sqrt((1 - u)/(1 + (alpha*alpha - 1)*u));
+        let sinTheta = Math.sqrt(Math.max(0, 1 - cosTheta*cosTheta));
+        let t = refNormalize(refCross(n, Math.abs(n[0]) > 0.5 ? [0, 1, 0] : [1, 0, 0]));
+        let b = refCross(n, t);
+        return refNormalize(refAdd(refAdd(refScale(t, sinTheta*Math.cos(phi)), refScale(b, sinTheta*Math.sin(phi))),
+                                   refScale(n, cosTheta)));
+    }
+
+    /**
+     * Compute the color of the environment in a direction, as in getEnvironmentColor
+     *
+     * @param {list} dir The direction
+     */
+    this.getEnvironmentColor = function(dir) {
+        let environment = tracer.environment;
+        return refScale(getEnvironmentRadiance(environment.settings, environment.map, dir),
+                        environment.settings.intensity);
+    }
+
+    /**
+     * Compute the light that reaches a surface from the environment, as in getIrradiance
+     *
+     * @param {list} n The normal of the surface
+     */
+    this.getIrradiance = function(n) {
+        let environment = tracer.environment;
+        if (environment.settings.type == "none") {
+            return [0, 0, 0];
+        }
+        return refScale(sampleEquirect(environment.irradiance, getEnvironmentUV(n, environment.settings.rotation)),
+                        environment.settings.intensity);
+    }
+
+    /**
+     * Follow a ray through the scene, splitting it at dielectric surfaces,
+     * as in the main loop of raytracer.frag
+     *
+     * @param {object} ray {p0, v}
+     * @param {list} eye The position of the camera
+     *
+     * @returns {list} The color seen along the ray, before clamping
+     */
+    this.traceRay = function(ray, eye) {
+        let rayInitial = ray;
+        let color = [0, 0, 0];
+        let weight = [1, 1, 1];
+        let depth = 0;
+        let tInitial = REF_INF;
+        let pending = [];
+        for (let iter = 0; iter < REF_MAX_RAYS; iter++) {
+            if (depth >= REF_MAX_RECURSION || refMaxComp(weight) < REF_MIN_WEIGHT) {
+                if (pending.length == 0) {
+                    break;
+                }
+                let next = pending.pop();
+                ray = next.ray;
+                weight = next.weight;
+                depth = next.depth;
+            }
+            let intersect = tracer.intersectScene(ray);
+            let t = intersect === null ? REF_INF : intersect.t;
+            if (iter == 0) {
+                tInitial = t;
+            }
+            if (t >= REF_INF) {
+                color = refAdd(color, refMul(weight, tracer.getEnvironmentColor(ray.v)));
+                depth = REF_MAX_RECURSION;
+                continue;
+            }
+            let m = tracer.getMaterial(intersect.mIdx);
+            let insideObj = false;
+            if (refDot(refSub(ray.p0, intersect.p), intersect.n) < 0) {
+                intersect.n = refScale(intersect.n, -1);
+                insideObj = true;
+            }
+            let v = refNormalize(ray.v);
+            if (!(insideObj && refMaxComp(m.kt) > 0)) {
+                if (m.model == "pbr") {
+                    color = refAdd(color, refMul(weight, tracer.getPBRColor(intersect, m, refScale(v, -1))));
+                }
+                else {
+                    color = refAdd(color, refMul(weight, tracer.getPhongColor(intersect, m, eye)));
+                }
+            }
+            color = refAdd(color, refMul(weight, m.emission));
+            depth++;
+
+            let reflected = refReflect(v, intersect.n);
+            let reflectWeight = refMul(weight, m.ks);
+            if (m.model == "pbr") {
+                let h = tracer.sampleGGXNormal(intersect.n, m.roughness*m.roughness);
+                reflected = refReflect(v, h);
+                if (refDot(reflected, intersect.n) <= 0) {
+                    h = intersect.n;
+                    reflected = refReflect(v, h);
+                }
+                reflectWeight = refMul(weight, refPBRFresnel(m, refDot(refScale(v, -1), h)));
+            }
+            if (refMaxComp(m.kt) > 0) {
+                let n1 = insideObj ? m.refraction : 1;
+                let n2 = insideObj ? 1 : m.refraction;
+                let F = refFresnel(refDot(refScale(v, -1), intersect.n), n1, n2);
+                reflectWeight = refAdd(reflectWeight, refScale(refMul(weight, m.kt), F));
+                if (F < 1) {
+                    let transmitWeight = refScale(refMul(weight, m.kt), 1-F);
+                    let refracted = refRefract(v, intersect.n, n1/n2);
+                    if (depth < REF_MAX_RECURSION && pending.length < REF_MAX_PENDING_RAYS &&
+                        refMaxComp(reflectWeight) >= REF_MIN_WEIGHT) {
+                        pending.push({ray:{p0:refAdd(intersect.p, refScale(reflected, REF_EPS)), v:reflected},
+                                      weight:reflectWeight, depth:depth});
+                    }
+                    weight = transmitWeight;
+                    ray = {p0:refAdd(intersect.p, refScale(refracted, REF_EPS)), v:refracted};
+                    continue;
+                }
+            }
+            weight = reflectWeight;
+            ray = {p0:refAdd(intersect.p, refScale(reflected, REF_EPS)), v:reflected};
+        }
+
+        // Light beacons, as in showLightBeacons
+        if (tracer.showLights) {
+            let identity4 = glMatrix.mat4.create();
+            let identity3 = glMatrix.mat3.create();
+            tracer.lights.forEach(function(light) {
+                let t = REF_INF;
+                if (light.type == "rect") {
+                    let n = refCross(light.axisU, light.axisV);
+                    let vn = refDot(rayInitial.v, n);
+                    if (vn != 0) {
+                        let tRect = refDot(refSub(light.pos, rayInitial.p0), n)/vn;
+                        let q = refSub(refAdd(rayInitial.p0, refScale(rayInitial.v, tRect)), light.pos);
+                        if (tRect > 0 && Math.abs(refDot(q, light.axisU)) <= 0.5*refDot(light.axisU, light.axisU) &&
+                            Math.abs(refDot(q, light.axisV)) <= 0.5*refDot(light.axisV, light.axisV)) {
+                            t = tRect;
+                        }
+                    }
+                }
+                else if (light.type != "directional") {
+                    let radius = light.type == "sphere" ? light.radius : tracer.beaconRadius;
+                    let hit = tracer.intersectSphere(rayInitial, light.pos, radius, identity4, identity3);
+                    if (!(hit === null)) {
+                        t = hit.t;
+                    }
+                }
+                if (t < tInitial) {
+                    color = light.color.slice();
+                }
+            });
+        }
+        return color;
+    }
+
+    /**
+     * Compute the ray through a point on the image plane, as in getRay
+     *
+     * @param {object} camera {pos, up, right, fovx, fovy}
+     * @param {float} x Horizontal position on the image plane, in [-1, 1]
+     * @param {float} y Vertical position on the image plane, in [-1, 1]
+     * @param {float} aspect The height of the image over its width
+     */
+    this.getRay = function(camera, x, y, aspect) {
+        let settings = tracer.cameraSettings;
+        let towards = refNormalize(refCross(camera.up, camera.right));
+        let p0 = Array.from(camera.pos);
+        if (settings.projection == "orthographic") {
+            p0 = refAdd(p0, refScale(refAdd(refScale(camera.right, x), refScale(camera.up, aspect*y)),
+                                     0.5*settings.viewWidth));
+            return {p0:p0, v:towards};
+        }
+        if (settings.projection == "fisheye") {
+            let r = Math.sqrt(x*x + aspect*aspect*y*y);
+            let theta = 0.5*settings.fisheyeFov*r;
+            let v = refScale(towards, Math.cos(theta));
+            if (r > 0) {
+                let side = refAdd(refScale(camera.right, x), refScale(camera.up, aspect*y));
+                v = refAdd(v, refScale(side, Math.sin(theta)/r));
+            }
+            return {p0:p0, v:v};
+        }
+        if (settings.projection == "panorama") {
+            let lon = Math.PI*x;
+            let lat = 0.5*Math.PI*y;
+            let v = refAdd(refScale(camera.right, Math.sin(lon)), refScale(towards, Math.cos(lon)));
+            v = refAdd(refScale(v, Math.cos(lat)), refScale(camera.up, Math.sin(lat)));
+            return {p0:p0, v:v};
+        }
+        let v = refAdd(towards, refAdd(refScale(camera.right, x*Math.tan(camera.fovx/2)),
+                                       refScale(camera.up, y*Math.tan(camera.fovy/2))));
+        if (settings.projection == "thinlens") {
+            let focus = refAdd(p0, refScale(v, settings.focusDistance));
+            let r = 0.5*settings.aperture*Math.sqrt(tracer.random());
+            let phi = 2*Math.PI*tracer.random();
+            p0 = refAdd(p0, refAdd(refScale(camera.right, r*Math.cos(phi)), refScale(camera.up, r*Math.sin(phi))));
+            return {p0:p0, v:refNormalize(refSub(focus, p0))};
+        }
+        return {p0:p0, v:refNormalize(v)};
+    }
+
+    /**
+     * Render an image of the scene
+     *
+     * @param {object} camera {pos, up, right, fovx, fovy}
+     * @param {int} width Width of the image in pixels
+     * @param {int} height Height of the image in pixels
+     * @param {int} samples Number of samples per pixel.  The first is at the
+     *                      pixel center, and the rest are jittered, as in
+     *                      progressive rendering (default 1)
+     *
+     * @returns {object} {width, height, data: A Uint8ClampedArray of RGBA values,
+     *                    with rows from top to bottom like canvas ImageData}
+     */
+    this.render = function(camera, width, height, samples) {
+        if (samples === undefined) {
+            samples = 1;
+        }
+        let data = new Uint8ClampedArray(width*height*4);
+        let eye = Array.from(camera.pos);
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                let sum = [0, 0, 0];
+                for (let s = 0; s < samples; s++) {
+                    let jx = 0;
+                    let jy = 0;
+                    if (s > 0) {
+                        jx = tracer.random() - 0.5;
+                        jy = tracer.random() - 0.5;
+                    }
+                    let x = -1 + 2*(col + 0.5 + jx)/width;
+                    let y = 1 - 2*(row + 0.5 - jy)/height;
+                    sum = refAdd(sum, tracer.traceRay(tracer.getRay(camera, x, y, height/width), eye));
+                }
+                // Like the floating point accumulation buffer, only
+                // clamp once all of the samples have been averaged
+                let idx = (row*width + col)*4;
+                for (let k = 0; k < 3; k++) {
+                    data[idx+k] = Math.round(255*Math.min(1, Math.max(0, sum[k]/samples)));
+                }
+                data[idx+3] = 255;
+            }
+        }
+        return {width:width, height:height, data:data};
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RefTracer: RefTracer
+    };
+}
@@ -0,0 +1,1158 @@
+/**
+    Code for turning a scene graph into the source code of the ray tracing
+    fragment shader.  The parameters and transforms of the scene's shapes are
+    packed into an objects data texture, grouped by shape type, and a
+    rayIntersectScene function that loops over the objects of each shape type
+    in the scene replaces the placeholder in raytracer.frag.  This means the
+    shader only has to be recompiled when the set of shape types in the scene,
+    the structure of its CSG nodes, the number of image textures that its
+    materials use, or the number of lights or materials, changes.  The
+    lights and materials are passed along as uniforms, in arrays that are
+    sized to fit the scene, and the uniforms are listed in a manifest that's
+    parsed from the shader's uniform declarations.
+    None of this needs a WebGL context, so it can also run in Node (see
+    tools/compilescene.js)
+
+    Each object takes up TEXELS_PER_OBJECT texels of the objects texture
+        texel 0: [The shape's first three dimensions (see SHAPE_TYPES), material index]
+        texel 1: [center, 0]
+        texels 2-5: The columns of the inverse of the shape's transform
+        texels 6-7: The rest of the shape's dimensions, for shapes
+                    that have more than three
+
+    A node with a "csg" field ("union", "intersection" or "difference")
+    combines its shapes and then its children, in that order, into one
+    solid.  Children that are CSG nodes themselves are nested operations,
+    and other children are the union of everything under them.  A
+    difference is its first operand minus all of the others.  The
+    primitives of CSG nodes (boxes, spheres, cylinders and cones) come
+    after all of the other objects in the objects texture, starting at ID
+    csgStart, and every CSG node at the top of a tree gets a generated
+    rayIntersectCSG function that rayIntersectScene calls
+
+    The scene graph should already have been set up by SceneCanvas.setupScene
+    in the browser, or by setupHeadlessScene in Node
+
+    Assumes that
+    ggslac/jslibs/gl-matrix-min.js
+    meshbvh.js
+    have been included already
+ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    var glMatrix = require("./ggslac/jslibs/gl-matrix-min.js");
+    var packMeshes = require("./meshbvh.js").packMeshes;
+    var isSmoothShaded = require("./meshbvh.js").isSmoothShaded;
+}
+
+const DEFAULT_RAY_INTERSECT_SCENE_SRC = "float rayIntersectScene(Ray ray, out Intersection intersect){return INF;}";
+const CHECK_NEAREST_INTERSECTION_SRC = "\t\tif(tCurr < tMin) {\n" +
+                                        "\t\t\ttMin = tCurr;\n"+
+                                        "\t\t\tintersect = intersectCurr;\n" +
+                                        "\t\t}\n";
+const MAX_OBJECTS = 1024; // Must match MAX_OBJECTS in raytracer.frag
+const TEXELS_PER_OBJECT = 8; // Must match TEXELS_PER_OBJECT in raytracer.frag
+const OBJECTS_TEXTURE_WIDTH = 1024; // Must match DATA_TEXTURE_WIDTH in raytracer.frag
+
+// Material properties that refer to image textures
+const TEXTURE_MAPS = ["kdMap", "normalMap", "bumpMap"];
+// The shape types that can be operands of CSG nodes, whose
+// insides getCSGInterval in raytracer.frag can find
+const CSG_SHAPE_TYPES = ["box", "sphere", "cylinder", "cone"];
+const CSG_OPERATIONS = ["union", "intersection", "difference"];
+
+// Procedural textures, in the order of the PATTERN_* constants in raytracer.frag
+const PATTERN_TYPES = ["none", "checker", "stripes", "noise"];
+
+// Light types, in the order of the LIGHT_* constants in raytracer.frag
+const LIGHT_TYPES = ["point", "directional", "rect", "sphere"];
+// Settings of lights beyond the ones that SceneCanvas fills in, which the lights in a
+// scene file can override.  radius is for sphere lights, width and height are for
+// rect lights, and spread is the angular radius of directional lights, in radians
+const LIGHT_DEFAULTS = {type:"point", falloff:0, radius:0.5, width:1, height:1, spread:0};
+
+// Material models, in the order of the MATERIAL_* constants in raytracer.frag
+const MATERIAL_MODELS = ["phong", "pbr"];
+// Settings of physically based materials, which the materials in a scene file can override
+const PBR_DEFAULTS = {baseColor:[0.8, 0.8, 0.8], metallic:0, roughness:0.5, ior:1.5, emission:[0, 0, 0]};
+
+// Camera models, in the order of the PROJECTION_* constants in raytracer.frag
+const CAMERA_PROJECTIONS = ["perspective", "orthographic", "thinlens", "fisheye", "panorama"];
+// Settings of the camera models, which the cameras in a scene file can override
+const CAMERA_DEFAULTS = {projection:"perspective", aperture:0.1, focusDistance:5,
+                         viewWidth:20, fisheyeFov:Math.PI};
+
+/**
+ * The shape types that can be ray traced, in the order of the SHAPE_*
+ * constants in raytracer.frag.  Each has the name of its type in the
+ * scene file, the name of its SHAPE_* constant, its dimensions with their
+ * defaults, and the code that intersects a ray with an Object o.  A
+ * dimension that's a list takes up one parameter per number, and there
+ * can be up to 11 parameters
+ */
+const SHAPE_TYPES = [
+    {type:"box", define:"SHAPE_BOX",
+     params:[["width", 1.0], ["height", 1.0], ["length", 1.0]],
+     intersect:"rayIntersectBox(ray, o.params.x, o.params.y, o.params.z, o.c, o.mIdx, o.MInv, o.N, intersectCurr)"},
+    {type:"sphere", define:"SHAPE_SPHERE",
+     params:[["radius", 1.0]],
+     intersect:"rayIntersectSphere(ray, o.c, o.params.x, o.mIdx, o.MInv, o.N, intersectCurr)"},
+    {type:"cylinder", define:"SHAPE_CYLINDER",
+     params:[["radius", 1.0], ["height", 1.0]],
+     intersect:"rayIntersectCylinder(ray, o.c, o.params.x, o.params.y, o.mIdx, o.MInv, o.N, intersectCurr)"},
+    {type:"cone", define:"SHAPE_CONE",
+     params:[["radius", 1.0], ["height", 1.0]],
+     intersect:"rayIntersectCone(ray, o.c, o.params.x, o.params.y, o.mIdx, o.MInv, o.N, intersectCurr)"},
+    {type:"mesh", define:"SHAPE_MESH",
+     params:[],
+     intersect:"rayIntersectMesh(ray, o.params.x, o.params.y, o.mIdx, o.MInv, o.N, intersectCurr)"},
+    {type:"plane", define:"SHAPE_PLANE",
+     params:[["width", 0.0], ["length", 0.0]],
+     intersect:"rayIntersectRect(ray, o.c, o.params.x, o.params.y, o.mIdx, o.MInv, o.N, intersectCurr)"},
+    {type:"disk", define:"SHAPE_DISK",
+     params:[["radius", 1.0]],
+     intersect:"rayIntersectDisk(ray, o.c, o.params.x, o.mIdx, o.MInv, o.N, intersectCurr)"},
+    {type:"torus", define:"SHAPE_TORUS",
+     params:[["radius", 1.0], ["tubeRadius", 0.25]],
+     intersect:"rayIntersectTorus(ray, o.c, o.params.x, o.params.y, o.mIdx, o.MInv, o.N, intersectCurr)"},
+    {type:"capsule", define:"SHAPE_CAPSULE",
+     params:[["radius", 0.5], ["height", 1.0]],
+     intersect:"rayIntersectCapsule(ray, o.c, o.params.x, o.params.y, o.mIdx, o.MInv, o.N, intersectCurr)"},
+    {type:"quadric", define:"SHAPE_QUADRIC",
+     params:[["coefficients", [1, 1, 1, 0, 0, 0, 0, 0, 0, -1]], ["size", 2.0]],
+     intersect:"rayIntersectQuadric(ray, o.c, o.params.xyz, o.params2.xyz, " +
+               "vec3(o.params2.w, o.params3.xy), o.params3.z, o.params3.w, " +
+               "o.mIdx, o.MInv, o.N, intersectCurr)"}
+];
+
+/**
+ * Pull the materials out into an array, and store an index into
+ * that array for each material
+ *
+ * @param {object} scene The scene.  scene.materialsArr and the i
+ *                       field of each material are filled in
+ *
+ * @returns {list of string} The names of the materials, in index order
+ */
+function indexMaterials(scene) {
+    scene.materialsArr = [];
+    let names = [];
+    let i = 0;
+    for (let name in scene.materials) {
+        if (Object.prototype.hasOwnProperty.call(scene.materials, name)) {
+            scene.materialsArr.push(scene.materials[name]);
+            scene.materials[name].i = i;
+            names.push(name);
+            i += 1;
+        }
+    }
+    return names;
+}
+
+/**
+ * Find all of the distinct image files that materials use as textures,
+ * and store them in scene.texturesArr, whose order is the order of the
+ * textures sampler array in the shader
+ *
+ * @param {object} scene The scene, after indexMaterials has been run on it
+ *
+ * @returns {list of string} The filenames of the textures
+ */
+function indexTextures(scene) {
+    scene.texturesArr = [];
+    scene.materialsArr.forEach(function(material) {
+        TEXTURE_MAPS.forEach(function(map) {
+            if (typeof material[map] == "string" && scene.texturesArr.indexOf(material[map]) == -1) {
+                scene.texturesArr.push(material[map]);
+            }
+        });
+    });
+    return scene.texturesArr;
+}
+
+/**
+ * Find all of the distinct meshes used by mesh shapes in the scene
+ *
+ * @param {object} scene The scene
+ *
+ * @returns {list of PolyMesh} The meshes
+ */
+function getSceneMeshes(scene) {
+    let meshes = [];
+    let stack = scene.children.slice();
+    while (stack.length > 0) {
+        let node = stack.pop();
+        node.shapes.forEach(function(shape) {
+            if (shape.type == "mesh" && !(shape.mesh === null) && meshes.indexOf(shape.mesh) == -1) {
+                meshes.push(shape.mesh);
+            }
+        });
+        if ('children' in node) {
+            stack = stack.concat(node.children);
+        }
+    }
+    return meshes;
+}
+
+/**
+ * Find the index of a shape type in SHAPE_TYPES
+ *
+ * @param {string} type The type of the shape in the scene file
+ *
+ * @returns {int} The index, or -1 if it's not a type that can be ray traced
+ */
+function getShapeTypeIndex(type) {
+    for (let i = 0; i < SHAPE_TYPES.length; i++) {
+        if (SHAPE_TYPES[i].type == type) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Multiply together the transforms of a chain of nodes
+ *
+ * @param {list} nodes The nodes, starting from a child of the root
+ *
+ * @returns {glMatrix.mat4} The transform from the last node to the world
+ */
+function getNodesTransform(nodes) {
+    let transform = glMatrix.mat4.create();
+    nodes.forEach(function(node) {
+        glMatrix.mat4.mul(transform, transform, node.transform);
+    });
+    return transform;
+}
+
+/**
+ * Get the dimensions of a shape, in the order that they're
+ * packed into the params of its object
+ *
+ * @param {object} shape The shape in the scene
+ * @param {int} shapeType Index of the shape's type into SHAPE_TYPES
+ *
+ * @returns {list of float} The dimensions, with defaults for the
+ *                          ones that the shape doesn't set
+ */
+function getShapeParams(shape, shapeType) {
+    let params = [];
+    SHAPE_TYPES[shapeType].params.forEach(function(param) {
+        params = params.concat(param[0] in shape ? shape[param[0]] : param[1]);
+    });
+    return params;
+}
+
+/**
+ * Find every shape in the scene that can be ray traced, and figure out
+ * what goes into the objects texture for it
+ *
+ * @param {object} scene The scene
+ * @param {Map} meshRoots The index of the root BVH node of each mesh
+ *
+ * @returns {list} A list of objects, grouped by shape type, each with
+ *                 {id: Index of the object in the list,
+ *                  shapeType: Index into SHAPE_TYPES,
+ *                  shape: The shape in the scene,
+ *                  nodes: The chain of nodes from the root to the shape,
+ *                  params: The dimensions of the shape,
+ *                  center: The center of the shape,
+ *                  mIdx: The index of the shape's material,
+ *                  transform: The transform from the shape to the world,
+ *                  csgRoot: The CSG node at the top of the tree that the
+ *                           shape is a primitive of, if there is one}.
+ *                 The primitives of CSG nodes come after all of the others
+ */
+function getSceneObjects(scene, meshRoots) {
+    let byType = SHAPE_TYPES.map(function() {
+        return [];
+    });
+    let csgObjects = [];
+    let addNode = function(node, nodes, csgRoot) {
+        nodes = nodes.concat([node]);
+        if (csgRoot === undefined && 'csg' in node) {
+            csgRoot = node;
+        }
+        node.shapes.forEach(function(shape) {
+            let shapeType = getShapeTypeIndex(shape.type);
+            if (shapeType == -1) {
+                return;
+            }
+            if (!('material' in shape)) {
+                console.log("Error: Material not specified for node");
+                return;
+            }
+            if (!(csgRoot === undefined) && CSG_SHAPE_TYPES.indexOf(shape.type) == -1) {
+                console.log("Warning: " + shape.type + " shapes can't be part of a CSG node, so skipping one");
+                return;
+            }
+            let params = getShapeParams(shape, shapeType);
+            if (shape.type == "mesh") {
+                if (shape.mesh === null) {
+                    console.log("ERROR: No mesh specified for mesh shape. Not loading into shader");
+                    return;
+                }
+                // The triangles live in the mesh data textures, so all
+                // that's needed here is where the mesh's BVH starts, and
+                // whether to interpolate the normals of its vertices
+                let root = meshRoots.get(shape.mesh);
+                if (root < 0) {
+                    return;
+                }
+                params = [root, isSmoothShaded(shape) ? 1 : 0];
+            }
+            let center = [0, 0, 0];
+            if ('center' in shape) {
+                center = shape.center;
+            }
+            let object = {shapeType:shapeType, shape:shape, nodes:nodes,
+                          params:params, center:center, mIdx:shape.material.i,
+                          transform:getNodesTransform(nodes)};
+            if (csgRoot === undefined) {
+                byType[shapeType].push(object);
+            }
+            else {
+                object.csgRoot = csgRoot;
+                csgObjects.push(object);
+            }
+        });
+        if ('children' in node) {
+            node.children.forEach(function(child) {
+                addNode(child, nodes, csgRoot);
+            });
+        }
+    };
+    scene.children.forEach(function(node) {
+        addNode(node, []);
+    });
+    byType.push(csgObjects);
+    let objects = [];
+    byType.forEach(function(list, shapeType) {
+        if (shapeType < SHAPE_TYPES.length && list.length > MAX_OBJECTS) {
+            console.log("Warning: Only the first " + MAX_OBJECTS + " " + SHAPE_TYPES[shapeType].type +
+                        " shapes out of " + list.length + " will be ray traced");
+        }
+        objects = objects.concat(list);
+    });
+    objects.forEach(function(object, id) {
+        object.id = id;
+    });
+    return objects;
+}
+
+/**
+ * Write an object into the objects texture data
+ *
+ * @param {Float32Array} data The objects texture data
+ * @param {object} object The object, as returned by getSceneObjects
+ */
+function writeObject(data, object) {
+    let i = object.id*TEXELS_PER_OBJECT*4;
+    for (let k = 0; k < Math.min(3, object.params.length); k++) {
+        data[i+k] = object.params[k];
+    }
+    for (let k = 3; k < object.params.length; k++) {
+        data[i+24+k-3] = object.params[k];
+    }
+    data[i+3] = object.mIdx;
+    for (let k = 0; k < 3; k++) {
+        data[i+4+k] = object.center[k];
+    }
+    let MInv = glMatrix.mat4.create();
+    glMatrix.mat4.invert(MInv, object.transform);
+    for (let k = 0; k < 16; k++) {
+        data[i+8+k] = MInv[k];
+    }
+}
+
+/**
+ * Pack objects into the data for the objects texture
+ *
+ * @param {list} objects The objects, as returned by getSceneObjects
+ *
+ * @returns {object} {data: Float32Array of texels,
+ *                    height: The number of rows in the texture,
+ *                    start: The ID of the first object of each shape type,
+ *                    count: The number of objects of each shape type,
+ *                           not counting primitives of CSG nodes,
+ *                    csgStart: The ID of the first primitive of a CSG node,
+ *                    objects: The objects}
+ */
+function packObjects(objects) {
+    let width = OBJECTS_TEXTURE_WIDTH;
+    let height = Math.max(1, Math.ceil(objects.length*TEXELS_PER_OBJECT/width));
+    let data = new Float32Array(width*height*4);
+    let start = SHAPE_TYPES.map(function() {
+        return 0;
+    });
+    let count = start.slice();
+    let csgStart = objects.length;
+    for (let i = objects.length-1; i >= 0; i--) {
+        if ('csgRoot' in objects[i]) {
+            csgStart = i;
+        }
+        else {
+            start[objects[i].shapeType] = i;
+            count[objects[i].shapeType]++;
+        }
+        writeObject(data, objects[i]);
+    }
+    return {data:data, height:height, start:start, count:count, csgStart:csgStart, objects:objects};
+}
+
+/**
+ * Update the transforms of every object under a node, after
+ * the node's transform has changed
+ *
+ * @param {object} packed The packed objects, as returned by packObjects.
+ *                        Its data is updated in place
+ * @param {object} node The node
+ *
+ * @returns {list of int} The IDs of the objects that changed
+ */
+function updateObjectTransforms(packed, node) {
+    let ids = [];
+    packed.objects.forEach(function(object) {
+        if (object.nodes.indexOf(node) > -1) {
+            object.transform = getNodesTransform(object.nodes);
+            writeObject(packed.data, object);
+            ids.push(object.id);
+        }
+    });
+    return ids;
+}
+
+/**
+ * Update the dimensions, center and material of the object for a shape,
+ * after they've been changed in the scene
+ *
+ * @param {object} packed The packed objects, as returned by packObjects.
+ *                        Its data is updated in place
+ * @param {object} shape The shape
+ *
+ * @returns {list of int} The IDs of the objects that changed
+ */
+function updateObjectShape(packed, shape) {
+    let ids = [];
+    packed.objects.forEach(function(object) {
+        if (object.shape === shape) {
+            // A mesh's params point at its BVH, which doesn't change
+            if (shape.type == "mesh") {
+                object.params = [object.params[0], isSmoothShaded(shape) ? 1 : 0];
+            }
+            else {
+                object.params = getShapeParams(shape, object.shapeType);
+            }
+            object.center = 'center' in shape ? shape.center : [0, 0, 0];
+            object.mIdx = shape.material.i;
+            writeObject(packed.data, object);
+            ids.push(object.id);
+        }
+    });
+    return ids;
+}
+
+/**
+ * Generate a GLSL boolean expression for whether a point along a ray
+ * is inside of a CSG node
+ *
+ * @param {object} node The CSG node, or a node under it
+ * @param {string} op The operation that combines the node's operands
+ * @param {Map} leaves The index of each primitive among the tree's primitives
+ * @param {int} leaf The index of a primitive whose boundary the point is on
+ * @param {string} leafValue "true" or "false", for which side of the
+ *                           primitive's boundary to evaluate
+ *
+ * @returns {string} The expression
+ */
+function getCSGInsideSrc(node, op, leaves, leaf, leafValue) {
+    let operands = [];
+    node.shapes.forEach(function(shape) {
+        if (leaves.has(shape)) {
+            let j = leaves.get(shape);
+            operands.push(j == leaf ? leafValue : "csgInside(I" + j + ", t)");
+        }
+    });
+    if ('children' in node) {
+        node.children.forEach(function(child) {
+            let childOp = 'csg' in child ? child.csg : "union";
+            operands.push(getCSGInsideSrc(child, childOp, leaves, leaf, leafValue));
+        });
+    }
+    if (operands.length == 0) {
+        return "false";
+    }
+    if (op == "intersection") {
+        return "(" + operands.join(" && ") + ")";
+    }
+    if (op == "difference") {
+        if (operands.length == 1) {
+            return operands[0];
+        }
+        return "(" + operands[0] + " && !(" + operands.slice(1).join(" || ") + "))";
+    }
+    return "(" + operands.join(" || ") + ")";
+}
+
+/**
+ * Generate a function that intersects a ray with the solid of a CSG node.
+ * It finds where the ray enters and exits each primitive, and returns
+ * the first of those boundaries where being inside of the whole solid
+ * changes
+ *
+ * @param {string} name The name of the function
+ * @param {object} root The CSG node
+ * @param {list} objects The primitives of the CSG node, as returned by
+ *                       getSceneObjects
+ * @param {int} csgStart The ID of the first primitive of a CSG node
+ *
+ * @returns {string} The code for the function
+ */
+function getRayIntersectCSGSrc(name, root, objects, csgStart) {
+    let leaves = new Map();
+    let src = "float " + name + "(Ray ray, out Intersection intersect) {\n";
+    objects.forEach(function(object, j) {
+        leaves.set(object.shape, j);
+        src += "\thighp float id" + j + " = csgStart + " + (object.id - csgStart).toFixed(1) + ";\n" +
+               "\tObject o" + j + " = getObject(id" + j + ");\n" +
+               "\tvec2 I" + j + " = getCSGInterval(" + SHAPE_TYPES[object.shapeType].define +
+               ", o" + j + ", ray);\n";
+    });
+    src += "\tfloat tMin = INF;\n" +
+           "\tint hit = -1;\n" +
+           "\tbool entering = false;\n" +
+           "\tfloat t = INF;\n" +
+           "\tbool before = false;\n" +
+           "\tbool after = false;\n";
+    objects.forEach(function(object, j) {
+        let inside = {
+            "false": getCSGInsideSrc(root, root.csg, leaves, j, "false"),
+            "true": getCSGInsideSrc(root, root.csg, leaves, j, "true")
+        };
+        // The ray goes from outside to inside of the primitive at
+        // the start of its interval, and back out at the end
+        [["x", "false", "true"], ["y", "true", "false"]].forEach(function(side) {
+            src += "\tt = I" + j + "." + side[0] + ";\n" +
+                   "\tif (I" + j + ".x <= I" + j + ".y && t > 0.0 && t < tMin) {\n" +
+                   "\t\tbefore = " + inside[side[1]] + ";\n" +
+                   "\t\tafter = " + inside[side[2]] + ";\n" +
+                   "\t\tif (before != after) {\n" +
+                   "\t\t\ttMin = t;\n" +
+                   "\t\t\thit = " + j + ";\n" +
+                   "\t\t\tentering = after;\n" +
+                   "\t\t}\n" +
+                   "\t}\n";
+        });
+    });
+    objects.forEach(function(object, j) {
+        src += "\t" + (j > 0 ? "else " : "") + "if (hit == " + j + ") {\n" +
+               "\t\tsetCSGIntersection(intersect, " + SHAPE_TYPES[object.shapeType].define +
+               ", o" + j + ", id" + j + ", ray, tMin, entering);\n" +
+               "\t}\n";
+    });
+    src += "\treturn tMin;\n}";
+    return src;
+}
+
+/**
+ * Generate the rayIntersectScene function, which loops through
+ * the objects of each of a set of shape types, and then checks
+ * each CSG node, in pieces that remember what they came from
+ *
+ * @param {list of int} shapeTypes Indices into SHAPE_TYPES
+ * @param {list} csgObjects The primitives of CSG nodes, as returned by
+ *                          getSceneObjects (default none)
+ * @param {int} csgStart The ID of the first primitive of a CSG node
+ *
+ * @returns {list} A list of {src, shapeType: The index into SHAPE_TYPES
+ *                 of the objects the code loops over, csgRoot: The CSG
+ *                 node the code intersects}, where the code that isn't
+ *                 about particular objects has neither, whose sources
+ *                 make up the function, preceded by the functions for
+ *                 the CSG nodes that it calls
+ */
+function getRayIntersectSceneParts(shapeTypes, csgObjects, csgStart) {
+    let parts = [];
+    let csgNames = [];
+    if (!(csgObjects === undefined)) {
+        let roots = [];
+        csgObjects.forEach(function(object) {
+            if (roots.indexOf(object.csgRoot) == -1) {
+                roots.push(object.csgRoot);
+            }
+        });
+        roots.forEach(function(root, k) {
+            let name = "rayIntersectCSG" + k;
+            let objects = csgObjects.filter(function(object) {
+                return object.csgRoot === root;
+            });
+            parts.push({src:"\n\n"});
+            parts.push({src:getRayIntersectCSGSrc(name, root, objects, csgStart), csgRoot:root});
+            csgNames.push({name:name, root:root});
+        });
+    }
+    parts.push({src:"\n\n" +
+      "float rayIntersectScene(Ray ray, out Intersection intersect) {\n" +
+      "\tfloat tMin = INF;\n" +
+      "\tIntersection intersectCurr;\n" +
+      "\tfloat tCurr = INF;\n"});
+    shapeTypes.forEach(function(shapeType) {
+        let define = SHAPE_TYPES[shapeType].define;
+        parts.push({src:"\tfor (int i = 0; i < MAX_OBJECTS; i++) {\n" +
+                  "\t\tif (i >= shapeCount[" + define + "]) {\n" +
+                  "\t\t\tbreak;\n" +
+                  "\t\t}\n" +
+                  "\t\thighp float id = shapeStart[" + define + "] + float(i);\n" +
+                  "\t\tObject o = getObject(id);\n" +
+                  "\t\ttCurr = " + SHAPE_TYPES[shapeType].intersect + ";\n" +
+                  "\t\tnumIntersectionTests += 1.0;\n" +
+                  "\t\tintersectCurr.objectID = id;\n" +
+                  CHECK_NEAREST_INTERSECTION_SRC +
+                  "\t}\n", shapeType:shapeType});
+    });
+    csgNames.forEach(function(csg) {
+        parts.push({src:"\ttCurr = " + csg.name + "(ray, intersectCurr);\n" +
+                  CHECK_NEAREST_INTERSECTION_SRC.replace(/^\t/gm, ""), csgRoot:csg.root});
+    });
+    parts.push({src:"\treturn tMin;\n}"});
+    return parts;
+}
+
+/**
+ * Generate the rayIntersectScene function, which loops through
+ * the objects of each of a set of shape types, and then checks
+ * each CSG node
+ *
+ * @param {list of int} shapeTypes Indices into SHAPE_TYPES
+ * @param {list} csgObjects The primitives of CSG nodes, as returned by
+ *                          getSceneObjects (default none)
+ * @param {int} csgStart The ID of the first primitive of a CSG node
+ *
+ * @returns {string} The code for the function, preceded by the
+ *                   functions for the CSG nodes that it calls
+ */
+function getRayIntersectSceneSrc(shapeTypes, csgObjects, csgStart) {
+    return getRayIntersectSceneParts(shapeTypes, csgObjects, csgStart).map(function(part) {
+        return part.src;
+    }).join("");
+}
+
+/**
+ * Find where every node and shape of a scene is in the scene file
+ *
+ * @param {object} scene The scene
+ *
+ * @returns {Map} A map from nodes and shapes to their JSON paths,
+ *                like "children[1].shapes[0]"
+ */
+function getScenePaths(scene) {
+    let paths = new Map();
+    let addNode = function(node, path) {
+        paths.set(node, path);
+        node.shapes.forEach(function(shape, i) {
+            paths.set(shape, path + ".shapes[" + i + "]");
+        });
+        if ('children' in node) {
+            node.children.forEach(function(child, i) {
+                addNode(child, path + ".children[" + i + "]");
+            });
+        }
+    };
+    scene.children.forEach(function(node, i) {
+        addNode(node, "children[" + i + "]");
+    });
+    return paths;
+}
+
+/**
+ * Say where every line of the generated shader came from, so
+ * that compiler errors can be traced back to the scene
+ *
+ * @param {object} scene The scene
+ * @param {string} fragmentSrcPre The source of raytracer.frag
+ * @param {list} parts The pieces of rayIntersectScene, as
+ *                     returned by getRayIntersectSceneParts
+ * @param {list} objects The objects, as returned by getSceneObjects
+ *
+ * @returns {list of string} Where each line came from, starting with line 1,
+ *                           e.g. "raytracer.frag line 120" or "rayIntersectScene,
+ *                           for the torus shapes at children[2].shapes[0]"
+ */
+function getShaderLineOrigins(scene, fragmentSrcPre, parts, objects) {
+    let paths = getScenePaths(scene);
+    let describeNode = function(node) {
+        let s = paths.has(node) ? paths.get(node) : "(unknown node)";
+        if ('name' in node) {
+            s += " (\"" + node.name + "\")";
+        }
+        return s;
+    };
+    let describe = function(part) {
+        if ('csgRoot' in part) {
+            return "the CSG node at " + describeNode(part.csgRoot);
+        }
+        if (!('shapeType' in part)) {
+            return "rayIntersectScene";
+        }
+        let shapePaths = objects.filter(function(object) {
+            return object.shapeType == part.shapeType && !('csgRoot' in object);
+        }).map(function(object) {
+            return paths.get(object.shape);
+        });
+        let s = "rayIntersectScene, for the " + SHAPE_TYPES[part.shapeType].type + " shapes at " +
+                shapePaths.slice(0, 3).join(", ");
+        if (shapePaths.length > 3) {
+            s += " and " + (shapePaths.length - 3) + " more";
+        }
+        return s;
+    };
+    let origins = [];
+    let placeholder = fragmentSrcPre.indexOf(DEFAULT_RAY_INTERSECT_SCENE_SRC);
+    let preLines = fragmentSrcPre.substring(0, placeholder).split("\n");
+    preLines.forEach(function(line, i) {
+        origins.push("raytracer.frag line " + (i+1));
+    });
+    // The placeholder's line is shared with the start of the generated code
+    origins.pop();
+    // Each line belongs to the piece that its first character is in
+    let newLine = true;
+    parts.forEach(function(part) {
+        let origin = describe(part);
+        for (let i = 0; i < part.src.length; i++) {
+            if (newLine) {
+                origins.push(origin);
+                newLine = false;
+            }
+            if (part.src[i] == "\n") {
+                newLine = true;
+            }
+        }
+    });
+    if (newLine) {
+        origins.push("raytracer.frag line " + preLines.length);
+    }
+    let postLines = fragmentSrcPre.substring(placeholder + DEFAULT_RAY_INTERSECT_SCENE_SRC.length).split("\n");
+    for (let i = 1; i < postLines.length; i++) {
+        origins.push("raytracer.frag line " + (preLines.length + i));
+    }
+    return origins;
+}
+
+/**
+ * Pick the errors out of a shader compiler or linker log, and
+ * say which line of the shader and of the scene they're about
+ *
+ * @param {string} log The log, e.g. from gl.getShaderInfoLog
+ * @param {string} source The source of the shader
+ * @param {list of string} lineOrigins Where each line of the shader came
+ *                                     from, as returned by getShaderLineOrigins
+ *                                     (default none)
+ *
+ * @returns {list} A list of {message, line: The line number, or -1 if
+ *                 the message isn't about one line, code: The line of the
+ *                 shader, origin: Where it came from}
+ */
+function parseShaderLog(log, source, lineOrigins) {
+    let lines = source.split("\n");
+    let errors = [];
+    log.split("\n").forEach(function(entry) {
+        entry = entry.replace(/\0/g, "").trim();
+        if (entry.length == 0) {
+            return;
+        }
+        // e.g. "ERROR: 0:1234: 'foo' : undeclared identifier"
+        let match = /^(?:ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/.exec(entry);
+        if (match === null) {
+            errors.push({message:entry, line:-1, code:"", origin:""});
+            return;
+        }
+        let line = parseInt(match[1]);
+        errors.push({message:match[2], line:line,
+                     code:line >= 1 && line <= lines.length ? lines[line-1].trim() : "",
+                     origin:!(lineOrigins === undefined) && line >= 1 && line <= lineOrigins.length ? lineOrigins[line-1] : ""});
+    });
+    return errors;
+}
+
+/**
+ * Check a compiled scene against what the GPU can do
+ *
+ * @param {object} compiled The compiled scene, as returned by compileScene
+ * @param {object} limits {maxFragmentUniformVectors, maxTextureImageUnits,
+ *                         maxTextureSize, reservedTextureUnits: The number of
+ *                         texture units that come before the image textures}
+ *
+ * @returns {list} A list of {message, severity: "error" or "warning"}
+ */
+function getShaderLimitProblems(compiled, limits) {
+    let problems = [];
+    let vectors = 0;
+    let sceneVectors = 0;
+    compiled.uniforms.forEach(function(uniform) {
+        let size = 1;
+        if (uniform.type == "mat3") {
+            size = 3;
+        }
+        else if (uniform.type == "mat4") {
+            size = 4;
+        }
+        vectors += size;
+        if (uniform.name.indexOf("lights[") == 0 || uniform.name.indexOf("materials[") == 0) {
+            sceneVectors += size;
+        }
+    });
+    if (vectors > limits.maxFragmentUniformVectors) {
+        // The light and material arrays are sized to fit the scene,
+        // so they're what grows with it
+        problems.push({message:"The shader has " + vectors + " vectors of uniforms, but this GPU only allows " +
+                               limits.maxFragmentUniformVectors + ".  The scene's " + compiled.numLights +
+                               " lights and " + compiled.materials.length + " materials take up " +
+                               sceneVectors + " of them", severity:"error"});
+    }
+    let units = limits.reservedTextureUnits + Math.max(1, compiled.textures.length);
+    if (units > limits.maxTextureImageUnits) {
+        problems.push({message:"The scene has " + compiled.textures.length + " image textures, but this GPU only has room for " +
+                               (limits.maxTextureImageUnits - limits.reservedTextureUnits), severity:"error"});
+    }
+    [["objects", compiled.objects.height], ["mesh BVH nodes", compiled.meshes.nodesHeight],
+     ["mesh triangles", compiled.meshes.trianglesHeight]].forEach(function(texture) {
+        if (texture[1] > limits.maxTextureSize) {
+            problems.push({message:"The " + texture[0] + " data texture needs to be " + texture[1] +
+                                   " pixels tall, but this GPU only allows " + limits.maxTextureSize, severity:"error"});
+        }
+    });
+    compiled.objects.count.forEach(function(count, shapeType) {
+        if (count > MAX_OBJECTS) {
+            problems.push({message:"rayIntersectScene only loops over " + MAX_OBJECTS + " objects of each shape type, so " +
+                                   (count - MAX_OBJECTS) + " of the " + count + " " + SHAPE_TYPES[shapeType].type +
+                                   " shapes won't be ray traced", severity:"warning"});
+        }
+    });
+    return problems;
+}
+
+/**
+ * Find all of the uniforms declared in a shader, expanding
+ * arrays and structs into the names that WebGL looks them up by
+ *
+ * @param {string} src The shader source
+ *
+ * @returns {list} A list of {name, type}, e.g. {name:"lights[0].pos", type:"vec3"}
+ */
+function parseUniforms(src) {
+    // Strip comments, then find the constants that array sizes refer to
+    src = src.replace(/\/\*[\s\S]*?\*\//g, "").replace(/\/\/.*$/gm, "");
+    let defines = {};
+    let re = /^\s*#define\s+(\w+)\s+(\S+)/gm;
+    let match;
+    while ((match = re.exec(src)) !== null) {
+        defines[match[1]] = match[2];
+    }
+    let structs = {};
+    re = /struct\s+(\w+)\s*\{([^}]*)\}/g;
+    while ((match = re.exec(src)) !== null) {
+        structs[match[1]] = match[2].split(";").map(function(field) {
+            return field.trim().split(/\s+/);
+        }).filter(function(field) {
+            return field.length >= 2;
+        }).map(function(field) {
+            return {type:field[field.length-2], name:field[field.length-1]};
+        });
+    }
+    let uniforms = [];
+    let addUniform = function(type, name) {
+        if (type in structs) {
+            structs[type].forEach(function(field) {
+                addUniform(field.type, name + "." + field.name);
+            });
+        }
+        else {
+            uniforms.push({name:name, type:type});
+        }
+    };
+    re = /uniform\s+(?:(?:lowp|mediump|highp)\s+)?(\w+)\s+(\w+)\s*(?:\[\s*(\w+)\s*\])?\s*;/g;
+    while ((match = re.exec(src)) !== null) {
+        if (match[3] === undefined) {
+            addUniform(match[1], match[2]);
+        }
+        else {
+            let size = parseInt(match[3] in defines ? defines[match[3]] : match[3]);
+            for (let i = 0; i < size; i++) {
+                addUniform(match[1], match[2] + "[" + i + "]");
+            }
+        }
+    }
+    return uniforms;
+}
+
+/**
+ * Compute the values of the uniforms that come from the lights
+ * and materials of a scene.  These are recomputed every frame,
+ * since menus can change the lights and materials at any time
+ *
+ * @param {object} scene The scene, after indexMaterials has been run on it
+ *
+ * @returns {object} A dictionary from uniform names to values
+ */
+function getSceneUniforms(scene) {
+    let values = {};
+    if (!(scene.lights === null || scene.lights === undefined)) {
+        values.numLights = scene.lights.length;
+        for (let i = 0; i < scene.lights.length; i++) {
+            let light = scene.lights[i];
+            let prefix = "lights[" + i + "].";
+            values[prefix + "pos"] = light.camera.pos;
+            values[prefix + "color"] = light.color;
+            values[prefix + "atten"] = light.atten;
+            let towards = glMatrix.vec3.create();
+            glMatrix.vec3.cross(towards, light.camera.up, light.camera.right);
+            glMatrix.vec3.normalize(towards, towards);
+            values[prefix + "towards"] = towards;
+            values[prefix + "angle"] = light.angle;
+            // A rect light faces along towards, with its width along
+            // the light's right vector and its height along its up vector
+            let settings = getLightSettings(light);
+            values[prefix + "type"] = Math.max(0, LIGHT_TYPES.indexOf(settings.type));
+            values[prefix + "falloff"] = settings.falloff;
+            values[prefix + "radius"] = settings.type == "directional" ? settings.spread : settings.radius;
+            let axisU = glMatrix.vec3.create();
+            let axisV = glMatrix.vec3.create();
+            glMatrix.vec3.scale(axisU, light.camera.right, settings.width);
+            glMatrix.vec3.scale(axisV, light.camera.up, settings.height);
+            values[prefix + "axisU"] = axisU;
+            values[prefix + "axisV"] = axisV;
+        }
+    }
+    if (!(scene.materialsArr === null || scene.materialsArr === undefined)) {
+        values.numMaterials = scene.materialsArr.length;
+        for (let i = 0; i < scene.materialsArr.length; i++) {
+            let material = scene.materialsArr[i];
+            let prefix = "materials[" + i + "].";
+            values[prefix + "kd"] = material.kd;
+            values[prefix + "ks"] = material.ks;
+            values[prefix + "ka"] = material.ka;
+            let kt = [0, 0, 0];
+            if ('kt' in material) {
+                kt = material.kt;
+            }
+            values[prefix + "kt"] = kt;
+            values[prefix + "shininess"] = material.shininess;
+            values[prefix + "refraction"] = material.refraction;
+            let special = 0;
+            if (material.special) {
+                special = 1;
+            }
+            values[prefix + "special"] = special;
+            let pattern = {type:"none"};
+            if ('pattern' in material) {
+                pattern = material.pattern;
+            }
+            values[prefix + "pattern"] = Math.max(0, PATTERN_TYPES.indexOf(pattern.type));
+            values[prefix + "patternColor"] = 'color' in pattern ? pattern.color : [0, 0, 0];
+            values[prefix + "patternScale"] = 'scale' in pattern ? pattern.scale : 8;
+            TEXTURE_MAPS.forEach(function(map) {
+                let idx = -1;
+                if (map in material && !(scene.texturesArr === undefined)) {
+                    idx = scene.texturesArr.indexOf(material[map]);
+                }
+                values[prefix + map] = idx;
+            });
+            values[prefix + "bumpScale"] = 'bumpScale' in material ? material.bumpScale : 0.02;
+            values[prefix + "model"] = Math.max(0, MATERIAL_MODELS.indexOf(material.type));
+            values[prefix + "emission"] = 'emission' in material ? material.emission : [0, 0, 0];
+            values[prefix + "metallic"] = 0;
+            values[prefix + "roughness"] = 0;
+            if (material.type == "pbr") {
+                // The base color takes the place of kd, so that textures
+                // still apply to it, and the IOR takes the place of the
+                // refraction.  Reflections come from the Fresnel term instead of ks
+                let pbr = getPBRSettings(material);
+                values[prefix + "kd"] = pbr.baseColor;
+                values[prefix + "ks"] = [0, 0, 0];
+                values[prefix + "kt"] = [0, 0, 0];
+                values[prefix + "refraction"] = pbr.ior;
+                values[prefix + "emission"] = pbr.emission;
+                values[prefix + "metallic"] = pbr.metallic;
+                values[prefix + "roughness"] = pbr.roughness;
+            }
+        }
+    }
+    return values;
+}
+
+/**
+ * Fill in the settings that a light in a scene file leaves out with their defaults
+ * 
+ * @param {object} light A light from the scene file
+ * 
+ * @returns {object} {type, falloff, radius, width, height, spread}
+ */
+function getLightSettings(light) {
+    let settings = {};
+    for (let key in LIGHT_DEFAULTS) {
+        settings[key] = key in light ? light[key] : LIGHT_DEFAULTS[key];
+    }
+    return settings;
+}
+
+/**
+ * Fill in the settings that a physically based material
+ * in a scene file leaves out with their defaults
+ * 
+ * @param {object} material A material from the scene file, whose type is "pbr"
+ * 
+ * @returns {object} {baseColor, metallic, roughness, ior, emission}
+ */
+function getPBRSettings(material) {
+    let settings = {};
+    for (let key in PBR_DEFAULTS) {
+        settings[key] = key in material ? material[key] : PBR_DEFAULTS[key];
+    }
+    return settings;
+}
+
+/**
+ * Fill in the camera model settings that a camera
+ * in a scene file leaves out with their defaults
+ * 
+ * @param {object} c A camera from the scene file
+ * 
+ * @returns {object} {projection, aperture, focusDistance, viewWidth, fisheyeFov}
+ */
+function getCameraSettings(c) {
+    let settings = {};
+    for (let key in CAMERA_DEFAULTS) {
+        settings[key] = key in c ? c[key] : CAMERA_DEFAULTS[key];
+    }
+    return settings;
+}
+
+/**
+ * Get the values of the uniforms that choose and set up the camera model
+ * 
+ * @param {object} settings {projection, aperture, focusDistance, viewWidth, fisheyeFov},
+ *                          as returned by getCameraSettings
+ * @param {float} aspect The height of the image over its width
+ * 
+ * @returns {object} A dictionary from uniform names to values
+ */
+function getCameraUniforms(settings, aspect) {
+    return {projection:Math.max(0, CAMERA_PROJECTIONS.indexOf(settings.projection)),
+            aperture:settings.aperture, focusDistance:settings.focusDistance,
+            viewWidth:settings.viewWidth, fisheyeFov:settings.fisheyeFov, aspect:aspect};
+}
+
+/**
+ * Compute the values of the uniforms that say where the objects
+ * of each shape type are in the objects texture
+ *
+ * @param {object} packed The packed objects, as returned by packObjects
+ *
+ * @returns {object} A dictionary from uniform names to values
+ */
+function getObjectUniforms(packed) {
+    let values = {numObjects:packed.objects.length, objectsHeight:packed.height,
+                  csgStart:packed.csgStart};
+    for (let i = 0; i < SHAPE_TYPES.length; i++) {
+        values["shapeStart[" + i + "]"] = packed.start[i];
+        values["shapeCount[" + i + "]"] = packed.count[i];
+    }
+    return values;
+}
+
+/**
+ * Generate the ray tracing fragment shader for a scene, and the data
+ * that goes along with it.  The shader only depends on which shape
+ * types are in the scene, on its CSG nodes, and on how many image
+ * textures, lights and materials there are
+ *
+ * @param {object} scene The scene
+ * @param {string} fragmentSrcPre The contents of raytracer.frag
+ *
+ * @returns {object} {source: The full fragment shader source,
+ *                    rayIntersectScene: Just the generated rayIntersectScene function
+ *                                       and the CSG functions that it calls,
+ *                    uniforms: A manifest of every uniform in the shader, as
+ *                              returned by parseUniforms,
+ *                    materials: The names of the materials in index order,
+ *                    textures: The filenames of the image textures in index order,
+ *                    meshes: The packed mesh data, as returned by packMeshes,
+ *                    objects: The packed objects, as returned by packObjects}
+ */
+function compileScene(scene, fragmentSrcPre) {
+    let materials = indexMaterials(scene);
+    let textures = indexTextures(scene);
+    let meshes = getSceneMeshes(scene);
+    let packedMeshes = packMeshes(meshes);
+    let meshRoots = new Map();
+    meshes.forEach(function(mesh, i) {
+        meshRoots.set(mesh, packedMeshes.roots[i]);
+    });
+    let packedObjects = packObjects(getSceneObjects(scene, meshRoots));
+
+    let shapeTypes = [];
+    for (let i = 0; i < SHAPE_TYPES.length; i++) {
+        if (packedObjects.count[i] > 0) {
+            shapeTypes.push(i);
+        }
+    }
+    let csgObjects = packedObjects.objects.slice(packedObjects.csgStart);
+    let parts = getRayIntersectSceneParts(shapeTypes, csgObjects, packedObjects.csgStart);
+    let rayIntersectSceneStr = parts.map(function(part) {
+        return part.src;
+    }).join("");
+    let source = fragmentSrcPre.replace(DEFAULT_RAY_INTERSECT_SCENE_SRC, rayIntersectSceneStr);
+    // GLSL doesn't allow empty arrays, so there's always at least one sampler,
+    // light and material, even though the loops over them stop right away
+    let numLights = scene.lights === null || scene.lights === undefined ? 0 : scene.lights.length;
+    source = source.replace(/#define MAX_TEXTURES \d+/, "#define MAX_TEXTURES " + Math.max(1, textures.length));
+    source = source.replace(/#define MAX_LIGHTS \d+/, "#define MAX_LIGHTS " + Math.max(1, numLights));
+    source = source.replace(/#define MAX_MATERIALS \d+/, "#define MAX_MATERIALS " + Math.max(1, materials.length));
+    return {source:source, rayIntersectScene:rayIntersectSceneStr,
+            lineOrigins:getShaderLineOrigins(scene, fragmentSrcPre, parts, packedObjects.objects),
+            uniforms:parseUniforms(source), materials:materials, textures:textures,
+            numLights:numLights,
+            meshes:packedMeshes, objects:packedObjects};
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_RAY_INTERSECT_SCENE_SRC: DEFAULT_RAY_INTERSECT_SCENE_SRC,
+        MAX_OBJECTS: MAX_OBJECTS,
+        TEXELS_PER_OBJECT: TEXELS_PER_OBJECT,
+        OBJECTS_TEXTURE_WIDTH: OBJECTS_TEXTURE_WIDTH,
+        SHAPE_TYPES: SHAPE_TYPES,
+        CSG_SHAPE_TYPES: CSG_SHAPE_TYPES,
+        CSG_OPERATIONS: CSG_OPERATIONS,
+        TEXTURE_MAPS: TEXTURE_MAPS,
+        PATTERN_TYPES: PATTERN_TYPES,
+        LIGHT_TYPES: LIGHT_TYPES,
+        LIGHT_DEFAULTS: LIGHT_DEFAULTS,
+        MATERIAL_MODELS: MATERIAL_MODELS,
+        PBR_DEFAULTS: PBR_DEFAULTS,
+        CAMERA_PROJECTIONS: CAMERA_PROJECTIONS,
+        CAMERA_DEFAULTS: CAMERA_DEFAULTS,
+        indexMaterials: indexMaterials,
+        indexTextures: indexTextures,
+        getSceneMeshes: getSceneMeshes,
+        getShapeParams: getShapeParams,
+        getSceneObjects: getSceneObjects,
+        packObjects: packObjects,
+        updateObjectTransforms: updateObjectTransforms,
+        updateObjectShape: updateObjectShape,
+        getRayIntersectSceneParts: getRayIntersectSceneParts,
+        getRayIntersectSceneSrc: getRayIntersectSceneSrc,
+        getScenePaths: getScenePaths,
+        getShaderLineOrigins: getShaderLineOrigins,
+        parseShaderLog: parseShaderLog,
+        getShaderLimitProblems: getShaderLimitProblems,
+        parseUniforms: parseUniforms,
+        getSceneUniforms: getSceneUniforms,
+        getLightSettings: getLightSettings,
+        getPBRSettings: getPBRSettings,
+        getObjectUniforms: getObjectUniforms,
+        getCameraSettings: getCameraSettings,
+        getCameraUniforms: getCameraUniforms,
+        compileScene: compileScene
+    };
+}
@@ -0,0 +1,648 @@
+/**
+    Check a scene that has been parsed from JSON against a schema of the
+    scene format (materials, lights, cameras and a tree of nodes with
+    shapes and transforms) before it gets handed to SceneCanvas.setupScene,
+    so that every problem can be reported at once, along with the path to
+    where it is in the file, e.g.
+
+        children[0].children[1].shapes[0].material: unknown material "shinygren"
+
+    Problems are either errors, which would stop the scene from being drawn
+    correctly, or warnings, like misspelled properties that will be ignored
+ */
+
+/**
+ * The schema of the scene format.  Each entry describes one kind of value:
+ *  type: "object", "map" (an object with arbitrary keys), "array", "number",
+ *        "string", "boolean" or "materialName"
+ *  properties: For objects, the schema of each allowed property
+ *  required: For objects, the properties that must be there
+ *  discriminator, variants: For objects whose allowed properties depend on
+ *                           the value of one property, like a shape's type
+ *  values: For maps, the schema of every value
+ *  items: For arrays, the schema of every item
+ *  length, minLength: For arrays, the exact or minimum number of items
+ *  min, exclusiveMin: For numbers, the smallest allowed value
+ *  max: For numbers, the largest allowed value
+ *  oneOf: For strings, the allowed values
+ *  ref: The name of another entry in the schema
+ */
+const SCENE_SCHEMA = {
+    vec3: {type:"array", length:3, items:{type:"number"}},
+    quat: {type:"array", length:4, items:{type:"number"}},
+    mat4: {type:"array", length:16, items:{type:"number"}},
+    positive: {type:"number", exclusiveMin:0},
+    scene: {
+        type:"object",
+        properties: {
+            name: {type:"string"},
+            materials: {type:"map", values:{ref:"material"}},
+            lights: {type:"array", items:{ref:"light"}},
+            cameras: {type:"array", items:{ref:"camera"}},
+            children: {type:"array", items:{ref:"node"}},
+            animation: {ref:"animation"},
+            environment: {ref:"environment"}
+        }
+    },
+    material: {
+        type:"object",
+        properties: {
+            kd: {ref:"vec3"},
+            ks: {ref:"vec3"},
+            ka: {ref:"vec3"},
+            kt: {ref:"vec3"},
+            shininess: {type:"number", min:0},
+            refraction: {ref:"positive"},
+            special: {type:"boolean"},
+            pattern: {ref:"pattern"},
+            kdMap: {type:"string"},
+            normalMap: {type:"string"},
+            bumpMap: {type:"string"},
+            bumpScale: {type:"number"},
+            type: {type:"string"},
+            emission: {ref:"vec3"}
+        },
+        discriminator: "type",
+        variants: {
+            phong: {},
+            pbr: {baseColor:{ref:"vec3"}, metallic:{type:"number", min:0, max:1},
+                  roughness:{type:"number", min:0, max:1}, ior:{ref:"positive"}}
+        }
+    },
+    pattern: {
+        type:"object",
+        required: ["type"],
+        properties: {
+            type: {type:"string"},
+            color: {ref:"vec3"},
+            scale: {ref:"positive"}
+        },
+        discriminator: "type",
+        variants: {
+            checker: {},
+            stripes: {},
+            noise: {}
+        }
+    },
+    environment: {
+        type:"object",
+        required: ["type"],
+        properties: {
+            type: {type:"string"},
+            intensity: {type:"number", min:0},
+            ambient: {type:"number", min:0}
+        },
+        discriminator: "type",
+        variants: {
+            color: {color:{ref:"vec3"}},
+            sky: {zenith:{ref:"vec3"}, horizon:{ref:"vec3"}, ground:{ref:"vec3"}, sunDirection:{ref:"vec3"},
+                  sunColor:{ref:"vec3"}, sunSize:{type:"number", min:0}},
+            hdr: {src:{type:"string"}, rotation:{type:"number"}}
+        },
+        variantRequired: {
+            hdr: ["src"]
+        }
+    },
+    light: {
+        type:"object",
+        properties: {
+            pos: {ref:"vec3"},
+            color: {ref:"vec3"},
+            atten: {ref:"vec3"},
+            towards: {ref:"vec3"},
+            angle: {type:"number", min:0},
+            type: {type:"string"},
+            falloff: {type:"number", min:0}
+        },
+        discriminator: "type",
+        variants: {
+            point: {},
+            directional: {spread:{type:"number", min:0}},
+            rect: {width:{ref:"positive"}, height:{ref:"positive"}},
+            sphere: {radius:{ref:"positive"}}
+        }
+    },
+    camera: {
+        type:"object",
+        properties: {
+            pos: {ref:"vec3"},
+            rot: {ref:"quat"},
+            fovx: {ref:"positive"},
+            projection: {type:"string", oneOf:["perspective", "orthographic", "thinlens", "fisheye", "panorama"]},
+            aperture: {type:"number", min:0},
+            focusDistance: {ref:"positive"},
+            viewWidth: {ref:"positive"},
+            fisheyeFov: {ref:"positive"}
+        }
+    },
+    animation: {
+        type:"object",
+        properties: {
+            fps: {ref:"positive"},
+            cameras: {type:"array", items:{ref:"cameraTrack"}},
+            lights: {type:"array", items:{ref:"lightTrack"}},
+            nodes: {type:"array", items:{ref:"nodeTrack"}}
+        }
+    },
+    cameraTrack: {
+        type:"object",
+        required: ["keyframes"],
+        properties: {
+            camera: {type:"number", min:0},
+            keyframes: {type:"array", minLength:1, items:{
+                type:"object",
+                required: ["time"],
+                properties: {
+                    time: {type:"number", min:0},
+                    pos: {ref:"vec3"},
+                    rot: {ref:"quat"}
+                }
+            }}
+        }
+    },
+    lightTrack: {
+        type:"object",
+        required: ["keyframes"],
+        properties: {
+            light: {type:"number", min:0},
+            keyframes: {type:"array", minLength:1, items:{
+                type:"object",
+                required: ["time"],
+                properties: {
+                    time: {type:"number", min:0},
+                    pos: {ref:"vec3"},
+                    color: {ref:"vec3"}
+                }
+            }}
+        }
+    },
+    nodeTrack: {
+        type:"object",
+        required: ["node", "keyframes"],
+        properties: {
+            node: {type:"string"},
+            keyframes: {type:"array", minLength:1, items:{
+                type:"object",
+                required: ["time"],
+                properties: {
+                    time: {type:"number", min:0},
+                    transform: {ref:"mat4"}
+                }
+            }}
+        }
+    },
+    node: {
+        type:"object",
+        properties: {
+            name: {type:"string"},
+            transform: {ref:"mat4"},
+            csg: {type:"string", oneOf:["union", "intersection", "difference"]},
+            shapes: {type:"array", items:{ref:"shape"}},
+            children: {type:"array", items:{ref:"node"}}
+        }
+    },
+    shape: {
+        type:"object",
+        required: ["type"],
+        properties: {
+            type: {type:"string"},
+            material: {type:"materialName"}
+        },
+        discriminator: "type",
+        variants: {
+            box: {width:{ref:"positive"}, height:{ref:"positive"}, length:{ref:"positive"}, center:{ref:"vec3"}},
+            sphere: {radius:{ref:"positive"}, center:{ref:"vec3"}},
+            cylinder: {radius:{ref:"positive"}, height:{ref:"positive"}, center:{ref:"vec3"}},
+            cone: {radius:{ref:"positive"}, height:{ref:"positive"}, center:{ref:"vec3"}},
+            mesh: {filename:{type:"string"}, src:{type:"string"},
+                   shading:{type:"string", oneOf:["smooth", "flat"]}},
+            plane: {width:{type:"number", min:0}, length:{type:"number", min:0}, center:{ref:"vec3"}},
+            disk: {radius:{ref:"positive"}, center:{ref:"vec3"}},
+            torus: {radius:{ref:"positive"}, tubeRadius:{ref:"positive"}, center:{ref:"vec3"}},
+            capsule: {radius:{ref:"positive"}, height:{type:"number", min:0}, center:{ref:"vec3"}},
+            quadric: {coefficients:{type:"array", length:10, items:{type:"number"}},
+                      size:{ref:"positive"}, center:{ref:"vec3"}},
+            polygon: {vertices:{type:"array", minLength:3, items:{ref:"vec3"}}}
+        },
+        variantRequired: {
+            polygon: ["vertices"]
+        }
+    }
+};
+
+// Shapes that are only drawn in the object-first GLSL view, so
+// they don't need a material for the ray tracer
+const VALIDATOR_PREVIEW_ONLY_SHAPES = ["polygon"];
+// Mesh files that a mesh shape's src can point to (see MESH_IMPORT_FORMATS in meshimport.js)
+const VALIDATOR_MESH_FORMATS = ["obj", "ply", "stl"];
+// Shapes that can be operands of CSG nodes (see CSG_SHAPE_TYPES in scenecompiler.js)
+const VALIDATOR_CSG_SHAPES = ["box", "sphere", "cylinder", "cone"];
+// Material properties that physically based materials replace (see getSceneUniforms in scenecompiler.js)
+const VALIDATOR_PHONG_PROPERTIES = ["kd", "ks", "kt", "shininess", "refraction"];
+
+/**
+ * Describe a value for an error message
+ *
+ * @param {any} value The value
+ *
+ * @returns {string} A short description
+ */
+function describeSceneValue(value) {
+    if (Array.isArray(value)) {
+        return "an array of length " + value.length;
+    }
+    if (value === null) {
+        return "null";
+    }
+    if (typeof value == "object") {
+        return "an object";
+    }
+    let s = JSON.stringify(value);
+    if (s.length > 30) {
+        s = s.substring(0, 27) + "...";
+    }
+    return s;
+}
+
+/**
+ * Compute the edit distance between two strings, for suggesting
+ * what a misspelled name was supposed to be
+ *
+ * @param {string} a The first string
+ * @param {string} b The second string
+ *
+ * @returns {int} The number of insertions, deletions and substitutions
+ *                it takes to turn a into b
+ */
+function getEditDistance(a, b) {
+    let prev = [];
+    for (let j = 0; j <= b.length; j++) {
+        prev.push(j);
+    }
+    for (let i = 1; i <= a.length; i++) {
+        let curr = [i];
+        for (let j = 1; j <= b.length; j++) {
+            let cost = a[i-1] == b[j-1] ? 0 : 1;
+            curr.push(Math.min(prev[j]+1, curr[j-1]+1, prev[j-1]+cost));
+        }
+        prev = curr;
+    }
+    return prev[b.length];
+}
+
+/**
+ * Find the name in a list that's closest to a misspelled name
+ *
+ * @param {string} name The misspelled name
+ * @param {list of string} names The names it could have been
+ *
+ * @returns {string} A hint like ' (did you mean "shinygreen"?)', or
+ *                   an empty string if nothing is close enough
+ */
+function getSpellingHint(name, names) {
+    let best = null;
+    let bestDist = Math.max(2, Math.floor(name.length/3)) + 1;
+    names.forEach(function(other) {
+        let d = getEditDistance(name, other);
+        if (d < bestDist) {
+            best = other;
+            bestDist = d;
+        }
+    });
+    if (best === null) {
+        return "";
+    }
+    return " (did you mean \"" + best + "\"?)";
+}
+
+/**
+ * Add an object property or array index to a JSON path
+ *
+ * @param {string} path The path so far
+ * @param {string or int} key The property name or array index
+ *
+ * @returns {string} The extended path
+ */
+function joinScenePath(path, key) {
+    if (typeof key == "number") {
+        return path + "[" + key + "]";
+    }
+    if (path.length == 0) {
+        return key;
+    }
+    return path + "." + key;
+}
+
+/**
+ * Check a value against an entry of the schema, recursing
+ * into objects and arrays
+ *
+ * @param {any} value The value
+ * @param {object} schema The schema entry
+ * @param {string} path The JSON path to the value
+ * @param {list} materials The names of the materials that shapes can use
+ * @param {list} problems The list that problems are added to
+ */
+function validateSceneValue(value, schema, path, materials, problems) {
+    let report = function(p, message, severity) {
+        problems.push({path:p, message:message, severity:severity === undefined ? "error" : severity});
+    };
+    while ('ref' in schema) {
+        schema = SCENE_SCHEMA[schema.ref];
+    }
+    if (schema.type == "number") {
+        if (typeof value != "number" || !isFinite(value)) {
+            report(path, "expected a number but got " + describeSceneValue(value));
+        }
+        else if ('min' in schema && value < schema.min) {
+            report(path, "must be at least " + schema.min + " but is " + value);
+        }
+        else if ('exclusiveMin' in schema && value <= schema.exclusiveMin) {
+            report(path, "must be greater than " + schema.exclusiveMin + " but is " + value);
+        }
+        else if ('max' in schema && value > schema.max) {
+            report(path, "must be at most " + schema.max + " but is " + value);
+        }
+    }
+    else if (schema.type == "string" || schema.type == "boolean") {
+        if (typeof value != schema.type) {
+            report(path, "expected a " + schema.type + " but got " + describeSceneValue(value));
+        }
+        else if ('oneOf' in schema && schema.oneOf.indexOf(value) == -1) {
+            report(path, "unknown value \"" + value + "\"" + getSpellingHint(value, schema.oneOf) +
+                   ".  Expected one of " + schema.oneOf.join(", "));
+        }
+    }
+    else if (schema.type == "materialName") {
+        if (typeof value != "string") {
+            report(path, "expected the name of a material but got " + describeSceneValue(value));
+        }
+        else if (materials.indexOf(value) == -1) {
+            report(path, "unknown material \"" + value + "\"" + getSpellingHint(value, materials));
+        }
+    }
+    else if (schema.type == "array") {
+        if (!Array.isArray(value)) {
+            report(path, "expected an array but got " + describeSceneValue(value));
+            return;
+        }
+        if ('length' in schema && value.length != schema.length) {
+            report(path, "expected " + schema.length + " numbers but got " + value.length);
+            return;
+        }
+        if ('minLength' in schema && value.length < schema.minLength) {
+            report(path, "expected at least " + schema.minLength + " items but got " + value.length);
+        }
+        value.forEach(function(item, i) {
+            validateSceneValue(item, schema.items, joinScenePath(path, i), materials, problems);
+        });
+    }
+    else if (schema.type == "map") {
+        if (value === null || typeof value != "object" || Array.isArray(value)) {
+            report(path, "expected an object but got " + describeSceneValue(value));
+            return;
+        }
+        for (let key in value) {
+            if (Object.prototype.hasOwnProperty.call(value, key)) {
+                validateSceneValue(value[key], schema.values, joinScenePath(path, key), materials, problems);
+            }
+        }
+    }
+    else if (schema.type == "object") {
+        if (value === null || typeof value != "object" || Array.isArray(value)) {
+            report(path, "expected an object but got " + describeSceneValue(value));
+            return;
+        }
+        let properties = Object.assign({}, schema.properties);
+        let required = 'required' in schema ? schema.required.slice() : [];
+        if ('discriminator' in schema) {
+            let kind = value[schema.discriminator];
+            let kinds = Object.keys(schema.variants);
+            if (typeof kind == "string" && !(kind in schema.variants)) {
+                report(joinScenePath(path, schema.discriminator), "unknown " + schema.discriminator +
+                       " \"" + kind + "\"" + getSpellingHint(kind, kinds) +
+                       ".  Expected one of " + kinds.join(", "));
+                return;
+            }
+            if (kind in schema.variants) {
+                Object.assign(properties, schema.variants[kind]);
+                if ('variantRequired' in schema && kind in schema.variantRequired) {
+                    required = required.concat(schema.variantRequired[kind]);
+                }
+            }
+        }
+        required.forEach(function(key) {
+            if (!(key in value)) {
+                report(joinScenePath(path, key), "missing");
+            }
+        });
+        let names = Object.keys(properties);
+        for (let key in value) {
+            if (!Object.prototype.hasOwnProperty.call(value, key)) {
+                continue;
+            }
+            if (key in properties) {
+                validateSceneValue(value[key], properties[key], joinScenePath(path, key), materials, problems);
+            }
+            else {
+                report(joinScenePath(path, key), "unknown property, so it will be ignored" +
+                       getSpellingHint(key, names), "warning");
+            }
+        }
+    }
+}
+
+/**
+ * Check that the tracks of a scene's animation refer to
+ * cameras, lights and nodes that are in the scene
+ *
+ * @param {object} scene The scene, as parsed from JSON
+ * @param {list} problems The list that problems are added to
+ */
+function checkAnimationTargets(scene, problems) {
+    let animation = scene.animation;
+    if (animation === null || typeof animation != "object") {
+        return;
+    }
+    [["cameras", "camera"], ["lights", "light"]].forEach(function(kind) {
+        let tracks = animation[kind[0]];
+        if (!Array.isArray(tracks)) {
+            return;
+        }
+        // Scenes without cameras get a default one
+        let count = Array.isArray(scene[kind[0]]) ? scene[kind[0]].length : 0;
+        if (kind[0] == "cameras") {
+            count = Math.max(count, 1);
+        }
+        tracks.forEach(function(track, i) {
+            if (track === null || typeof track != "object") {
+                return;
+            }
+            let idx = kind[1] in track ? track[kind[1]] : 0;
+            if (typeof idx == "number" && (idx >= count || Math.floor(idx) != idx)) {
+                problems.push({path:joinScenePath(joinScenePath("animation." + kind[0], i), kind[1]),
+                               message:"there's no " + kind[1] + " " + idx + " in the scene, which has " + count,
+                               severity:"error"});
+            }
+        });
+    });
+    if (Array.isArray(animation.nodes)) {
+        let names = [];
+        let addNames = function(nodes) {
+            if (!Array.isArray(nodes)) {
+                return;
+            }
+            nodes.forEach(function(node) {
+                if (!(node === null) && typeof node == "object") {
+                    if (typeof node.name == "string") {
+                        names.push(node.name);
+                    }
+                    addNames(node.children);
+                }
+            });
+        };
+        addNames(scene.children);
+        animation.nodes.forEach(function(track, i) {
+            if (!(track === null) && typeof track == "object" && typeof track.node == "string" &&
+                names.indexOf(track.node) == -1) {
+                problems.push({path:joinScenePath(joinScenePath("animation.nodes", i), "node"),
+                               message:"there's no node named \"" + track.node + "\"" +
+                                       getSpellingHint(track.node, names) + ", so this track does nothing",
+                               severity:"warning"});
+            }
+        });
+    }
+}
+
+/**
+ * Check a scene against the scene format
+ *
+ * @param {object} scene The scene, as parsed from JSON
+ * @param {list} importedMaterials The names of materials that the scene's
+ *                                 meshes bring along, as returned by
+ *                                 getMeshMaterialNames in meshimport.js (optional)
+ *
+ * @returns {list} A list of {path, message, severity}, where severity
+ *                 is "error" or "warning".  The list is empty if there
+ *                 are no problems
+ */
+function validateScene(scene, importedMaterials) {
+    let problems = [];
+    let materials = [];
+    if (!(scene === null) && typeof scene == "object" && !(scene.materials === null) &&
+        typeof scene.materials == "object" && !Array.isArray(scene.materials)) {
+        materials = Object.keys(scene.materials);
+    }
+    if (!(importedMaterials === undefined)) {
+        materials = materials.concat(importedMaterials);
+    }
+    validateSceneValue(scene, SCENE_SCHEMA.scene, "", materials, problems);
+    // Mesh shapes need a file to load, and shapes without materials are
+    // skipped by the ray tracer, as are shapes in CSG nodes that can't be combined
+    let checkShapes = function(nodes, path, inCSG) {
+        if (!Array.isArray(nodes)) {
+            return;
+        }
+        nodes.forEach(function(node, i) {
+            if (node === null || typeof node != "object") {
+                return;
+            }
+            let nodePath = joinScenePath(path, i);
+            let nodeInCSG = inCSG || 'csg' in node;
+            if (Array.isArray(node.shapes)) {
+                node.shapes.forEach(function(shape, j) {
+                    if (shape === null || typeof shape != "object") {
+                        return;
+                    }
+                    let shapePath = joinScenePath(joinScenePath(nodePath, "shapes"), j);
+                    let src = typeof shape.src == "string" ? shape.src : "";
+                    let format = src.split(".").pop().toLowerCase();
+                    if (shape.type == "mesh") {
+                        if (!('filename' in shape) && !('src' in shape)) {
+                            problems.push({path:shapePath, message:"needs a filename or a src", severity:"error"});
+                        }
+                        else if ('filename' in shape && 'src' in shape) {
+                            problems.push({path:shapePath, message:"has both a filename and a src, so the src will be used",
+                                           severity:"warning"});
+                        }
+                        if ('src' in shape && VALIDATOR_MESH_FORMATS.indexOf(format) == -1) {
+                            problems.push({path:joinScenePath(shapePath, "src"),
+                                           message:"can't import \"" + src + "\".  Expected one of " +
+                                                   VALIDATOR_MESH_FORMATS.join(", "),
+                                           severity:"error"});
+                        }
+                    }
+                    // OBJ files can bring their own materials
+                    if (!('material' in shape) && VALIDATOR_PREVIEW_ONLY_SHAPES.indexOf(shape.type) == -1 &&
+                        !(shape.type == "mesh" && format == "obj")) {
+                        problems.push({path:shapePath,
+                                       message:"no material, so the ray tracer will skip this shape",
+                                       severity:"warning"});
+                    }
+                    else if (nodeInCSG && VALIDATOR_CSG_SHAPES.indexOf(shape.type) == -1) {
+                        problems.push({path:shapePath,
+                                       message:"only " + VALIDATOR_CSG_SHAPES.join(", ") +
+                                               " shapes can be part of a CSG node, so the ray tracer will skip this shape",
+                                       severity:"warning"});
+                    }
+                });
+            }
+            checkShapes(node.children, joinScenePath(nodePath, "children"), nodeInCSG);
+        });
+    };
+    if (!(scene === null) && typeof scene == "object") {
+        checkShapes(scene.children, "children", false);
+        checkAnimationTargets(scene, problems);
+        // Physically based materials get their color and reflections from
+        // baseColor, metallic, roughness and ior instead of the Phong coefficients
+        let materials = scene.materials;
+        if (!(materials === null) && typeof materials == "object" && !Array.isArray(materials)) {
+            for (let name in materials) {
+                let material = materials[name];
+                if (material === null || typeof material != "object" || material.type != "pbr") {
+                    continue;
+                }
+                VALIDATOR_PHONG_PROPERTIES.forEach(function(key) {
+                    if (key in material) {
+                        problems.push({path:joinScenePath(joinScenePath("materials", name), key),
+                                       message:"only applies to phong materials, so it will be ignored",
+                                       severity:"warning"});
+                    }
+                });
+            }
+        }
+        // Environment maps are decoded in Javascript, which only reads Radiance HDR files
+        let environment = scene.environment;
+        if (!(environment === null) && typeof environment == "object" && environment.type == "hdr" &&
+            typeof environment.src == "string" && environment.src.split(".").pop().toLowerCase() != "hdr") {
+            problems.push({path:"environment.src", message:"can't load \"" + environment.src +
+                                                           "\".  Expected a Radiance .hdr file",
+                           severity:"error"});
+        }
+    }
+    return problems;
+}
+
+/**
+ * Turn a problem into a line of text
+ *
+ * @param {object} problem A problem, as returned by validateScene
+ *
+ * @returns {string} The problem, e.g. 'children[0].shapes[0].material: unknown material "shinygren"'
+ */
+function formatSceneProblem(problem) {
+    let path = problem.path.length == 0 ? "(scene)" : problem.path;
+    let s = path + ": " + problem.message;
+    if (problem.severity == "warning") {
+        s = "Warning: " + s;
+    }
+    return s;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SCENE_SCHEMA: SCENE_SCHEMA,
+        validateScene: validateScene,
+        formatSceneProblem: formatSceneProblem
+    };
+}
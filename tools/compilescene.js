@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/**
+    Print the ray tracing fragment shader that a scene file compiles to, e.g.
+
+        node tools/compilescene.js sample-scene.json > scene.frag
+
+    Options
+        --scene             Only print the generated rayIntersectScene function
+        --uniforms          Print the uniform manifest and the values of the
+                            light, material, object and environment uniforms
+                            as JSON instead
+        --objects           Print the objects that go into the objects texture
+                            as JSON instead
+        --meshes <dir>      Directory that mesh filenames are relative to
+                            (default ggslac/meshes).  Mesh srcs and environment
+                            maps are relative to the scene file
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {setupHeadlessScene, makeHeadlessMesh, loadOFFMesh} = require("../headlessscene.js");
+const {getMeshMaterialNames, importSceneMeshes, addImportedMeshes} = require("../meshimport.js");
+const {loadSceneEnvironment, getEnvironmentMaps, getEnvironmentUniforms} = require("../environment.js");
+const {compileScene, getSceneUniforms, getObjectUniforms, SHAPE_TYPES} = require("../scenecompiler.js");
+const {validateScene, formatSceneProblem} = require("../scenevalidator.js");
+
+function main(argv) {
+    let positional = [];
+    let opts = {scene:false, uniforms:false, objects:false,
+                meshes:path.join(__dirname, "..", "ggslac", "meshes")};
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+        if (arg == "--scene" || arg == "--uniforms" || arg == "--objects") {
+            opts[arg.substring(2)] = true;
+        }
+        else if (arg.substring(0, 2) == "--") {
+            let key = arg.substring(2);
+            if (!(key in opts)) {
+                throw new Error("Unknown option " + arg);
+            }
+            opts[key] = argv[++i];
+        }
+        else {
+            positional.push(arg);
+        }
+    }
+    if (positional.length < 1) {
+        console.error("Usage: node tools/compilescene.js <scene.json> [options]");
+        process.exit(1);
+    }
+    // Warnings from setting up and compiling the scene go to stderr,
+    // so that stdout only has the shader
+    let print = console.log;
+    console.log = console.error;
+    let scene = JSON.parse(fs.readFileSync(positional[0], "utf8"));
+    // Meshes and environment maps are relative to the scene file
+    let loadFile = function(src) {
+        let filename = path.join(path.dirname(positional[0]), src);
+        return fs.existsSync(filename) ? new Uint8Array(fs.readFileSync(filename)) : null;
+    };
+    let problems = validateScene(scene, getMeshMaterialNames(scene, loadFile));
+    problems.forEach(function(problem) {
+        console.error(formatSceneProblem(problem));
+    });
+    if (problems.some(function(problem) { return problem.severity == "error"; })) {
+        process.exit(1);
+    }
+    importSceneMeshes(scene, loadFile);
+    loadSceneEnvironment(scene, loadFile);
+    setupHeadlessScene(scene, {
+        loadMesh:function(filename) {
+            return loadOFFMesh(fs.readFileSync(path.join(opts.meshes, filename), "utf8"));
+        }
+    });
+    addImportedMeshes(scene, makeHeadlessMesh);
+    let fragmentSrcPre = fs.readFileSync(path.join(__dirname, "..", "raytracer.frag"), "utf8");
+    let compiled = compileScene(scene, fragmentSrcPre);
+    if (opts.uniforms) {
+        let values = Object.assign(getSceneUniforms(scene), getObjectUniforms(compiled.objects),
+                                   getEnvironmentUniforms(getEnvironmentMaps(scene)));
+        for (let name in values) {
+            values[name] = typeof values[name] == "number" ? values[name] : Array.from(values[name]);
+        }
+        print(JSON.stringify({uniforms:compiled.uniforms, materials:compiled.materials,
+                                    values:values}, null, 2));
+    }
+    else if (opts.objects) {
+        let objects = compiled.objects.objects.map(function(object) {
+            return {id:object.id, type:SHAPE_TYPES[object.shapeType].type,
+                    material:compiled.materials[object.mIdx], params:object.params,
+                    center:Array.from(object.center), transform:Array.from(object.transform)};
+        });
+        print(JSON.stringify(objects, null, 2));
+    }
+    else if (opts.scene) {
+        print(compiled.rayIntersectScene);
+    }
+    else {
+        print(compiled.source);
+    }
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+/**
+    Render a scene file with the Javascript reference ray tracer
+    and save the result as a PNG, e.g.
+
+        node tools/reftrace.js sample-scene.json out.png --width 400 --height 300
+
+    Options
+        --width <int>       Width of the image (default 800)
+        --height <int>      Height of the image (default 600)
+        --camera <int>      Index of the camera in the scene's cameras list (default 0)
+        --samples <int>     Samples per pixel (default 1)
+        --beacon <float>    Radius of point lights for soft shadows (default 0, hard shadows)
+        --seed <int>        Seed for the random numbers used by soft shadows
+        --meshes <dir>      Directory that mesh filenames are relative to
+                            (default ggslac/meshes).  Mesh srcs and environment
+                            maps are relative to the scene file
+        --projection <name> Camera model (perspective, orthographic, thinlens, fisheye
+                            or panorama), instead of the one the scene's camera has
+        --orthographic      Same as --projection orthographic
+        --showLights        Draw the light beacons
+        --frames            Render every frame of the scene's animation, to
+                            out_0000.png, out_0001.png, ..., or into one zip
+                            file of PNGs if the output ends in .zip
+ */
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const {setupHeadlessScene, makeHeadlessMesh, loadOFFMesh} = require("../headlessscene.js");
+const {importSceneMeshes, addImportedMeshes} = require("../meshimport.js");
+const {loadSceneEnvironment, getEnvironmentMaps} = require("../environment.js");
+const {RefTracer} = require("../reftracer.js");
+const {CAMERA_PROJECTIONS, getCameraSettings} = require("../scenecompiler.js");
+const {getAnimationFps, getAnimationFrameCount, getFrameFilename, applyAnimation} = require("../animation.js");
+const {crc32, makeZip} = require("../zipwriter.js");
+
+/**
+ * Encode an RGBA image as a PNG
+ *
+ * @param {object} image {width, height, data: RGBA values, rows from top to bottom}
+ *
+ * @returns {Buffer} The PNG file
+ */
+function encodePNG(image) {
+    let chunk = function(type, data) {
+        let len = Buffer.alloc(4);
+        len.writeUInt32BE(data.length);
+        let body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+        let crc = Buffer.alloc(4);
+        crc.writeUInt32BE(crc32(body));
+        return Buffer.concat([len, body, crc]);
+    };
+    let header = Buffer.alloc(13);
+    header.writeUInt32BE(image.width, 0);
+    header.writeUInt32BE(image.height, 4);
+    header[8] = 8; // Bit depth
+    header[9] = 6; // RGBA
+    // Each row starts with a filter type byte of 0
+    let stride = image.width*4;
+    let raw = Buffer.alloc((stride+1)*image.height);
+    for (let row = 0; row < image.height; row++) {
+        Buffer.from(image.data.buffer, image.data.byteOffset + row*stride, stride).copy(raw, row*(stride+1)+1);
+    }
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        chunk("IHDR", header),
+        chunk("IDAT", zlib.deflateSync(raw)),
+        chunk("IEND", Buffer.alloc(0))
+    ]);
+}
+
+function main(argv) {
+    let positional = [];
+    let opts = {width:800, height:600, camera:0, samples:1, beacon:0, seed:1,
+                meshes:path.join(__dirname, "..", "ggslac", "meshes"),
+                projection:null, orthographic:false, showLights:false, frames:false};
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+        if (arg == "--orthographic" || arg == "--showLights" || arg == "--frames") {
+            opts[arg.substring(2)] = true;
+        }
+        else if (arg.substring(0, 2) == "--") {
+            let key = arg.substring(2);
+            if (!(key in opts)) {
+                throw new Error("Unknown option " + arg);
+            }
+            opts[key] = key == "meshes" || key == "projection" ? argv[++i] : Number(argv[++i]);
+        }
+        else {
+            positional.push(arg);
+        }
+    }
+    if (positional.length < 2) {
+        console.error("Usage: node tools/reftrace.js <scene.json> <out.png> [options]");
+        process.exit(1);
+    }
+    let scene = JSON.parse(fs.readFileSync(positional[0], "utf8"));
+    // Meshes and environment maps are relative to the scene file
+    let loadFile = function(src) {
+        let filename = path.join(path.dirname(positional[0]), src);
+        return fs.existsSync(filename) ? new Uint8Array(fs.readFileSync(filename)) : null;
+    };
+    importSceneMeshes(scene, loadFile);
+    loadSceneEnvironment(scene, loadFile);
+    setupHeadlessScene(scene, {
+        pixWidth:opts.width,
+        pixHeight:opts.height,
+        loadMesh:function(filename) {
+            return loadOFFMesh(fs.readFileSync(path.join(opts.meshes, filename), "utf8"));
+        }
+    });
+    addImportedMeshes(scene, makeHeadlessMesh);
+    let camera = getCameraSettings(scene.cameras[opts.camera]);
+    if (opts.orthographic) {
+        camera.projection = "orthographic";
+    }
+    if (!(opts.projection === null)) {
+        if (CAMERA_PROJECTIONS.indexOf(opts.projection) == -1) {
+            throw new Error("Unknown projection " + opts.projection);
+        }
+        camera.projection = opts.projection;
+    }
+    // Animations don't change the environment, so it's only set up once
+    let environment = getEnvironmentMaps(scene);
+    let render = function() {
+        let tracer = new RefTracer(scene, {beaconRadius:opts.beacon, seed:opts.seed, camera:camera,
+                                           showLights:opts.showLights, environment:environment});
+        return encodePNG(tracer.render(scene.cameras[opts.camera].camera, opts.width, opts.height, opts.samples));
+    };
+    let tic = Date.now();
+    if (!opts.frames) {
+        fs.writeFileSync(positional[1], render());
+        console.log("Rendered " + positional[1] + " in " + (Date.now()-tic) + " milliseconds");
+        return;
+    }
+    if (!('animation' in scene)) {
+        throw new Error(positional[0] + " doesn't have an animation");
+    }
+    let fps = getAnimationFps(scene.animation);
+    let numFrames = getAnimationFrameCount(scene.animation);
+    let out = positional[1];
+    let zip = path.extname(out).toLowerCase() == ".zip";
+    let base = out.substring(0, out.length - path.extname(out).length);
+    let files = [];
+    for (let frame = 0; frame < numFrames; frame++) {
+        // The tracer is remade for every frame, since it
+        // copies the lights and transforms when it's made
+        applyAnimation(scene, frame/fps);
+        let name = getFrameFilename(zip ? "frame" : base, frame);
+        if (zip) {
+            files.push({name:name, data:render()});
+        }
+        else {
+            fs.writeFileSync(name, render());
+        }
+        console.log("Rendered frame " + (frame+1) + " / " + numFrames);
+    }
+    if (zip) {
+        fs.writeFileSync(out, makeZip(files));
+    }
+    console.log("Rendered " + numFrames + " frames in " + (Date.now()-tic) + " milliseconds");
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,92 @@
+/**
+    Pack files into an uncompressed ZIP archive, for saving a whole
+    image sequence as one download.  PNGs are already compressed, so
+    they're stored as they are
+ */
+
+// Every file is dated January 1st, 1980, the earliest date that ZIP files can have
+const ZIP_DOS_DATE = (1 << 5) | 1;
+
+/**
+ * Compute the CRC32 of some bytes, as needed for ZIP entries and PNG chunks
+ *
+ * @param {Uint8Array} buf The bytes
+ *
+ * @returns {int} The CRC32, as an unsigned integer
+ */
+function crc32(buf) {
+    let crc = -1;
+    for (let i = 0; i < buf.length; i++) {
+        crc ^= buf[i];
+        for (let k = 0; k < 8; k++) {
+            crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+        }
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Make a ZIP archive
+ *
+ * @param {list} files A list of {name, data: A Uint8Array}
+ *
+ * @returns {Uint8Array} The ZIP file
+ */
+function makeZip(files) {
+    let size = 22;
+    files.forEach(function(file) {
+        size += 30 + 46 + 2*file.name.length + file.data.length;
+    });
+    let out = new Uint8Array(size);
+    let view = new DataView(out.buffer);
+    let offset = 0;
+    let directory = [];
+    // Local file headers, each followed by the file
+    files.forEach(function(file) {
+        let name = new Uint8Array(file.name.length);
+        for (let i = 0; i < file.name.length; i++) {
+            name[i] = file.name.charCodeAt(i) & 0xFF;
+        }
+        let entry = {name:name, crc:crc32(file.data), size:file.data.length, offset:offset};
+        view.setUint32(offset, 0x04034B50, true);
+        view.setUint16(offset+4, 20, true); // Version needed to extract
+        view.setUint16(offset+12, ZIP_DOS_DATE, true);
+        view.setUint32(offset+14, entry.crc, true);
+        view.setUint32(offset+18, entry.size, true);
+        view.setUint32(offset+22, entry.size, true);
+        view.setUint16(offset+26, name.length, true);
+        out.set(name, offset+30);
+        out.set(file.data, offset+30+name.length);
+        offset += 30 + name.length + file.data.length;
+        directory.push(entry);
+    });
+    // Central directory
+    let directoryStart = offset;
+    directory.forEach(function(entry) {
+        view.setUint32(offset, 0x02014B50, true);
+        view.setUint16(offset+4, 20, true); // Version made by
+        view.setUint16(offset+6, 20, true); // Version needed to extract
+        view.setUint16(offset+14, ZIP_DOS_DATE, true);
+        view.setUint32(offset+16, entry.crc, true);
+        view.setUint32(offset+20, entry.size, true);
+        view.setUint32(offset+24, entry.size, true);
+        view.setUint16(offset+28, entry.name.length, true);
+        view.setUint32(offset+42, entry.offset, true);
+        out.set(entry.name, offset+46);
+        offset += 46 + entry.name.length;
+    });
+    // End of central directory record
+    view.setUint32(offset, 0x06054B50, true);
+    view.setUint16(offset+8, directory.length, true);
+    view.setUint16(offset+10, directory.length, true);
+    view.setUint32(offset+12, offset - directoryStart, true);
+    view.setUint32(offset+16, directoryStart, true);
+    return out;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        crc32: crc32,
+        makeZip: makeZip
+    };
+}